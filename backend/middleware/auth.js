@@ -70,10 +70,27 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
+// Socket.IO room for admin-only events such as drift alerts
+const ADMIN_ROOM = 'admins';
+
+// Put a socket whose handshake token (auth.token) belongs to an admin in ADMIN_ROOM
+const joinAdminRoom = (socket) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) return;
+
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    if (!err && user.role === 'admin') {
+      socket.join(ADMIN_ROOM);
+    }
+  });
+};
+
 module.exports = {
   authenticateToken,
   authenticateAdmin,
-  optionalAuth
+  optionalAuth,
+  ADMIN_ROOM,
+  joinAdminRoom
 };
 
 
@@ -1,4 +1,8 @@
 const Joi = require('joi');
+const { SPAM_MODES } = require('../utils/spamFilter');
+const { COUNT_MODES } = require('../utils/clusterFilter');
+const { WEIGHTING_MODES, DEFAULT_HALF_LIFE_HOURS } = require('../utils/sentimentWeighting');
+const { BASELINE_METHODS } = require('../utils/statistics');
 
 // Validation schemas
 const tweetQuerySchema = Joi.object({
@@ -27,10 +31,143 @@ const stockQuerySchema = Joi.object({
 });
 
 const sentimentQuerySchema = Joi.object({
-  company: Joi.string().optional(),
-  startDate: Joi.date().optional(),
-  endDate: Joi.date().optional(),
-  period: Joi.string().valid('1d', '1w', '1m', '3m', '6m', '1y').default('1m')
+  timeRange: Joi.number().integer().min(1).max(24 * 365).default(24),
+  granularity: Joi.string().valid('hourly', 'daily', 'weekly').default('daily'),
+  days: Joi.number().integer().min(1).max(365).default(7),
+  spam: Joi.string().valid(...SPAM_MODES).default('include'),
+  count: Joi.string().valid(...COUNT_MODES).default('tweets'),
+  weighting: Joi.string().valid(...WEIGHTING_MODES).default('none'),
+  halfLife: Joi.number().positive().max(24 * 365).default(DEFAULT_HALF_LIFE_HOURS)
+}).unknown(true);
+
+const datasetQuerySchema = Joi.object({
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).optional(),
+  symbols: Joi.string().optional(),
+  format: Joi.string().valid('json', 'csv').default('json'),
+  save: Joi.boolean().default(false)
+});
+
+const backtestSchema = Joi.object({
+  symbols: Joi.array().items(Joi.string()).optional(),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).optional(),
+  minTrainSize: Joi.number().integer().min(5).max(500).optional(),
+  lambda: Joi.number().min(0).optional(),
+  includeForecasts: Joi.boolean().default(false)
+});
+
+const modelVersionSchema = Joi.object({
+  modelType: Joi.string().valid('sentiment', 'impact', 'prediction').required(),
+  algorithm: Joi.string().required(),
+  description: Joi.string().optional(),
+  trainingWindow: Joi.object({
+    start: Joi.date().iso().optional(),
+    end: Joi.date().iso().optional()
+  }).optional(),
+  trainingSamples: Joi.number().integer().min(0).optional(),
+  parameters: Joi.object().optional(),
+  metrics: Joi.object().optional(),
+  activate: Joi.boolean().default(false)
+});
+
+const retrainSchema = Joi.object({
+  models: Joi.array().items(Joi.string().valid('prediction', 'impact')).optional(),
+  symbols: Joi.array().items(Joi.string()).optional(),
+  horizons: Joi.array().items(Joi.number().integer().valid(1, 5, 20)).unique().min(1).optional(),
+  activate: Joi.boolean().default(true)
+});
+
+const driftCheckSchema = Joi.object({
+  symbols: Joi.array().items(Joi.string()).optional(),
+  recentDays: Joi.number().integer().min(10).max(250).optional(),
+  psiThreshold: Joi.number().min(0.01).max(5).optional(),
+  ksAlpha: Joi.number().min(0.0001).max(0.5).optional()
+});
+
+const driftReportsQuerySchema = Joi.object({
+  drifted: Joi.boolean().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const labelSchema = Joi.object({
+  sentiment: Joi.string().valid('positive', 'negative', 'neutral').required(),
+  isRelevant: Joi.boolean().required(),
+  marketImpact: Joi.string().valid('high', 'medium', 'low', 'none').required(),
+  notes: Joi.string().allow('').max(500).optional()
+});
+
+const labelQueueQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  symbol: Joi.string().optional()
+});
+
+const reviewQueueQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  symbol: Joi.string().optional()
+});
+
+const labelListQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  page: Joi.number().integer().min(1).default(1)
+});
+
+// Shared options on aggregation endpoints; other query parameters are left to each route
+const aggregationQuerySchema = Joi.object({
+  spam: Joi.string().valid(...SPAM_MODES).default('include'),
+  count: Joi.string().valid(...COUNT_MODES).default('tweets')
+}).unknown(true);
+
+const alertsQuerySchema = aggregationQuerySchema.keys({
+  timeRange: Joi.number().integer().min(1).max(24 * 7).default(24),
+  baselineDays: Joi.number().integer().min(1).max(30).default(7),
+  baselineMethod: Joi.string().valid(...BASELINE_METHODS).default('robust'),
+  zThreshold: Joi.number().min(1).max(10).default(3)
+});
+
+// Forecast horizons in trading days (datasetBuilder.horizons)
+const predictionQuerySchema = Joi.object({
+  horizon: Joi.number().integer().valid(1, 5, 20).default(1)
+});
+
+const forecastQuerySchema = Joi.object({
+  symbols: Joi.string().optional(),
+  coverage: Joi.number().min(0.5).max(0.99).default(0.8),
+  horizon: Joi.number().integer().valid(1, 5, 20).default(1)
+});
+
+const ledgerQuerySchema = Joi.object({
+  symbol: Joi.string().optional(),
+  method: Joi.string().optional(),
+  modelVersion: Joi.string().optional(),
+  horizon: Joi.number().integer().valid(1, 5, 20).optional(),
+  days: Joi.number().integer().min(1).max(365).default(90),
+  window: Joi.number().integer().min(2).max(60).default(10)
+});
+
+// Sentiment/price analysis; window is calendar days of price history
+const impactAnalysisQuerySchema = Joi.object({
+  symbol: Joi.string().required(),
+  timeRange: Joi.number().integer().min(1).max(24 * 365).default(24),
+  window: Joi.number().integer().min(3).max(365).default(30)
+});
+
+// Lead-lag profile: lags and Granger order in trading days
+const leadLagQuerySchema = Joi.object({
+  symbol: Joi.string().required(),
+  window: Joi.number().integer().min(10).max(365).default(90),
+  maxLag: Joi.number().integer().min(1).max(10).default(5),
+  order: Joi.number().integer().min(1).max(5).default(2)
+});
+
+// Event study over Stock.impactEvents; pre/post in trading days
+const eventStudyQuerySchema = Joi.object({
+  symbol: Joi.string().optional(),
+  type: Joi.string().valid('earnings', 'news', 'analyst_rating', 'insider_trading', 'other').optional(),
+  sentiment: Joi.string().valid('positive', 'negative', 'neutral').optional(),
+  pre: Joi.number().integer().min(0).max(30).default(5),
+  post: Joi.number().integer().min(0).max(60).default(10),
+  model: Joi.string().valid('market_model', 'market_adjusted').default('market_model')
 });
 
 // Validation middleware
@@ -71,7 +208,7 @@ const validateStockQuery = (req, res, next) => {
 };
 
 const validateSentimentQuery = (req, res, next) => {
-  const { error } = sentimentQuerySchema.validate(req.query);
+  const { error, value } = sentimentQuerySchema.validate(req.query);
   if (error) {
     return res.status(400).json({
       success: false,
@@ -79,6 +216,248 @@ const validateSentimentQuery = (req, res, next) => {
       errors: error.details.map(detail => detail.message)
     });
   }
+  // Converted values with defaults applied
+  req.validatedQuery = value;
+  next();
+};
+
+const validateDatasetQuery = (req, res, next) => {
+  const { error, value } = datasetQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid dataset parameters',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  // Converted values with defaults applied
+  req.validatedQuery = value;
+  next();
+};
+
+const validateBacktest = (req, res, next) => {
+  const { error } = backtestSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid backtest parameters',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateModelVersion = (req, res, next) => {
+  const { error } = modelVersionSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid model version',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateRetrain = (req, res, next) => {
+  const { error } = retrainSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid retrain parameters',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateDriftCheck = (req, res, next) => {
+  const { error } = driftCheckSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid drift check parameters',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateDriftReportsQuery = (req, res, next) => {
+  const { error, value } = driftReportsQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid drift report options',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  // Converted values with defaults applied
+  req.validatedQuery = value;
+  next();
+};
+
+const validateLabel = (req, res, next) => {
+  const { error } = labelSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid label',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateLabelQueueQuery = (req, res, next) => {
+  const { error, value } = labelQueueQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid queue options',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  // Converted values with defaults applied
+  req.validatedQuery = value;
+  next();
+};
+
+const validateReviewQueueQuery = (req, res, next) => {
+  const { error, value } = reviewQueueQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid review queue options',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  // Converted values with defaults applied
+  req.validatedQuery = value;
+  next();
+};
+
+const validateLabelListQuery = (req, res, next) => {
+  const { error, value } = labelListQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid pagination options',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  // Converted values with defaults applied
+  req.validatedQuery = value;
+  next();
+};
+
+const validateAggregationQuery = (req, res, next) => {
+  const { error } = aggregationQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid aggregation options',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateAlertsQuery = (req, res, next) => {
+  const { error, value } = alertsQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid alert options',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  // Converted values with defaults applied
+  req.validatedQuery = value;
+  next();
+};
+
+const validatePredictionQuery = (req, res, next) => {
+  const { error, value } = predictionQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid prediction options',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  // Converted values with defaults applied
+  req.validatedQuery = value;
+  next();
+};
+
+const validateForecastQuery = (req, res, next) => {
+  const { error, value } = forecastQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid forecast options',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  // Converted values with defaults applied
+  req.validatedQuery = value;
+  next();
+};
+
+const validateLedgerQuery = (req, res, next) => {
+  const { error, value } = ledgerQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ledger options',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  // Converted values with defaults applied
+  req.validatedQuery = value;
+  next();
+};
+
+const validateImpactAnalysisQuery = (req, res, next) => {
+  const { error, value } = impactAnalysisQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid impact analysis options',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  // Converted values with defaults applied
+  req.validatedQuery = value;
+  next();
+};
+
+const validateLeadLagQuery = (req, res, next) => {
+  const { error, value } = leadLagQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid lead-lag options',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  // Converted values with defaults applied
+  req.validatedQuery = value;
+  next();
+};
+
+const validateEventStudyQuery = (req, res, next) => {
+  const { error, value } = eventStudyQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid event study options',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  // Converted values with defaults applied
+  req.validatedQuery = value;
   next();
 };
 
@@ -86,5 +465,23 @@ module.exports = {
   validateTweetQuery,
   validateTweetClassification,
   validateStockQuery,
-  validateSentimentQuery
+  validateSentimentQuery,
+  validateDatasetQuery,
+  validateBacktest,
+  validateModelVersion,
+  validateRetrain,
+  validateDriftCheck,
+  validateDriftReportsQuery,
+  validateLabel,
+  validateLabelQueueQuery,
+  validateReviewQueueQuery,
+  validateLabelListQuery,
+  validateAggregationQuery,
+  validateAlertsQuery,
+  validatePredictionQuery,
+  validateForecastQuery,
+  validateLedgerQuery,
+  validateImpactAnalysisQuery,
+  validateLeadLagQuery,
+  validateEventStudyQuery
 };
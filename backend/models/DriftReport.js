@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const driftStatsSchema = {
+  referenceSamples: Number,
+  recentSamples: Number,
+  psi: Number,
+  ksStatistic: Number,
+  ksPValue: Number,
+  drifted: Boolean
+};
+
+// One drift check of recent feature distributions against the prediction model's training window
+const driftReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  // Active prediction ModelVersion.version, null when no version is registered
+  modelVersion: {
+    type: String,
+    default: null
+  },
+  referenceWindow: {
+    // 'training' for the model's training window, 'history' for all rows before the recent window
+    source: {
+      type: String,
+      enum: ['training', 'history']
+    },
+    start: String,
+    end: String
+  },
+  recentWindow: {
+    start: String,
+    end: String
+  },
+  parameters: {
+    recentDays: Number,
+    psiThreshold: Number,
+    ksAlpha: Number,
+    bins: Number
+  },
+  // Per feature: symbols pooled (as reference-CDF scores) plus each symbol on its own
+  features: [{
+    feature: String,
+    label: String,
+    ...driftStatsSchema,
+    symbols: [{
+      symbol: String,
+      ...driftStatsSchema,
+      referenceMean: Number,
+      recentMean: Number
+    }]
+  }],
+  skipped: [{
+    symbol: String,
+    reason: String
+  }],
+  drifted: {
+    type: Boolean,
+    default: false
+  },
+  alert: {
+    raised: {
+      type: Boolean,
+      default: false
+    },
+    message: String,
+    acknowledged: {
+      type: Boolean,
+      default: false
+    },
+    acknowledgedAt: Date,
+    acknowledgedBy: String
+  },
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+driftReportSchema.index({ createdAt: -1 });
+driftReportSchema.index({ 'alert.raised': 1, 'alert.acknowledged': 1, createdAt: -1 });
+
+module.exports = mongoose.model('DriftReport', driftReportSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One issued forecast, reconciled against stock_data.csv once the actual close arrives
+const forecastSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Registered forecasting method (see forecastLedgerService), e.g. "naive"
+  method: {
+    type: String,
+    required: true
+  },
+  // ModelVersion.version for registry models, otherwise the method's own version tag
+  modelVersion: {
+    type: String,
+    required: true
+  },
+  // Date of the last close the forecast was made from (YYYY-MM-DD)
+  asOf: {
+    type: String,
+    required: true
+  },
+  // Trading days between asOf and the forecast close
+  horizon: {
+    type: Number,
+    default: 1
+  },
+  lastClose: Number,
+  predictedClose: {
+    type: Number,
+    required: true
+  },
+  predictedChangePercent: Number,
+  direction: {
+    type: String,
+    enum: ['up', 'down', 'flat']
+  },
+  interval: {
+    coverage: Number,
+    lower: Number,
+    upper: Number
+  },
+  upProbability: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'reconciled'],
+    default: 'pending'
+  },
+  // Filled in by reconciliation from the horizon-th trading day after asOf
+  targetDate: String,
+  actualClose: Number,
+  actualChangePercent: Number,
+  absolutePercentError: Number,
+  hit: Boolean,
+  covered: Boolean,
+  reconciledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+forecastSchema.index({ symbol: 1, method: 1, modelVersion: 1, horizon: 1, asOf: 1 }, { unique: true });
+forecastSchema.index({ status: 1, symbol: 1 });
+forecastSchema.index({ asOf: -1 });
+
+module.exports = mongoose.model('Forecast', forecastSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const holdoutSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  source: {
+    type: String,
+    enum: ['csv', 'jsonl', 'json', 'gold'],
+    required: true
+  },
+  items: [{
+    text: {
+      type: String,
+      required: true,
+      maxlength: 1000
+    },
+    label: {
+      type: String,
+      enum: ['positive', 'negative', 'neutral'],
+      required: true
+    },
+    tweetId: String
+  }],
+  labelCounts: {
+    positive: { type: Number, default: 0 },
+    negative: { type: Number, default: 0 },
+    neutral: { type: Number, default: 0 }
+  },
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+// Pre-save middleware
+holdoutSetSchema.pre('save', function(next) {
+  if (this.isModified('items')) {
+    this.labelCounts = { positive: 0, negative: 0, neutral: 0 };
+    this.items.forEach(item => { this.labelCounts[item.label] += 1; });
+  }
+  next();
+});
+
+module.exports = mongoose.model('HoldoutSet', holdoutSetSchema);
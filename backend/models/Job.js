@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['retrain', 'evaluation'],
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  // 0..1
+  progress: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0
+  },
+  params: mongoose.Schema.Types.Mixed,
+  result: mongoose.Schema.Types.Mixed,
+  error: {
+    message: String,
+    stack: String
+  },
+  logs: [{
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    level: {
+      type: String,
+      enum: ['info', 'warn', 'error'],
+      default: 'info'
+    },
+    message: String
+  }],
+  createdBy: String,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobSchema.index({ type: 1, status: 1, createdAt: -1 });
+
+// Method to append a log line without overwriting concurrent updates
+jobSchema.methods.log = function(message, level = 'info') {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $push: { logs: { timestamp: new Date(), level, message } } }
+  );
+};
+
+// Method to record progress (0..1)
+jobSchema.methods.setProgress = function(progress) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { progress: Math.max(0, Math.min(1, progress)) } }
+  );
+};
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const modelEvaluationSchema = new mongoose.Schema({
+  modelType: {
+    type: String,
+    enum: ['sentiment', 'impact', 'prediction'],
+    required: true
+  },
+  // Version the classification pipeline reported for most items (null if unregistered)
+  modelVersion: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Every reported version, e.g. remote plus lexicon items after a fallback
+  modelVersions: [{
+    modelVersion: String,
+    samples: Number
+  }],
+  holdoutSet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HoldoutSet',
+    required: true
+  },
+  samples: Number,
+  failures: Number,
+  accuracy: Number,
+  perClass: mongoose.Schema.Types.Mixed,
+  macro: {
+    precision: Number,
+    recall: Number,
+    f1: Number
+  },
+  confusionMatrix: mongoose.Schema.Types.Mixed,
+  calibration: mongoose.Schema.Types.Mixed,
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+modelEvaluationSchema.index({ modelType: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModelEvaluation', modelEvaluationSchema);
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+const MODEL_TYPES = ['sentiment', 'impact', 'prediction'];
+// Concurrent registrations can pick the same sequence; the loser retries with the next one
+const MAX_REGISTER_ATTEMPTS = 5;
+
+const modelVersionSchema = new mongoose.Schema({
+  modelType: {
+    type: String,
+    enum: MODEL_TYPES,
+    required: true,
+    index: true
+  },
+  // Globally unique, e.g. "sentiment-v3"; referenced by Tweet.metadata.modelVersion
+  version: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  algorithm: {
+    type: String,
+    required: true
+  },
+  description: String,
+  source: {
+    type: String,
+    enum: ['in_house', 'external'],
+    default: 'in_house'
+  },
+  trainingWindow: {
+    start: Date,
+    end: Date
+  },
+  trainingSamples: {
+    type: Number,
+    default: 0
+  },
+  symbols: [String],
+  parameters: mongoose.Schema.Types.Mixed,
+  metrics: mongoose.Schema.Types.Mixed,
+  // Serialised model (e.g. per-symbol regression coefficients)
+  artifact: mongoose.Schema.Types.Mixed,
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  activatedAt: Date,
+  previousVersion: String,
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+modelVersionSchema.index({ modelType: 1, sequence: -1 });
+modelVersionSchema.index({ modelType: 1, isActive: 1 });
+
+// Static method to get the active version of a model type. During a promotion
+// the new version is activated before the old one is retired, so the most
+// recently activated wins.
+modelVersionSchema.statics.getActive = async function(modelType) {
+  return this.findOne({ modelType, isActive: true }).sort({ activatedAt: -1, _id: -1 });
+};
+
+// Static method to list versions, newest first (artifacts omitted)
+modelVersionSchema.statics.listVersions = async function(modelType, limit = 50) {
+  const filter = modelType ? { modelType } : {};
+  return this.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('-artifact')
+    .lean();
+};
+
+// Static method to record a newly trained model
+modelVersionSchema.statics.register = async function(modelType, data, { activate = false } = {}) {
+  let entry;
+  for (let attempt = 1; !entry; attempt++) {
+    const latest = await this.findOne({ modelType }).sort({ sequence: -1 }).select('sequence');
+    const sequence = latest ? latest.sequence + 1 : 1;
+
+    try {
+      entry = await this.create({
+        ...data,
+        modelType,
+        sequence,
+        version: `${modelType}-v${sequence}`,
+        isActive: false
+      });
+    } catch (error) {
+      // Duplicate version: another registration took this sequence first
+      if (error.code !== 11000 || attempt >= MAX_REGISTER_ATTEMPTS) throw error;
+    }
+  }
+
+  return activate ? this.promote(entry.version) : entry;
+};
+
+// Static method to make a version the active one for its type
+modelVersionSchema.statics.promote = async function(version) {
+  const entry = await this.findOne({ version });
+  if (!entry) {
+    const error = new Error(`Model version not found: ${version}`);
+    error.status = 404;
+    throw error;
+  }
+  if (entry.isActive) return entry;
+
+  const current = await this.getActive(entry.modelType);
+  return this.activate(entry, current ? current.version : entry.previousVersion);
+};
+
+// Activate an entry, then retire the versions of its type activated before it,
+// so the type always has an active version even if the second write fails and
+// concurrent promotions cannot retire each other
+modelVersionSchema.statics.activate = async function(entry, previousVersion) {
+  const activatedAt = new Date();
+  const activated = await this.findOneAndUpdate(
+    { _id: entry._id },
+    { $set: { isActive: true, activatedAt, previousVersion } },
+    { new: true }
+  );
+  await this.updateMany(
+    {
+      modelType: entry.modelType,
+      isActive: true,
+      _id: { $ne: entry._id },
+      activatedAt: { $not: { $gte: activatedAt } }
+    },
+    { isActive: false }
+  );
+  return activated;
+};
+
+// Static method to reactivate the version that was active before the current one
+modelVersionSchema.statics.rollback = async function(modelType) {
+  const current = await this.getActive(modelType);
+  if (!current || !current.previousVersion) {
+    const error = new Error(`No previous ${modelType} version to roll back to`);
+    error.status = 409;
+    throw error;
+  }
+
+  const previous = await this.findOne({ version: current.previousVersion });
+  if (!previous) {
+    const error = new Error(`Model version not found: ${current.previousVersion}`);
+    error.status = 404;
+    throw error;
+  }
+
+  // Keep the target's own previousVersion so repeated rollbacks walk further back
+  return this.activate(previous, previous.previousVersion);
+};
+
+modelVersionSchema.statics.MODEL_TYPES = MODEL_TYPES;
+
+module.exports = mongoose.model('ModelVersion', modelVersionSchema);
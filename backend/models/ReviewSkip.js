@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A tweet an annotator chose to skip in the review queue
+const reviewSkipSchema = new mongoose.Schema({
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    required: true
+  },
+  annotator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    maxlength: 200
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+reviewSkipSchema.index({ tweet: 1, annotator: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReviewSkip', reviewSkipSchema);
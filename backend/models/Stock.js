@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { spamMatch, spamWeight } = require('../utils/spamFilter');
 
 const stockSchema = new mongoose.Schema({
   symbol: {
@@ -90,7 +91,19 @@ const stockSchema = new mongoose.Schema({
       enum: ['positive', 'negative', 'neutral']
     },
     priceImpact: Number,
-    volume: Number
+    volume: Number,
+    // Set by the impact event detector; manually recorded events have none
+    signals: [{
+      type: String,
+      enum: ['price_gap', 'volume_surge', 'tweet_spike', 'sentiment_shift']
+    }],
+    metrics: {
+      gapPercent: Number,
+      volumeRatio: Number,
+      tweetCount: Number,
+      tweetRatio: Number,
+      sentimentShift: Number
+    }
   }],
   isActive: {
     type: Boolean,
@@ -156,10 +169,58 @@ stockSchema.statics.getMostActive = async function(limit = 10) {
     .select('symbol name currentPrice priceChange priceChangePercent volume');
 };
 
-// Static method to get sentiment leaders
-stockSchema.statics.getSentimentLeaders = async function(limit = 10) {
+// Static method to get sentiment leaders.
+// With `spam` set to exclude or downweight, last24h is recomputed from tweets
+// instead of read from the stored sentimentData (see utils/spamFilter).
+stockSchema.statics.getSentimentLeaders = async function(limit = 10, { spam = 'include' } = {}) {
+  const recompute = [];
+  if (spam !== 'include') {
+    const weight = spamWeight(spam);
+    const labelWeight = (label) => ({ $sum: { $cond: [{ $eq: ['$sentiment.label', label] }, weight, 0] } });
+
+    recompute.push(
+      {
+        $lookup: {
+          from: 'tweets',
+          let: { symbol: '$symbol' },
+          pipeline: [
+            {
+              $match: {
+                createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+                ...spamMatch(spam),
+                $expr: { $in: ['$$symbol', { $ifNull: ['$companyTagged.symbol', []] }] }
+              }
+            },
+            {
+              $group: {
+                _id: null,
+                positive: labelWeight('positive'),
+                negative: labelWeight('negative'),
+                neutral: labelWeight('neutral'),
+                total: { $sum: weight }
+              }
+            },
+            { $project: { _id: 0 } }
+          ],
+          as: 'tweetSentiment'
+        }
+      },
+      {
+        $addFields: {
+          'sentimentData.last24h': {
+            $ifNull: [
+              { $arrayElemAt: ['$tweetSentiment', 0] },
+              { positive: 0, negative: 0, neutral: 0, total: 0 }
+            ]
+          }
+        }
+      }
+    );
+  }
+
   return this.aggregate([
     { $match: { isActive: true } },
+    ...recompute,
     {
       $addFields: {
         sentimentScore: {
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { spamMatch, spamWeight, safeDivide } = require('../utils/spamFilter');
+const { clusterStages } = require('../utils/clusterFilter');
 
 const tweetSchema = new mongoose.Schema({
   tweetId: {
@@ -97,6 +99,54 @@ const tweetSchema = new mongoose.Schema({
     },
     reasoning: String
   },
+  // Consensus of human labels (see TweetLabel), kept apart from model predictions.
+  // A field is null while annotators are tied on it.
+  goldLabels: {
+    sentiment: {
+      type: String,
+      enum: ['positive', 'negative', 'neutral', null]
+    },
+    isRelevant: Boolean,
+    marketImpact: {
+      type: String,
+      enum: ['high', 'medium', 'low', 'none', null]
+    },
+    annotatorCount: {
+      type: Number,
+      default: 0
+    },
+    agreement: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    updatedAt: Date
+  },
+  // Bot/spam likelihood from account and content signals (see spamScorer)
+  spam: {
+    score: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    signals: {
+      lowFollowers: Number,
+      postingRate: Number,
+      urlDensity: Number,
+      hashtagDensity: Number,
+      duplicateText: Number
+    },
+    scoredAt: Date
+  },
+  // Near-duplicate cluster (see duplicateClusterer); the first tweet seen is canonical
+  duplicate: {
+    clusterId: String,
+    isCanonical: Boolean,
+    clusterSize: Number, // Canonical tweets only
+    similarity: Number, // Estimated Jaccard similarity to the matched tweet
+    signature: { type: [Number], default: undefined, select: false }, // MinHash
+    bands: { type: [String], default: undefined, select: false } // LSH keys for candidate lookup
+  },
   engagement: {
     retweetCount: { type: Number, default: 0 },
     likeCount: { type: Number, default: 0 },
@@ -131,7 +181,9 @@ const tweetSchema = new mongoose.Schema({
       default: 'twitter_api'
     },
     agentVersion: String,
-    modelVersion: String,
+    modelVersion: String, // ModelVersion.version of the classifier used, or the lexicon fallback version
+    impactModelVersion: String, // ModelVersion.version of the impact model that set marketImpact, if any
+    providerDisagreement: Number, // Ensemble weight that disagreed with the final sentiment label
     processingTime: Number
   }
 }, {
@@ -142,8 +194,15 @@ const tweetSchema = new mongoose.Schema({
 tweetSchema.index({ createdAt: -1 });
 tweetSchema.index({ 'companyTagged.symbol': 1, createdAt: -1 });
 tweetSchema.index({ 'sentiment.label': 1, createdAt: -1 });
+tweetSchema.index({ 'sentiment.confidence': 1, createdAt: -1 }); // Review queue: least confident first
+tweetSchema.index({ 'metadata.providerDisagreement': -1, createdAt: -1 }); // Review queue: most disputed first
 tweetSchema.index({ 'marketImpact.level': 1, createdAt: -1 });
 tweetSchema.index({ 'relevance.isRelevant': 1, createdAt: -1 });
+tweetSchema.index({ 'goldLabels.annotatorCount': 1 });
+tweetSchema.index({ 'spam.score': 1, createdAt: -1 });
+tweetSchema.index({ cleanedText: 1, createdAt: -1 }); // Duplicate-text lookups when scoring spam
+tweetSchema.index({ 'duplicate.bands': 1, createdAt: -1 });
+tweetSchema.index({ 'duplicate.clusterId': 1 });
 tweetSchema.index({ text: 'text' }); // Text search index
 
 // Virtual for engagement score
@@ -198,41 +257,55 @@ tweetSchema.statics.getSentimentStats = async function(companySymbol, timeRange)
   ]);
 };
 
-// Static method to get trending companies
-tweetSchema.statics.getTrendingCompanies = async function(hours = 24) {
+// Static method to get trending companies.
+// `spam` is include | exclude | downweight (see utils/spamFilter), `count` is tweets | clusters (see utils/clusterFilter)
+tweetSchema.statics.getTrendingCompanies = async function(hours = 24, { spam = 'include', count = 'tweets' } = {}) {
   const cutoffDate = new Date(Date.now() - hours * 60 * 60 * 1000);
+  const weight = spamWeight(spam);
   
   return this.aggregate([
-    { $match: { createdAt: { $gte: cutoffDate } } },
+    { $match: { createdAt: { $gte: cutoffDate }, ...spamMatch(spam) } },
+    ...clusterStages(count),
     { $unwind: '$companyTagged' },
     {
       $group: {
         _id: '$companyTagged.symbol',
-        count: { $sum: 1 },
-        avgSentiment: {
-          $avg: {
-            $cond: [
-              { $eq: ['$sentiment.label', 'positive'] },
-              1,
-              { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
-            ]
+        count: { $sum: weight },
+        sentimentSum: {
+          $sum: {
+            $multiply: [weight, {
+              $cond: [
+                { $eq: ['$sentiment.label', 'positive'] },
+                1,
+                { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
+              ]
+            }]
           }
         },
-        avgImpact: {
-          $avg: {
-            $cond: [
-              { $eq: ['$marketImpact.level', 'high'] },
-              3,
-              { $cond: [
-                { $eq: ['$marketImpact.level', 'medium'] },
-                2,
-                { $cond: [{ $eq: ['$marketImpact.level', 'low'] }, 1, 0] }
-              ]}
-            ]
+        impactSum: {
+          $sum: {
+            $multiply: [weight, {
+              $cond: [
+                { $eq: ['$marketImpact.level', 'high'] },
+                3,
+                { $cond: [
+                  { $eq: ['$marketImpact.level', 'medium'] },
+                  2,
+                  { $cond: [{ $eq: ['$marketImpact.level', 'low'] }, 1, 0] }
+                ]}
+              ]
+            }]
           }
         }
       }
     },
+    {
+      $addFields: {
+        avgSentiment: safeDivide('$sentimentSum', '$count'),
+        avgImpact: safeDivide('$impactSum', '$count')
+      }
+    },
+    { $project: { sentimentSum: 0, impactSum: 0 } },
     { $sort: { count: -1 } },
     { $limit: 10 }
   ]);
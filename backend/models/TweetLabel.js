@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One human label set per annotator per tweet
+const tweetLabelSchema = new mongoose.Schema({
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    required: true,
+    index: true
+  },
+  tweetId: {
+    type: String,
+    required: true
+  },
+  annotator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  sentiment: {
+    type: String,
+    enum: ['positive', 'negative', 'neutral'],
+    required: true
+  },
+  isRelevant: {
+    type: Boolean,
+    required: true
+  },
+  marketImpact: {
+    type: String,
+    enum: ['high', 'medium', 'low', 'none'],
+    required: true
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+tweetLabelSchema.index({ tweet: 1, annotator: 1 }, { unique: true });
+
+module.exports = mongoose.model('TweetLabel', tweetLabelSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const ModelVersion = require('../ModelVersion');
+
+// Chainable stand-in for a mongoose query resolving to `result`
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('ModelVersion.register', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('retries with the next sequence when another registration took it', async () => {
+    jest.spyOn(ModelVersion, 'findOne')
+      .mockReturnValueOnce(query({ sequence: 2 }))
+      .mockReturnValueOnce(query({ sequence: 3 }));
+    const create = jest.spyOn(ModelVersion, 'create')
+      .mockRejectedValueOnce(duplicateKeyError())
+      .mockImplementation(async (doc) => doc);
+
+    const entry = await ModelVersion.register('prediction', { algorithm: 'ridge' });
+
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(create.mock.calls[0][0].version).toBe('prediction-v3');
+    expect(entry.version).toBe('prediction-v4');
+    expect(entry.sequence).toBe(4);
+  });
+
+  it('gives up after repeated collisions and passes other errors through', async () => {
+    jest.spyOn(ModelVersion, 'findOne').mockImplementation(() => query(null));
+    const create = jest.spyOn(ModelVersion, 'create').mockRejectedValue(duplicateKeyError());
+    await expect(ModelVersion.register('impact', { algorithm: 'softmax' })).rejects.toMatchObject({ code: 11000 });
+    expect(create).toHaveBeenCalledTimes(5);
+
+    create.mockReset().mockRejectedValue(new Error('validation failed'));
+    await expect(ModelVersion.register('impact', { algorithm: 'softmax' })).rejects.toThrow('validation failed');
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('ModelVersion.promote', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('activates the new version before retiring the ones activated earlier', async () => {
+    const entry = { _id: new mongoose.Types.ObjectId(), version: 'prediction-v4', modelType: 'prediction', isActive: false };
+    const calls = [];
+    jest.spyOn(ModelVersion, 'findOne')
+      .mockReturnValueOnce(query(entry))
+      .mockReturnValueOnce(query({ version: 'prediction-v3' }));
+    jest.spyOn(ModelVersion, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      calls.push('activate');
+      return { ...entry, ...update.$set };
+    });
+    const updateMany = jest.spyOn(ModelVersion, 'updateMany').mockImplementation(async () => {
+      calls.push('retire');
+      return { modifiedCount: 1 };
+    });
+
+    const promoted = await ModelVersion.promote('prediction-v4');
+
+    expect(calls).toEqual(['activate', 'retire']);
+    expect(promoted.isActive).toBe(true);
+    expect(promoted.previousVersion).toBe('prediction-v3');
+    const [filter] = updateMany.mock.calls[0];
+    expect(filter._id).toEqual({ $ne: entry._id });
+    expect(filter.activatedAt).toEqual({ $not: { $gte: promoted.activatedAt } });
+  });
+
+  it('leaves an already active version alone', async () => {
+    const entry = { version: 'impact-v2', isActive: true };
+    jest.spyOn(ModelVersion, 'findOne').mockReturnValueOnce(query(entry));
+    const updateMany = jest.spyOn(ModelVersion, 'updateMany');
+
+    expect(await ModelVersion.promote('impact-v2')).toBe(entry);
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const adminRoutes = require('../admin');
+const datasetBuilder = require('../../services/datasetBuilder');
+const jobRunner = require('../../services/jobRunner');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+const adminToken = jwt.sign({ userId: 'admin-1', role: 'admin' }, process.env.JWT_SECRET);
+
+describe('GET /api/admin/dataset', () => {
+  beforeEach(() => {
+    jest.spyOn(datasetBuilder, 'buildDataset').mockResolvedValue({ columns: ['date'], rows: [{ date: '2024-01-02' }], skipped: [] });
+    jest.spyOn(datasetBuilder, 'writeDataset').mockResolvedValue('/tmp/dataset.txt');
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('writes the dataset only when save is true', async () => {
+    const res = await request(app)
+      .get('/api/admin/dataset?save=true')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(datasetBuilder.writeDataset).toHaveBeenCalledTimes(1);
+    expect(res.body.data.filePath).toBe('/tmp/dataset.txt');
+
+    await request(app)
+      .get('/api/admin/dataset?save=false')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(datasetBuilder.writeDataset).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a save flag that is not a boolean', async () => {
+    const res = await request(app)
+      .get('/api/admin/dataset?save=maybe')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(datasetBuilder.buildDataset).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/admin/model/evaluate', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('queues the evaluation and returns the job id', async () => {
+    const holdoutId = '65a000000000000000000001';
+    jest.spyOn(jobRunner, 'enqueueEvaluation').mockResolvedValue({
+      _id: 'job-1',
+      status: 'queued',
+      params: { holdoutId }
+    });
+
+    const res = await request(app)
+      .post('/api/admin/model/evaluate')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ holdoutId });
+
+    expect(res.status).toBe(202);
+    expect(res.body.data).toEqual({ jobId: 'job-1', status: 'queued', params: { holdoutId } });
+    expect(jobRunner.enqueueEvaluation).toHaveBeenCalledWith(holdoutId, 'admin-1');
+  });
+
+  it('passes through a missing holdout as 404', async () => {
+    const error = new Error('Holdout set not found');
+    error.status = 404;
+    jest.spyOn(jobRunner, 'enqueueEvaluation').mockRejectedValue(error);
+
+    const res = await request(app)
+      .post('/api/admin/model/evaluate')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ holdoutId: '65a000000000000000000001' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Holdout set not found');
+  });
+});
@@ -0,0 +1,93 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const labelRoutes = require('../labels');
+const labelingService = require('../../services/labelingService');
+const reviewQueueService = require('../../services/reviewQueueService');
+
+const app = express();
+app.use(express.json());
+app.use('/api/labels', labelRoutes);
+
+const token = jwt.sign({ userId: 'user-1', role: 'user' }, process.env.JWT_SECRET);
+
+describe('GET /api/labels/queue', () => {
+  beforeEach(() => {
+    jest.spyOn(labelingService, 'getQueue').mockResolvedValue({ tweets: [], remaining: 0 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('passes the converted limit with its default', async () => {
+    const res = await request(app)
+      .get('/api/labels/queue?symbol=aapl')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(labelingService.getQueue).toHaveBeenCalledWith('user-1', { limit: 20, symbol: 'aapl' });
+  });
+
+  it.each(['abc', '0', '1000'])('rejects limit=%s', async (limit) => {
+    const res = await request(app)
+      .get(`/api/labels/queue?limit=${limit}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(labelingService.getQueue).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/labels/mine', () => {
+  beforeEach(() => {
+    jest.spyOn(labelingService, 'listMyLabels').mockResolvedValue({ labels: [], pagination: {} });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('passes numeric pagination options', async () => {
+    const res = await request(app)
+      .get('/api/labels/mine?page=3&limit=25')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(labelingService.listMyLabels).toHaveBeenCalledWith('user-1', { limit: 25, page: 3 });
+  });
+
+  it('rejects a page that is not a positive integer', async () => {
+    const res = await request(app)
+      .get('/api/labels/mine?page=-1')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(labelingService.listMyLabels).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/labels/review', () => {
+  beforeEach(() => {
+    jest.spyOn(reviewQueueService, 'getNextBatch').mockResolvedValue({ items: [], remaining: 0 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('passes the converted limit with its default', async () => {
+    const res = await request(app)
+      .get('/api/labels/review')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(reviewQueueService.getNextBatch).toHaveBeenCalledWith('user-1', { limit: 10 });
+  });
+
+  it.each(['ten', '500'])('rejects limit=%s', async (limit) => {
+    const res = await request(app)
+      .get(`/api/labels/review?limit=${limit}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(reviewQueueService.getNextBatch).not.toHaveBeenCalled();
+  });
+});
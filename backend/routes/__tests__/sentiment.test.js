@@ -0,0 +1,66 @@
+const express = require('express');
+const request = require('supertest');
+
+const sentimentRoutes = require('../sentiment');
+const Tweet = require('../../models/Tweet');
+const Stock = require('../../models/Stock');
+const stockDataAgent = require('../../services/stockDataAgent');
+const datasetBuilder = require('../../services/datasetBuilder');
+
+const app = express();
+app.use('/api/sentiment', sentimentRoutes);
+
+// Chainable stand-in for a mongoose query resolving to `result`
+function query(result) {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    select: () => chain,
+    lean: () => Promise.resolve(result)
+  };
+  return chain;
+}
+
+describe('GET /api/sentiment/impact-analysis', () => {
+  const highImpact = [{ text: '$XYZ halted after earnings', sentiment: { label: 'negative' } }];
+  const breakdown = [{ _id: 'negative', count: 4, avgEngagement: 12, avgImpactConfidence: 0.7 }];
+
+  beforeEach(() => {
+    jest.spyOn(Tweet, 'find').mockReturnValue(query(highImpact));
+    jest.spyOn(Tweet, 'aggregate').mockResolvedValue(breakdown);
+    jest.spyOn(Stock, 'findOne').mockReturnValue(query({
+      currentPrice: 12.5,
+      priceChangePercent: -3.2,
+      priceHistory: [{ price: 12.9 }, { price: 12.5 }]
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps the rest of the analysis when the symbol has no daily price rows', async () => {
+    jest.spyOn(stockDataAgent, 'getDailySeries').mockRejectedValue(new Error('No data found for symbol: XYZ'));
+
+    const res = await request(app).get('/api/sentiment/impact-analysis?symbol=xyz');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.sentimentPriceCorrelation).toBeNull();
+    expect(res.body.data.sentimentPriceCorrelationReason).toBe('No data found for symbol: XYZ');
+    expect(res.body.data.highImpactTweets).toEqual(highImpact);
+    expect(res.body.data.sentimentBreakdown).toEqual(breakdown);
+    expect(res.body.data.stockData.currentPrice).toBe(12.5);
+  });
+
+  it('still fails on errors other than missing price data', async () => {
+    jest.spyOn(stockDataAgent, 'getDailySeries').mockResolvedValue([
+      { date: '2024-01-02', close: 10 },
+      { date: '2024-01-03', close: 11 }
+    ]);
+    jest.spyOn(datasetBuilder, 'getDailyTweetFeatures').mockRejectedValue(new Error('connection lost'));
+
+    const res = await request(app).get('/api/sentiment/impact-analysis?symbol=xyz');
+
+    expect(res.status).toBe(500);
+    expect(res.body.message).toBe('connection lost');
+  });
+});
@@ -1,6 +1,31 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const router = express.Router();
-const { authenticateAdmin } = require('../middleware/auth');
+const { authenticateAdmin, ADMIN_ROOM } = require('../middleware/auth');
+const {
+  validateDatasetQuery,
+  validateBacktest,
+  validateModelVersion,
+  validateRetrain,
+  validateForecastQuery,
+  validateDriftCheck,
+  validateDriftReportsQuery
+} = require('../middleware/validation');
+const ModelVersion = require('../models/ModelVersion');
+const HoldoutSet = require('../models/HoldoutSet');
+const datasetBuilder = require('../services/datasetBuilder');
+const backtestService = require('../services/backtestService');
+const jobRunner = require('../services/jobRunner');
+const evaluationService = require('../services/evaluationService');
+const classifierService = require('../services/classifierService');
+const probabilisticForecastService = require('../services/probabilisticForecastService');
+const driftMonitorService = require('../services/driftMonitorService');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
 
 // Get system statistics
 router.get('/stats', authenticateAdmin, async (req, res) => {
@@ -28,21 +53,29 @@ router.get('/stats', authenticateAdmin, async (req, res) => {
   }
 });
 
-// Get model status
+// Get model status (active registry version per model type)
 router.get('/model/status', authenticateAdmin, async (req, res) => {
   try {
-    const modelStatus = {
-      sentimentModel: 'active',
-      relevanceModel: 'active',
-      impactModel: 'active',
-      lastTraining: new Date().toISOString(),
-      accuracy: 0.85,
-      version: '1.0.0'
-    };
-    
+    const summaries = await Promise.all(ModelVersion.MODEL_TYPES.map(async (modelType) => {
+      const [active, totalVersions] = await Promise.all([
+        ModelVersion.findOne({ modelType, isActive: true }).select('-artifact').lean(),
+        ModelVersion.countDocuments({ modelType })
+      ]);
+      return [modelType, {
+        status: active ? 'active' : 'untrained',
+        version: active ? active.version : null,
+        algorithm: active ? active.algorithm : null,
+        trainingWindow: active ? active.trainingWindow : null,
+        metrics: active ? active.metrics : null,
+        lastTraining: active ? active.createdAt : null,
+        activatedAt: active ? active.activatedAt : null,
+        totalVersions
+      }];
+    }));
+
     res.json({
       success: true,
-      data: modelStatus
+      data: Object.fromEntries(summaries)
     });
   } catch (error) {
     res.status(500).json({
@@ -53,45 +86,611 @@ router.get('/model/status', authenticateAdmin, async (req, res) => {
   }
 });
 
-// Retrain model
-router.post('/model/retrain', authenticateAdmin, async (req, res) => {
+// Classifier provider configuration
+router.get('/model/classifiers', authenticateAdmin, async (req, res) => {
   try {
-    // Placeholder for model retraining
+    const config = classifierService.getConfig();
+    const providers = await Promise.all(config.available.map(async name => ({
+      name,
+      version: await classifierService.getProvider(name).getVersion(),
+      enabled: config.providers.includes(name),
+      weight: config.weights[name] ?? null
+    })));
+
     res.json({
       success: true,
-      message: 'Model retraining initiated',
       data: {
-        jobId: 'retrain_' + Date.now(),
-        status: 'queued'
+        mode: config.mode,
+        order: config.providers,
+        providers
       }
     });
   } catch (error) {
     res.status(500).json({
+      success: false,
+      message: 'Failed to get classifier configuration',
+      error: error.message
+    });
+  }
+});
+
+// Classify text without saving, through the configured pipeline or one provider
+router.post('/model/classifiers/classify', authenticateAdmin, async (req, res) => {
+  try {
+    const { text, provider } = req.body;
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'text is required'
+      });
+    }
+
+    const result = provider
+      ? await classifierService.classifyWith(provider, text)
+      : await classifierService.classify(text);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 502).json({
+      success: false,
+      message: 'Failed to classify text',
+      error: error.message
+    });
+  }
+});
+
+// List registered model versions
+router.get('/model/versions', authenticateAdmin, async (req, res) => {
+  try {
+    const { modelType, limit = 50 } = req.query;
+    if (modelType && !ModelVersion.MODEL_TYPES.includes(modelType)) {
+      return res.status(400).json({
+        success: false,
+        message: `modelType must be one of: ${ModelVersion.MODEL_TYPES.join(', ')}`
+      });
+    }
+
+    const versions = await ModelVersion.listVersions(modelType, parseInt(limit));
+    res.json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list model versions',
+      error: error.message
+    });
+  }
+});
+
+// Get a single model version
+router.get('/model/versions/:version', authenticateAdmin, async (req, res) => {
+  try {
+    const entry = await ModelVersion.findOne({ version: req.params.version }).select('-artifact').lean();
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get model version',
+      error: error.message
+    });
+  }
+});
+
+// Register an externally trained model (e.g. the ml-classifier service)
+router.post('/model/versions', authenticateAdmin, validateModelVersion, async (req, res) => {
+  try {
+    const { modelType, activate = false, ...data } = req.body;
+    const entry = await ModelVersion.register(modelType, {
+      ...data,
+      source: 'external',
+      createdBy: req.user.userId
+    }, { activate });
+
+    const { artifact, ...summary } = entry.toObject();
+    res.status(201).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register model version',
+      error: error.message
+    });
+  }
+});
+
+// Promote a version to active
+router.post('/model/versions/:version/promote', authenticateAdmin, async (req, res) => {
+  try {
+    const entry = await ModelVersion.promote(req.params.version);
+    const { artifact, ...summary } = entry.toObject();
+
+    res.json({
+      success: true,
+      message: `${entry.version} is now the active ${entry.modelType} model`,
+      data: summary
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to promote model version',
+      error: error.message
+    });
+  }
+});
+
+// Roll back to the previously active version
+router.post('/model/:modelType/rollback', authenticateAdmin, async (req, res) => {
+  try {
+    const { modelType } = req.params;
+    if (!ModelVersion.MODEL_TYPES.includes(modelType)) {
+      return res.status(400).json({
+        success: false,
+        message: `modelType must be one of: ${ModelVersion.MODEL_TYPES.join(', ')}`
+      });
+    }
+
+    const entry = await ModelVersion.rollback(modelType);
+    const { artifact, ...summary } = entry.toObject();
+
+    res.json({
+      success: true,
+      message: `Rolled back ${modelType} model to ${entry.version}`,
+      data: summary
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to roll back model',
+      error: error.message
+    });
+  }
+});
+
+// Retrain in-house models (queued job; poll GET /jobs/:id)
+router.post('/model/retrain', authenticateAdmin, validateRetrain, async (req, res) => {
+  try {
+    const job = await jobRunner.enqueueRetrain(req.body, req.user.userId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Model retraining initiated',
+      data: {
+        jobId: job._id,
+        status: job.status,
+        params: job.params
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to initiate model retraining',
+      error: error.message,
+      ...(error.jobId ? { jobId: error.jobId } : {})
+    });
+  }
+});
+
+// List background jobs
+router.get('/jobs', authenticateAdmin, async (req, res) => {
+  try {
+    const { type, status, limit = 20 } = req.query;
+    const jobs = await jobRunner.listJobs({ type, status, limit });
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list jobs',
       error: error.message
     });
   }
 });
 
-// Evaluate model
+// Get job status, progress and logs
+router.get('/jobs/:id', authenticateAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job id'
+      });
+    }
+
+    const job = await jobRunner.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get job',
+      error: error.message
+    });
+  }
+});
+
+// Upload a human-labeled holdout set (multipart CSV/JSONL file, or JSON body with items)
+router.post('/holdouts', authenticateAdmin, upload.single('file'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Holdout name is required'
+      });
+    }
+
+    let items;
+    let source;
+    if (req.file) {
+      source = /\.jsonl$/i.test(req.file.originalname) || req.body.format === 'jsonl' ? 'jsonl' : 'csv';
+      items = await evaluationService.parseHoldout(req.file.buffer, source);
+    } else if (Array.isArray(req.body.items)) {
+      source = 'json';
+      items = evaluationService.normalizeItems(req.body.items);
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV/JSONL file or provide an items array'
+      });
+    }
+
+    const holdout = await evaluationService.createHoldout({
+      name,
+      description,
+      source,
+      items,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: holdout._id,
+        name: holdout.name,
+        source: holdout.source,
+        size: holdout.items.length,
+        labelCounts: holdout.labelCounts
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to import holdout set',
+      error: error.message
+    });
+  }
+});
+
+// Create a holdout set from human gold labels
+router.post('/holdouts/from-gold', authenticateAdmin, async (req, res) => {
+  try {
+    const { name, description, minAnnotators = 1, minAgreement = 0 } = req.body;
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Holdout name is required'
+      });
+    }
+
+    const holdout = await evaluationService.createHoldoutFromGold({
+      name,
+      description,
+      minAnnotators,
+      minAgreement,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: holdout._id,
+        name: holdout.name,
+        source: holdout.source,
+        size: holdout.items.length,
+        labelCounts: holdout.labelCounts
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to create holdout from gold labels',
+      error: error.message
+    });
+  }
+});
+
+// List holdout sets
+router.get('/holdouts', authenticateAdmin, async (req, res) => {
+  try {
+    const holdouts = await HoldoutSet.find()
+      .sort({ createdAt: -1 })
+      .select('-items')
+      .lean();
+
+    res.json({
+      success: true,
+      data: holdouts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list holdout sets',
+      error: error.message
+    });
+  }
+});
+
+// Evaluate the active sentiment classifier against a holdout set (queued job; poll GET /jobs/:id)
 router.post('/model/evaluate', authenticateAdmin, async (req, res) => {
   try {
-    // Placeholder for model evaluation
+    const { holdoutId } = req.body;
+    if (!holdoutId || !mongoose.Types.ObjectId.isValid(holdoutId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid holdoutId is required'
+      });
+    }
+
+    const job = await jobRunner.enqueueEvaluation(holdoutId, req.user.userId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Model evaluation initiated',
+      data: {
+        jobId: job._id,
+        status: job.status,
+        params: job.params
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to initiate model evaluation',
+      error: error.message
+    });
+  }
+});
+
+// Saved evaluations, filterable by model version
+router.get('/model/evaluations', authenticateAdmin, async (req, res) => {
+  try {
+    const { modelVersion, modelType, limit = 20 } = req.query;
+    const evaluations = await evaluationService.listEvaluations({ modelVersion, modelType, limit });
+
+    res.json({
+      success: true,
+      data: evaluations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list evaluations',
+      error: error.message
+    });
+  }
+});
+
+// Brier score, reliability bins and interval coverage of past probabilistic forecasts
+router.get('/model/calibration', authenticateAdmin, validateForecastQuery, async (req, res) => {
+  try {
+    const { symbols, coverage, horizon } = req.validatedQuery;
+    const symbolList = symbols ? symbols.split(',').map(s => s.trim()).filter(Boolean) : undefined;
+    const report = await probabilisticForecastService.getCalibration({ symbols: symbolList, coverage, horizon });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute forecast calibration',
+      error: error.message
+    });
+  }
+});
+
+// Compare recent feature distributions with the prediction model's training window now
+router.post('/drift/check', authenticateAdmin, validateDriftCheck, async (req, res) => {
+  try {
+    const report = await driftMonitorService.check({
+      ...req.body,
+      trigger: 'manual',
+      createdBy: req.user.userId
+    });
+    if (report.alert.raised) {
+      req.app.get('io').to(ADMIN_ROOM).emit('drift-alert', driftMonitorService.toAlert(report));
+    }
+
+    res.json({
+      success: true,
+      message: report.drifted ? 'Feature drift detected' : 'No feature drift detected',
+      data: report
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to run drift check',
+      error: error.message
+    });
+  }
+});
+
+// Stored drift reports, newest first
+router.get('/drift/reports', authenticateAdmin, validateDriftReportsQuery, async (req, res) => {
+  try {
+    const reports = await driftMonitorService.listReports(req.validatedQuery);
+
+    res.json({
+      success: true,
+      data: reports
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list drift reports',
+      error: error.message
+    });
+  }
+});
+
+// Drift alerts not yet acknowledged
+router.get('/drift/alerts', authenticateAdmin, async (req, res) => {
+  try {
+    const alerts = await driftMonitorService.getOpenAlerts();
+
+    res.json({
+      success: true,
+      data: alerts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list drift alerts',
+      error: error.message
+    });
+  }
+});
+
+router.get('/drift/reports/:id', authenticateAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid drift report id'
+      });
+    }
+
+    const report = await driftMonitorService.getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Drift report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get drift report',
+      error: error.message
+    });
+  }
+});
+
+router.post('/drift/reports/:id/acknowledge', authenticateAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid drift report id'
+      });
+    }
+
+    const report = await driftMonitorService.acknowledge(req.params.id, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Drift alert acknowledged',
+      data: report
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to acknowledge drift alert',
+      error: error.message
+    });
+  }
+});
+
+// Build the next-day prediction dataset (backend/dataset.txt layout)
+router.get('/dataset', authenticateAdmin, validateDatasetQuery, async (req, res) => {
+  try {
+    const { startDate, endDate, symbols, format, save } = req.validatedQuery;
+    const symbolList = symbols ? symbols.split(',').map(s => s.trim()).filter(Boolean) : undefined;
+
+    const dataset = await datasetBuilder.buildDataset({
+      symbols: symbolList,
+      startDate,
+      endDate
+    });
+
+    let filePath = null;
+    if (save) {
+      filePath = await datasetBuilder.writeDataset(dataset.rows);
+    }
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', 'attachment; filename="prediction_dataset.csv"');
+      return res.send(datasetBuilder.toCsv(dataset.rows));
+    }
+
     res.json({
       success: true,
-      message: 'Model evaluation completed',
       data: {
-        accuracy: 0.87,
-        precision: 0.89,
-        recall: 0.84,
-        f1Score: 0.86
+        columns: dataset.columns,
+        rows: dataset.rows,
+        totalRows: dataset.rows.length,
+        skipped: dataset.skipped,
+        filePath
       }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to evaluate model',
+      message: 'Failed to build dataset',
+      error: error.message
+    });
+  }
+});
+
+// Walk-forward backtest of the prediction model against a naive baseline
+router.post('/backtest', authenticateAdmin, validateBacktest, async (req, res) => {
+  try {
+    const report = await backtestService.run(req.body);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run backtest',
       error: error.message
     });
   }
@@ -2,17 +2,38 @@ const express = require('express');
 const router = express.Router();
 const Tweet = require('../models/Tweet');
 const Stock = require('../models/Stock');
+const { validateAggregationQuery, validateAlertsQuery } = require('../middleware/validation');
+const { spamMatch, spamWeight, safeDivide } = require('../utils/spamFilter');
+const { clusterStages, canonicalMatch } = require('../utils/clusterFilter');
+const sentimentSpikeDetector = require('../services/sentimentSpikeDetector');
 
 /**
  * @swagger
  * /api/dashboard/overview:
  *   get:
  *     summary: Get dashboard overview with key metrics
+ *     parameters:
+ *       - in: query
+ *         name: spam
+ *         schema:
+ *           type: string
+ *           enum: [include, exclude, downweight]
+ *           default: include
+ *         description: Keep, drop or down-weight suspected bot/spam tweets
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: string
+ *           enum: [tweets, clusters]
+ *           default: tweets
+ *         description: Count raw tweets or near-duplicate clusters
  */
-router.get('/overview', async (req, res) => {
+router.get('/overview', validateAggregationQuery, async (req, res) => {
   try {
-    const { timeRange = 24 } = req.query;
+    const { timeRange = 24, spam = 'include', count = 'tweets' } = req.query;
     const cutoffDate = new Date(Date.now() - timeRange * 60 * 60 * 1000);
+    const weight = spamWeight(spam);
+    const tweetFilter = { createdAt: { $gte: cutoffDate }, ...spamMatch(spam) };
 
     // Get key metrics
     const [
@@ -24,26 +45,31 @@ router.get('/overview', async (req, res) => {
       trendingCompanies,
       recentTweets
     ] = await Promise.all([
-      Tweet.countDocuments({ createdAt: { $gte: cutoffDate } }),
+      count === 'clusters'
+        ? Tweet.aggregate([{ $match: tweetFilter }, ...clusterStages(count), { $count: 'total' }])
+          .then(result => result[0]?.total || 0)
+        : Tweet.countDocuments(tweetFilter),
       Stock.countDocuments({ isActive: true }),
       Tweet.aggregate([
         {
           $match: {
             createdAt: { $gte: cutoffDate },
-            'relevance.isRelevant': true
+            'relevance.isRelevant': true,
+            ...spamMatch(spam)
           }
         },
+        ...clusterStages(count),
         {
           $group: {
             _id: '$sentiment.label',
-            count: { $sum: 1 }
+            count: { $sum: weight }
           }
         }
       ]),
       Stock.getTopGainers(5),
       Stock.getTopLosers(5),
-      Tweet.getTrendingCompanies(24),
-      Tweet.find({ createdAt: { $gte: cutoffDate } })
+      Tweet.getTrendingCompanies(24, { spam, count }),
+      Tweet.find({ ...tweetFilter, ...canonicalMatch(count) })
         .sort({ createdAt: -1 })
         .limit(10)
         .populate('companyTagged', 'symbol name')
@@ -67,6 +93,8 @@ router.get('/overview', async (req, res) => {
       success: true,
       data: {
         timeRange: `${timeRange}h`,
+        spam,
+        count,
         metrics: {
           totalTweets,
           totalStocks,
@@ -99,20 +127,38 @@ router.get('/overview', async (req, res) => {
  * /api/dashboard/analytics:
  *   get:
  *     summary: Get detailed analytics for dashboard
+ *     parameters:
+ *       - in: query
+ *         name: spam
+ *         schema:
+ *           type: string
+ *           enum: [include, exclude, downweight]
+ *           default: include
+ *         description: Keep, drop or down-weight suspected bot/spam tweets
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: string
+ *           enum: [tweets, clusters]
+ *           default: tweets
+ *         description: Count raw tweets or near-duplicate clusters
  */
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', validateAggregationQuery, async (req, res) => {
   try {
-    const { timeRange = 24 } = req.query;
+    const { timeRange = 24, spam = 'include', count = 'tweets' } = req.query;
     const cutoffDate = new Date(Date.now() - timeRange * 60 * 60 * 1000);
+    const weight = spamWeight(spam);
 
     // Get sentiment trends over time
     const sentimentTrends = await Tweet.aggregate([
       {
         $match: {
           createdAt: { $gte: cutoffDate },
-          'relevance.isRelevant': true
+          'relevance.isRelevant': true,
+          ...spamMatch(spam)
         }
       },
+      ...clusterStages(count),
       {
         $group: {
           _id: {
@@ -122,15 +168,15 @@ router.get('/analytics', async (req, res) => {
             hour: { $hour: '$createdAt' }
           },
           positive: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'positive'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'positive'] }, weight, 0] }
           },
           negative: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, weight, 0] }
           },
           neutral: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'neutral'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'neutral'] }, weight, 0] }
           },
-          total: { $sum: 1 }
+          total: { $sum: weight }
         }
       },
       {
@@ -160,26 +206,28 @@ router.get('/analytics', async (req, res) => {
       {
         $match: {
           createdAt: { $gte: cutoffDate },
-          'relevance.isRelevant': true
+          'relevance.isRelevant': true,
+          ...spamMatch(spam)
         }
       },
+      ...clusterStages(count),
       { $unwind: '$companyTagged' },
       {
         $group: {
           _id: '$companyTagged.symbol',
-          totalTweets: { $sum: 1 },
+          totalTweets: { $sum: weight },
           positive: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'positive'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'positive'] }, weight, 0] }
           },
           negative: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, weight, 0] }
           },
           neutral: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'neutral'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'neutral'] }, weight, 0] }
           },
           avgEngagement: { $avg: '$engagementScore' },
           highImpactCount: {
-            $sum: { $cond: [{ $eq: ['$marketImpact.level', 'high'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$marketImpact.level', 'high'] }, weight, 0] }
           }
         }
       },
@@ -224,31 +272,39 @@ router.get('/analytics', async (req, res) => {
       {
         $match: {
           createdAt: { $gte: cutoffDate },
-          'relevance.isRelevant': true
+          'relevance.isRelevant': true,
+          ...spamMatch(spam)
         }
       },
+      ...clusterStages(count),
       {
         $group: {
           _id: '$marketImpact.level',
-          count: { $sum: 1 },
-          avgSentiment: {
-            $avg: {
-              $cond: [
-                { $eq: ['$sentiment.label', 'positive'] },
-                1,
-                { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
-              ]
+          count: { $sum: weight },
+          sentimentSum: {
+            $sum: {
+              $multiply: [weight, {
+                $cond: [
+                  { $eq: ['$sentiment.label', 'positive'] },
+                  1,
+                  { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
+                ]
+              }]
             }
           },
           avgEngagement: { $avg: '$engagementScore' }
         }
-      }
+      },
+      { $addFields: { avgSentiment: safeDivide('$sentimentSum', '$count') } },
+      { $project: { sentimentSum: 0 } }
     ]);
 
     res.json({
       success: true,
       data: {
         timeRange: `${timeRange}h`,
+        spam,
+        count,
         sentimentTrends,
         companyPerformance,
         marketVolatility: marketVolatility[0] || {},
@@ -272,16 +328,58 @@ router.get('/analytics', async (req, res) => {
  * /api/dashboard/alerts:
  *   get:
  *     summary: Get market alerts and notifications
+ *     parameters:
+ *       - in: query
+ *         name: spam
+ *         schema:
+ *           type: string
+ *           enum: [include, exclude, downweight]
+ *           default: include
+ *         description: Keep, drop or down-weight suspected bot/spam tweets
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: string
+ *           enum: [tweets, clusters]
+ *           default: tweets
+ *         description: Count raw tweets or near-duplicate clusters
+ *       - in: query
+ *         name: timeRange
+ *         schema:
+ *           type: integer
+ *           default: 24
+ *         description: Hours to scan for high-impact tweets and sentiment spikes
+ *       - in: query
+ *         name: baselineDays
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *         description: Days of hourly history forming each symbol's rolling spike baseline
+ *       - in: query
+ *         name: baselineMethod
+ *         schema:
+ *           type: string
+ *           enum: [robust, standard]
+ *           default: robust
+ *         description: Baseline as median/MAD (robust) or mean/standard deviation
+ *       - in: query
+ *         name: zThreshold
+ *         schema:
+ *           type: number
+ *           default: 3
+ *         description: Baseline spreads an hour must deviate by to count as a spike
  */
-router.get('/alerts', async (req, res) => {
+router.get('/alerts', validateAlertsQuery, async (req, res) => {
   try {
-    const { timeRange = 24 } = req.query;
+    const { timeRange, spam, count, baselineDays, baselineMethod, zThreshold } = req.validatedQuery;
     const cutoffDate = new Date(Date.now() - timeRange * 60 * 60 * 1000);
 
     // Get high impact tweets
     const highImpactTweets = await Tweet.find({
       'marketImpact.level': 'high',
-      createdAt: { $gte: cutoffDate }
+      createdAt: { $gte: cutoffDate },
+      ...spamMatch(spam),
+      ...canonicalMatch(count)
     })
       .sort({ createdAt: -1 })
       .limit(20)
@@ -302,50 +400,25 @@ router.get('/alerts', async (req, res) => {
       .select('symbol name currentPrice priceChange priceChangePercent volume')
       .lean();
 
-    // Get sentiment spikes
-    const sentimentSpikes = await Tweet.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: cutoffDate },
-          'relevance.isRelevant': true
-        }
-      },
-      { $unwind: '$companyTagged' },
-      {
-        $group: {
-          _id: {
-            symbol: '$companyTagged.symbol',
-            hour: { $hour: '$createdAt' },
-            day: { $dayOfMonth: '$createdAt' }
-          },
-          tweetCount: { $sum: 1 },
-          avgSentiment: {
-            $avg: {
-              $cond: [
-                { $eq: ['$sentiment.label', 'positive'] },
-                1,
-                { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
-              ]
-            }
-          }
-        }
-      },
-      {
-        $match: {
-          tweetCount: { $gte: 10 } // At least 10 tweets in an hour
-        }
-      },
-      { $sort: { tweetCount: -1 } },
-      { $limit: 10 }
-    ]);
+    // Hours where a symbol's tweet volume or sentiment broke from its own rolling baseline
+    const spikeSettings = { baselineDays, method: baselineMethod, zThreshold };
+    const sentimentSpikes = await sentimentSpikeDetector.detect({
+      hours: timeRange,
+      spam,
+      count,
+      ...spikeSettings
+    });
 
     res.json({
       success: true,
       data: {
         timeRange: `${timeRange}h`,
+        spam,
+        count,
         highImpactTweets,
         significantMoves,
         sentimentSpikes,
+        spikeDetection: sentimentSpikeDetector.getSettings(spikeSettings),
         timestamp: new Date().toISOString()
       }
     });
@@ -399,37 +472,59 @@ router.get('/portfolio', async (req, res) => {
  * /api/dashboard/insights:
  *   get:
  *     summary: Get AI-generated market insights
+ *     parameters:
+ *       - in: query
+ *         name: spam
+ *         schema:
+ *           type: string
+ *           enum: [include, exclude, downweight]
+ *           default: include
+ *         description: Keep, drop or down-weight suspected bot/spam tweets
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: string
+ *           enum: [tweets, clusters]
+ *           default: tweets
+ *         description: Count raw tweets or near-duplicate clusters
  */
-router.get('/insights', async (req, res) => {
+router.get('/insights', validateAggregationQuery, async (req, res) => {
   try {
-    const { timeRange = 24 } = req.query;
+    const { timeRange = 24, spam = 'include', count = 'tweets' } = req.query;
     const cutoffDate = new Date(Date.now() - timeRange * 60 * 60 * 1000);
+    const weight = spamWeight(spam);
 
     // Get trending topics and their sentiment
     const trendingTopics = await Tweet.aggregate([
       {
         $match: {
           createdAt: { $gte: cutoffDate },
-          'relevance.isRelevant': true
+          'relevance.isRelevant': true,
+          ...spamMatch(spam)
         }
       },
+      ...clusterStages(count),
       { $unwind: '$hashtags' },
       {
         $group: {
           _id: '$hashtags',
-          count: { $sum: 1 },
-          avgSentiment: {
-            $avg: {
-              $cond: [
-                { $eq: ['$sentiment.label', 'positive'] },
-                1,
-                { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
-              ]
+          count: { $sum: weight },
+          sentimentSum: {
+            $sum: {
+              $multiply: [weight, {
+                $cond: [
+                  { $eq: ['$sentiment.label', 'positive'] },
+                  1,
+                  { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
+                ]
+              }]
             }
           },
           companies: { $addToSet: '$companyTagged.symbol' }
         }
       },
+      { $addFields: { avgSentiment: safeDivide('$sentimentSum', '$count') } },
+      { $project: { sentimentSum: 0 } },
       { $sort: { count: -1 } },
       { $limit: 10 }
     ]);
@@ -439,34 +534,39 @@ router.get('/insights', async (req, res) => {
       {
         $match: {
           createdAt: { $gte: cutoffDate },
-          'relevance.isRelevant': true
+          'relevance.isRelevant': true,
+          ...spamMatch(spam)
         }
       },
+      ...clusterStages(count),
       { $unwind: '$companyTagged' },
       {
         $group: {
           _id: '$companyTagged.symbol',
-          totalTweets: { $sum: 1 },
-          avgSentiment: {
-            $avg: {
-              $cond: [
-                { $eq: ['$sentiment.label', 'positive'] },
-                1,
-                { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
-              ]
+          totalTweets: { $sum: weight },
+          sentimentSum: {
+            $sum: {
+              $multiply: [weight, {
+                $cond: [
+                  { $eq: ['$sentiment.label', 'positive'] },
+                  1,
+                  { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
+                ]
+              }]
             }
           },
-          highImpactRatio: {
-            $avg: {
-              $cond: [
-                { $eq: ['$marketImpact.level', 'high'] },
-                1,
-                0
-              ]
-            }
+          highImpactSum: {
+            $sum: { $cond: [{ $eq: ['$marketImpact.level', 'high'] }, weight, 0] }
           }
         }
       },
+      {
+        $addFields: {
+          avgSentiment: safeDivide('$sentimentSum', '$totalTweets'),
+          highImpactRatio: safeDivide('$highImpactSum', '$totalTweets')
+        }
+      },
+      { $project: { sentimentSum: 0, highImpactSum: 0 } },
       {
         $match: {
           totalTweets: { $gte: 5 } // At least 5 tweets for meaningful analysis
@@ -480,6 +580,8 @@ router.get('/insights', async (req, res) => {
       success: true,
       data: {
         timeRange: `${timeRange}h`,
+        spam,
+        count,
         trendingTopics,
         correlationInsights,
         insights: [
@@ -0,0 +1,310 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authenticateAdmin } = require('../middleware/auth');
+const { validateLabel, validateLabelQueueQuery, validateReviewQueueQuery, validateLabelListQuery } = require('../middleware/validation');
+const labelingService = require('../services/labelingService');
+const reviewQueueService = require('../services/reviewQueueService');
+
+/**
+ * @swagger
+ * /api/labels/queue:
+ *   get:
+ *     summary: Tweets the current user has not labeled yet
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ */
+router.get('/queue', authenticateToken, validateLabelQueueQuery, async (req, res) => {
+  try {
+    const { limit, symbol } = req.validatedQuery;
+    const queue = await labelingService.getQueue(req.user.userId, { limit, symbol });
+
+    res.json({
+      success: true,
+      data: queue
+    });
+
+  } catch (error) {
+    console.error('Error fetching labeling queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch labeling queue',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/labels/review:
+ *   get:
+ *     summary: Next batch of the review queue, ranked by low confidence, provider disagreement and engagement, balanced across symbols
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ */
+router.get('/review', authenticateToken, validateReviewQueueQuery, async (req, res) => {
+  try {
+    const { limit, symbol } = req.validatedQuery;
+    const batch = await reviewQueueService.getNextBatch(req.user.userId, { limit, symbol });
+
+    res.json({
+      success: true,
+      data: batch
+    });
+
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch review queue',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/labels/review/{tweetId}/skip:
+ *   post:
+ *     summary: Skip a tweet in the current user's review queue
+ *     parameters:
+ *       - in: path
+ *         name: tweetId
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post('/review/:tweetId/skip', authenticateToken, async (req, res) => {
+  try {
+    const skip = await reviewQueueService.skip(req.params.tweetId, req.user.userId, req.body.reason);
+
+    res.json({
+      success: true,
+      data: skip,
+      message: 'Tweet skipped'
+    });
+
+  } catch (error) {
+    console.error('Error skipping tweet:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to skip tweet',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/labels/mine:
+ *   get:
+ *     summary: Label sets submitted by the current user
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ */
+router.get('/mine', authenticateToken, validateLabelListQuery, async (req, res) => {
+  try {
+    const { limit, page } = req.validatedQuery;
+    const result = await labelingService.listMyLabels(req.user.userId, { limit, page });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error fetching labels:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch labels',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/labels/agreement:
+ *   get:
+ *     summary: Inter-annotator agreement and model accuracy against gold labels
+ */
+router.get('/agreement', authenticateAdmin, async (req, res) => {
+  try {
+    const report = await labelingService.getAgreementReport();
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error computing annotator agreement:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute annotator agreement',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/labels/gold/export:
+ *   get:
+ *     summary: Export gold-labeled tweets as JSONL for evaluation or retraining (admin)
+ *     parameters:
+ *       - in: query
+ *         name: minAnnotators
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minAgreement
+ *         schema:
+ *           type: number
+ */
+router.get('/gold/export', authenticateAdmin, async (req, res) => {
+  try {
+    const { minAnnotators = 1, minAgreement = 0 } = req.query;
+    const gold = await labelingService.getGoldSet({ minAnnotators, minAgreement });
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', 'attachment; filename="gold-labels.jsonl"');
+    res.send(gold.map(item => JSON.stringify(item)).join('\n'));
+
+  } catch (error) {
+    console.error('Error exporting gold labels:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export gold labels',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/labels/tweets/{tweetId}:
+ *   get:
+ *     summary: Model predictions, gold labels and the current user's label for a tweet
+ *     parameters:
+ *       - in: path
+ *         name: tweetId
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/tweets/:tweetId', authenticateToken, async (req, res) => {
+  try {
+    const result = await labelingService.getTweetLabels(req.params.tweetId, req.user.userId, {
+      includeAll: req.user.role === 'admin'
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error fetching tweet labels:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to fetch tweet labels',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/labels/tweets/{tweetId}:
+ *   put:
+ *     summary: Create or update the current user's label set for a tweet
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sentiment
+ *               - isRelevant
+ *               - marketImpact
+ *             properties:
+ *               sentiment:
+ *                 type: string
+ *                 enum: [positive, negative, neutral]
+ *               isRelevant:
+ *                 type: boolean
+ *               marketImpact:
+ *                 type: string
+ *                 enum: [high, medium, low, none]
+ *               notes:
+ *                 type: string
+ */
+router.put('/tweets/:tweetId', authenticateToken, validateLabel, async (req, res) => {
+  try {
+    const result = await labelingService.submitLabel(req.params.tweetId, req.user.userId, req.body);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Label saved'
+    });
+
+  } catch (error) {
+    console.error('Error saving label:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to save label',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/labels/tweets/{tweetId}:
+ *   delete:
+ *     summary: Remove the current user's label set for a tweet
+ */
+router.delete('/tweets/:tweetId', authenticateToken, async (req, res) => {
+  try {
+    const goldLabels = await labelingService.removeLabel(req.params.tweetId, req.user.userId);
+
+    res.json({
+      success: true,
+      data: { goldLabels },
+      message: 'Label removed'
+    });
+
+  } catch (error) {
+    console.error('Error removing label:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to remove label',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const predictionService = require('../services/predictionService');
+const probabilisticForecastService = require('../services/probabilisticForecastService');
+const forecastLedgerService = require('../services/forecastLedgerService');
+const { validatePredictionQuery, validateForecastQuery, validateLedgerQuery } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * /api/predictions/ledger:
+ *   get:
+ *     summary: Track record of issued forecasts reconciled against actual closes
+ *     description: Hit rate, rolling error and predicted vs actual closes per symbol and model version, plus totals per model version
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *         description: Registered forecasting method, e.g. naive, sentiment_baseline, ridge_regression
+ *       - in: query
+ *         name: modelVersion
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: horizon
+ *         schema:
+ *           type: integer
+ *           enum: [1, 5, 20]
+ *         description: Forecast horizon in trading days (all horizons when omitted)
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 90
+ *         description: Forecasts issued in the last N days
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: integer
+ *           minimum: 2
+ *           maximum: 60
+ *           default: 10
+ *         description: Reconciled forecasts in the rolling error window
+ */
+router.get('/ledger', validateLedgerQuery, async (req, res) => {
+  try {
+    const performance = await forecastLedgerService.getPerformance(req.validatedQuery);
+
+    res.json({
+      success: true,
+      data: performance
+    });
+
+  } catch (error) {
+    console.error('Error reading forecast ledger:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch forecast ledger',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/predictions/{symbol}:
+ *   get:
+ *     summary: Predict the close 1, 5 or 20 trading days ahead from price, DJIA and sentiment lags
+ *     description: Each horizon has its own model. Includes per-feature contributions (coefficient x standardized value) that sum, with the baseline, to the predicted change
+ *     parameters:
+ *       - in: path
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stock symbol
+ *       - in: query
+ *         name: horizon
+ *         schema:
+ *           type: integer
+ *           enum: [1, 5, 20]
+ *           default: 1
+ *         description: Forecast horizon in trading days
+ */
+router.get('/:symbol', validatePredictionQuery, async (req, res) => {
+  try {
+    const prediction = await predictionService.predict(req.params.symbol, {
+      horizon: req.validatedQuery.horizon
+    });
+    await forecastLedgerService.recordIssued('ridge_regression', prediction.symbol, forecastLedgerService.fromPrediction(prediction));
+
+    res.json({
+      success: true,
+      data: prediction
+    });
+
+  } catch (error) {
+    console.error(`Error predicting ${req.params.symbol}:`, error.message);
+    const status = error.status || (/No data found/.test(error.message) ? 404 : 500);
+    res.status(status).json({
+      success: false,
+      error: 'Failed to generate prediction',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/predictions/{symbol}/distribution:
+ *   get:
+ *     summary: Quantile interval and up-move probability for the close 1, 5 or 20 trading days ahead
+ *     description: Built from the point forecast and the model's walk-forward errors, with Brier score and reliability bins of past forecasts
+ *     parameters:
+ *       - in: path
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stock symbol
+ *       - in: query
+ *         name: coverage
+ *         schema:
+ *           type: number
+ *           minimum: 0.5
+ *           maximum: 0.99
+ *           default: 0.8
+ *         description: Probability mass inside the prediction interval
+ *       - in: query
+ *         name: horizon
+ *         schema:
+ *           type: integer
+ *           enum: [1, 5, 20]
+ *           default: 1
+ *         description: Forecast horizon in trading days
+ */
+router.get('/:symbol/distribution', validateForecastQuery, async (req, res) => {
+  try {
+    const forecast = await probabilisticForecastService.forecast(req.params.symbol, {
+      coverage: req.validatedQuery.coverage,
+      horizon: req.validatedQuery.horizon
+    });
+    // The ledger tracks intervals at the default coverage only
+    const ledgerForecast = forecastLedgerService.fromPrediction(forecast);
+    if (forecast.interval.coverage !== probabilisticForecastService.defaultCoverage) {
+      delete ledgerForecast.interval;
+    }
+    await forecastLedgerService.recordIssued('ridge_regression', forecast.symbol, ledgerForecast);
+
+    res.json({
+      success: true,
+      data: forecast
+    });
+
+  } catch (error) {
+    console.error(`Error forecasting distribution for ${req.params.symbol}:`, error.message);
+    const status = error.status || (/No data found/.test(error.message) ? 404 : 500);
+    res.status(status).json({
+      success: false,
+      error: 'Failed to generate probabilistic forecast',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
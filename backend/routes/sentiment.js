@@ -2,7 +2,21 @@ const express = require('express');
 const router = express.Router();
 const Tweet = require('../models/Tweet');
 const Stock = require('../models/Stock');
-const { validateSentimentQuery } = require('../middleware/validation');
+const sentimentPriceService = require('../services/sentimentPriceService');
+const eventStudyService = require('../services/eventStudyService');
+const { validateSentimentQuery, validateAggregationQuery, validateImpactAnalysisQuery, validateLeadLagQuery, validateEventStudyQuery } = require('../middleware/validation');
+const { spamMatch, spamWeight, safeDivide } = require('../utils/spamFilter');
+const { clusterStages } = require('../utils/clusterFilter');
+const { ENGAGEMENT_SCORE, sentimentWeight, weightingParams } = require('../utils/sentimentWeighting');
+
+// +1 / -1 / 0 per tweet, the unit every sentiment score averages
+const SENTIMENT_VALUE = {
+  $cond: [
+    { $eq: ['$sentiment.label', 'positive'] },
+    1,
+    { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
+  ]
+};
 
 /**
  * @swagger
@@ -27,28 +41,62 @@ const { validateSentimentQuery } = require('../middleware/validation');
  *           type: string
  *           enum: [hourly, daily, weekly]
  *           default: daily
+ *       - in: query
+ *         name: spam
+ *         schema:
+ *           type: string
+ *           enum: [include, exclude, downweight]
+ *           default: include
+ *         description: Keep, drop or down-weight suspected bot/spam tweets
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: string
+ *           enum: [tweets, clusters]
+ *           default: tweets
+ *         description: Count raw tweets or near-duplicate clusters
+ *       - in: query
+ *         name: weighting
+ *         schema:
+ *           type: string
+ *           enum: [none, influence]
+ *           default: none
+ *         description: Add a weightedSentiment score (confidence, engagement, followers, time decay)
+ *       - in: query
+ *         name: halfLife
+ *         schema:
+ *           type: number
+ *           default: 24
+ *         description: Time-decay half-life in hours for influence weighting
  */
 router.get('/company/:symbol', validateSentimentQuery, async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { timeRange = 24, granularity = 'daily' } = req.validatedQuery;
+    const { timeRange, granularity, spam, count, weighting, halfLife } = req.validatedQuery;
 
     const cutoffDate = new Date(Date.now() - timeRange * 60 * 60 * 1000);
+    const weight = spamWeight(spam);
+    const influence = sentimentWeight(weighting, { halfLifeHours: halfLife });
+    const companyMatch = {
+      $match: {
+        'companyTagged.symbol': symbol.toUpperCase(),
+        createdAt: { $gte: cutoffDate },
+        ...spamMatch(spam)
+      }
+    };
 
     // Get sentiment statistics
     const sentimentStats = await Tweet.aggregate([
-      {
-        $match: {
-          'companyTagged.symbol': symbol.toUpperCase(),
-          createdAt: { $gte: cutoffDate }
-        }
-      },
+      companyMatch,
+      ...clusterStages(count),
       {
         $group: {
           _id: '$sentiment.label',
-          count: { $sum: 1 },
+          count: { $sum: weight },
+          // Influence weighting stacks on top of the spam weight
+          ...(influence && { weight: { $sum: { $multiply: [weight, influence] } } }),
           avgConfidence: { $avg: '$sentiment.confidence' },
-          avgEngagement: { $avg: '$engagementScore' }
+          avgEngagement: { $avg: ENGAGEMENT_SCORE }
         }
       }
     ]);
@@ -80,37 +128,36 @@ router.get('/company/:symbol', validateSentimentQuery, async (req, res) => {
     }
 
     const sentimentOverTime = await Tweet.aggregate([
-      {
-        $match: {
-          'companyTagged.symbol': symbol.toUpperCase(),
-          createdAt: { $gte: cutoffDate }
-        }
-      },
+      companyMatch,
+      ...clusterStages(count),
       {
         $group: {
           _id: timeGrouping,
           positive: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'positive'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'positive'] }, weight, 0] }
           },
           negative: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, weight, 0] }
           },
           neutral: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'neutral'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'neutral'] }, weight, 0] }
           },
-          total: { $sum: 1 },
-          avgSentiment: {
-            $avg: {
-              $cond: [
-                { $eq: ['$sentiment.label', 'positive'] },
-                1,
-                { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
-              ]
-            }
-          }
+          total: { $sum: weight },
+          sentimentSum: { $sum: { $multiply: [weight, SENTIMENT_VALUE] } },
+          ...(influence && {
+            weightedSum: { $sum: { $multiply: [weight, influence, SENTIMENT_VALUE] } },
+            weight: { $sum: { $multiply: [weight, influence] } }
+          })
         }
       },
-      { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.hour': 1 } }
+      {
+        $addFields: {
+          avgSentiment: safeDivide('$sentimentSum', '$total'),
+          ...(influence && { weightedSentiment: safeDivide('$weightedSum', '$weight') })
+        }
+      },
+      { $project: { sentimentSum: 0, ...(influence && { weightedSum: 0, weight: 0 }) } },
+      { $sort: { '_id.year': 1, '_id.month': 1, '_id.week': 1, '_id.day': 1, '_id.hour': 1 } }
     ]);
 
     // Get stock data for comparison
@@ -127,13 +174,26 @@ router.get('/company/:symbol', validateSentimentQuery, async (req, res) => {
 
     const overallSentiment = totalTweets > 0 ? (positiveCount - negativeCount) / totalTweets : 0;
 
+    // Same score with each tweet counted by its influence weight
+    let weightedSentiment;
+    if (influence) {
+      const totalWeight = sentimentStats.reduce((sum, stat) => sum + stat.weight, 0);
+      const positiveWeight = sentimentStats.find(s => s._id === 'positive')?.weight || 0;
+      const negativeWeight = sentimentStats.find(s => s._id === 'negative')?.weight || 0;
+      weightedSentiment = totalWeight > 0 ? (positiveWeight - negativeWeight) / totalWeight : 0;
+    }
+
     res.json({
       success: true,
       data: {
         symbol: symbol.toUpperCase(),
         timeRange: `${timeRange}h`,
         granularity,
+        spam,
+        count,
+        weighting: weightingParams(weighting, { halfLifeHours: halfLife }),
         overallSentiment,
+        weightedSentiment,
         totalTweets,
         sentimentBreakdown: {
           positive: positiveCount,
@@ -165,24 +225,42 @@ router.get('/company/:symbol', validateSentimentQuery, async (req, res) => {
  * /api/sentiment/market-overview:
  *   get:
  *     summary: Get overall market sentiment overview
+ *     parameters:
+ *       - in: query
+ *         name: spam
+ *         schema:
+ *           type: string
+ *           enum: [include, exclude, downweight]
+ *           default: include
+ *         description: Keep, drop or down-weight suspected bot/spam tweets
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: string
+ *           enum: [tweets, clusters]
+ *           default: tweets
+ *         description: Count raw tweets or near-duplicate clusters
  */
-router.get('/market-overview', async (req, res) => {
+router.get('/market-overview', validateAggregationQuery, async (req, res) => {
   try {
-    const { timeRange = 24 } = req.query;
+    const { timeRange = 24, spam = 'include', count = 'tweets' } = req.query;
     const cutoffDate = new Date(Date.now() - timeRange * 60 * 60 * 1000);
+    const weight = spamWeight(spam);
 
     // Get overall market sentiment
     const marketSentiment = await Tweet.aggregate([
       {
         $match: {
           createdAt: { $gte: cutoffDate },
-          'relevance.isRelevant': true
+          'relevance.isRelevant': true,
+          ...spamMatch(spam)
         }
       },
+      ...clusterStages(count),
       {
         $group: {
           _id: '$sentiment.label',
-          count: { $sum: 1 },
+          count: { $sum: weight },
           avgConfidence: { $avg: '$sentiment.confidence' }
         }
       }
@@ -193,22 +271,24 @@ router.get('/market-overview', async (req, res) => {
       {
         $match: {
           createdAt: { $gte: cutoffDate },
-          'relevance.isRelevant': true
+          'relevance.isRelevant': true,
+          ...spamMatch(spam)
         }
       },
+      ...clusterStages(count),
       { $unwind: '$companyTagged' },
       {
         $group: {
           _id: '$companyTagged.symbol',
-          totalTweets: { $sum: 1 },
+          totalTweets: { $sum: weight },
           positive: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'positive'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'positive'] }, weight, 0] }
           },
           negative: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, weight, 0] }
           },
           neutral: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'neutral'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'neutral'] }, weight, 0] }
           }
         }
       },
@@ -232,25 +312,31 @@ router.get('/market-overview', async (req, res) => {
       {
         $match: {
           createdAt: { $gte: cutoffDate },
-          'relevance.isRelevant': true
+          'relevance.isRelevant': true,
+          ...spamMatch(spam)
         }
       },
+      ...clusterStages(count),
       { $unwind: '$hashtags' },
       {
         $group: {
           _id: '$hashtags',
-          count: { $sum: 1 },
-          avgSentiment: {
-            $avg: {
-              $cond: [
-                { $eq: ['$sentiment.label', 'positive'] },
-                1,
-                { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
-              ]
+          count: { $sum: weight },
+          sentimentSum: {
+            $sum: {
+              $multiply: [weight, {
+                $cond: [
+                  { $eq: ['$sentiment.label', 'positive'] },
+                  1,
+                  { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
+                ]
+              }]
             }
           }
         }
       },
+      { $addFields: { avgSentiment: safeDivide('$sentimentSum', '$count') } },
+      { $project: { sentimentSum: 0 } },
       { $sort: { count: -1 } },
       { $limit: 10 }
     ]);
@@ -267,6 +353,8 @@ router.get('/market-overview', async (req, res) => {
       success: true,
       data: {
         timeRange: `${timeRange}h`,
+        spam,
+        count,
         overallSentiment,
         totalTweets,
         sentimentBreakdown: {
@@ -302,19 +390,50 @@ router.get('/market-overview', async (req, res) => {
  *           type: integer
  *           default: 7
  *         description: Number of days to analyze
+ *       - in: query
+ *         name: spam
+ *         schema:
+ *           type: string
+ *           enum: [include, exclude, downweight]
+ *           default: include
+ *         description: Keep, drop or down-weight suspected bot/spam tweets
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: string
+ *           enum: [tweets, clusters]
+ *           default: tweets
+ *         description: Count raw tweets or near-duplicate clusters
+ *       - in: query
+ *         name: weighting
+ *         schema:
+ *           type: string
+ *           enum: [none, influence]
+ *           default: none
+ *         description: Add a weightedSentiment score (confidence, engagement, followers, time decay)
+ *       - in: query
+ *         name: halfLife
+ *         schema:
+ *           type: number
+ *           default: 24
+ *         description: Time-decay half-life in hours for influence weighting
  */
-router.get('/trends', async (req, res) => {
+router.get('/trends', validateSentimentQuery, async (req, res) => {
   try {
-    const { days = 7 } = req.query;
+    const { days, spam, count, weighting, halfLife } = req.validatedQuery;
     const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const weight = spamWeight(spam);
+    const influence = sentimentWeight(weighting, { halfLifeHours: halfLife });
 
     const sentimentTrends = await Tweet.aggregate([
       {
         $match: {
           createdAt: { $gte: cutoffDate },
-          'relevance.isRelevant': true
+          'relevance.isRelevant': true,
+          ...spamMatch(spam)
         }
       },
+      ...clusterStages(count),
       {
         $group: {
           _id: {
@@ -323,19 +442,24 @@ router.get('/trends', async (req, res) => {
             day: { $dayOfMonth: '$createdAt' }
           },
           positive: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'positive'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'positive'] }, weight, 0] }
           },
           negative: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, weight, 0] }
           },
           neutral: {
-            $sum: { $cond: [{ $eq: ['$sentiment.label', 'neutral'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'neutral'] }, weight, 0] }
           },
-          total: { $sum: 1 }
+          total: { $sum: weight },
+          ...(influence && {
+            weightedSum: { $sum: { $multiply: [weight, influence, SENTIMENT_VALUE] } },
+            weight: { $sum: { $multiply: [weight, influence] } }
+          })
         }
       },
       {
         $addFields: {
+          ...(influence && { weightedSentiment: safeDivide('$weightedSum', '$weight') }),
           date: {
             $dateFromParts: {
               year: '$_id.year',
@@ -361,7 +485,8 @@ router.get('/trends', async (req, res) => {
           negative: 1,
           neutral: 1,
           total: 1,
-          sentimentScore: 1
+          sentimentScore: 1,
+          ...(influence && { weightedSentiment: 1 })
         }
       }
     ]);
@@ -370,6 +495,9 @@ router.get('/trends', async (req, res) => {
       success: true,
       data: {
         days,
+        spam,
+        count,
+        weighting: weightingParams(weighting, { halfLifeHours: halfLife }),
         trends: sentimentTrends,
         timestamp: new Date().toISOString()
       }
@@ -393,22 +521,28 @@ router.get('/trends', async (req, res) => {
  *     parameters:
  *       - in: query
  *         name: symbol
+ *         required: true
  *         schema:
  *           type: string
  *         description: Stock symbol to analyze
+ *       - in: query
+ *         name: timeRange
+ *         schema:
+ *           type: integer
+ *           default: 24
+ *         description: Time range in hours for high-impact tweets and the label breakdown
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Calendar days of price history used for the sentiment/return correlations
  */
-router.get('/impact-analysis', async (req, res) => {
+router.get('/impact-analysis', validateImpactAnalysisQuery, async (req, res) => {
   try {
-    const { symbol, timeRange = 24 } = req.query;
+    const { symbol, timeRange, window: windowDays } = req.validatedQuery;
     const cutoffDate = new Date(Date.now() - timeRange * 60 * 60 * 1000);
 
-    if (!symbol) {
-      return res.status(400).json({
-        success: false,
-        error: 'Stock symbol is required'
-      });
-    }
-
     // Get tweets with high impact
     const highImpactTweets = await Tweet.find({
       'companyTagged.symbol': symbol.toUpperCase(),
@@ -420,8 +554,8 @@ router.get('/impact-analysis', async (req, res) => {
       .select('text sentiment marketImpact createdAt engagement')
       .lean();
 
-    // Get sentiment correlation with price changes
-    const sentimentPriceCorrelation = await Tweet.aggregate([
+    // Get tweet counts per sentiment label
+    const sentimentBreakdown = await Tweet.aggregate([
       {
         $match: {
           'companyTagged.symbol': symbol.toUpperCase(),
@@ -431,7 +565,7 @@ router.get('/impact-analysis', async (req, res) => {
       {
         $group: {
           _id: '$sentiment.label',
-          avgEngagement: { $avg: '$engagementScore' },
+          avgEngagement: { $avg: ENGAGEMENT_SCORE },
           count: { $sum: 1 },
           avgImpactConfidence: { $avg: '$marketImpact.confidence' }
         }
@@ -444,13 +578,28 @@ router.get('/impact-analysis', async (req, res) => {
       isActive: true 
     }).select('currentPrice priceChangePercent priceHistory').lean();
 
+    // Correlate daily sentiment with same-day and next-day returns; without price
+    // history (404) the rest of the analysis is still returned
+    let sentimentPriceCorrelation = null;
+    let sentimentPriceCorrelationReason = stock ? null : 'Stock is not tracked';
+    if (stock) {
+      try {
+        sentimentPriceCorrelation = await sentimentPriceService.getCorrelation(symbol, { windowDays });
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        sentimentPriceCorrelationReason = error.message;
+      }
+    }
+
     res.json({
       success: true,
       data: {
         symbol: symbol.toUpperCase(),
         timeRange: `${timeRange}h`,
         highImpactTweets,
+        sentimentBreakdown,
         sentimentPriceCorrelation,
+        sentimentPriceCorrelationReason,
         stockData: stock ? {
           currentPrice: stock.currentPrice,
           priceChangePercent: stock.priceChangePercent,
@@ -469,6 +618,129 @@ router.get('/impact-analysis', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/sentiment/lead-lag:
+ *   get:
+ *     summary: Lead-lag profile between daily sentiment and stock returns
+ *     description: Cross-correlation of daily sentiment with returns shifted by -maxLag..+maxLag trading days (positive lags mean sentiment leads price) and Granger-style F-tests in both directions
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stock symbol to analyze
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: integer
+ *           default: 90
+ *         description: Calendar days of price history to analyze
+ *       - in: query
+ *         name: maxLag
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: Largest lag in trading days, each direction
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: integer
+ *           default: 2
+ *         description: Number of lagged days in the Granger-style regressions
+ */
+router.get('/lead-lag', validateLeadLagQuery, async (req, res) => {
+  try {
+    const { symbol, window: windowDays, maxLag, order } = req.validatedQuery;
+
+    const leadLag = await sentimentPriceService.getLeadLag(symbol, { windowDays, maxLag, order });
+
+    res.json({
+      success: true,
+      data: {
+        symbol: symbol.toUpperCase(),
+        ...leadLag
+      }
+    });
+
+  } catch (error) {
+    console.error('Error computing lead-lag analysis:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to compute lead-lag analysis',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sentiment/event-study:
+ *   get:
+ *     summary: Event study of abnormal returns around stored stock impact events
+ *     description: Abnormal returns versus the benchmark index on trading days -pre..+post around each Stock.impactEvents entry, with cumulative average abnormal return curves overall, by event type and by event sentiment
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *         description: Limit to one stock (all stocks with events by default)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [earnings, news, analyst_rating, insider_trading, other]
+ *       - in: query
+ *         name: sentiment
+ *         schema:
+ *           type: string
+ *           enum: [positive, negative, neutral]
+ *       - in: query
+ *         name: pre
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: Trading days before the event
+ *       - in: query
+ *         name: post
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Trading days after the event
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *           enum: [market_model, market_adjusted]
+ *           default: market_model
+ *         description: Expected-return model; market_model skips events with fewer than 20 estimation days (counted in eventsSkipped.short_estimation_window)
+ */
+router.get('/event-study', validateEventStudyQuery, async (req, res) => {
+  try {
+    const { symbol, type, sentiment, pre: preDays, post: postDays, model } = req.validatedQuery;
+
+    const study = await eventStudyService.run({ symbol, type, sentiment, preDays, postDays, model });
+
+    res.json({
+      success: true,
+      data: {
+        symbol: symbol ? symbol.toUpperCase() : null,
+        filters: { type: type || null, sentiment: sentiment || null },
+        ...study
+      }
+    });
+
+  } catch (error) {
+    console.error('Error running event study:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to run event study',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
 
 
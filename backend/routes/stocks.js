@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Stock = require('../models/Stock');
-const { validateStockQuery } = require('../middleware/validation');
+const { validateStockQuery, validateAggregationQuery } = require('../middleware/validation');
 const stockService = require('../services/stockService');
 const stockDataAgent = require('../services/stockDataAgent');
 
@@ -241,14 +241,23 @@ router.get('/:symbol/price-history', validateStockQuery, async (req, res) => {
  * /api/stocks/market-summary:
  *   get:
  *     summary: Get market summary with top gainers, losers, and most active
+ *     parameters:
+ *       - in: query
+ *         name: spam
+ *         schema:
+ *           type: string
+ *           enum: [include, exclude, downweight]
+ *           default: include
+ *         description: Keep, drop or down-weight suspected bot/spam tweets
  */
-router.get('/market-summary', async (req, res) => {
+router.get('/market-summary', validateAggregationQuery, async (req, res) => {
   try {
+    const { spam = 'include' } = req.query;
     const [topGainers, topLosers, mostActive, sentimentLeaders] = await Promise.all([
       Stock.getTopGainers(10),
       Stock.getTopLosers(10),
       Stock.getMostActive(10),
-      Stock.getSentimentLeaders(10)
+      Stock.getSentimentLeaders(10, { spam })
     ]);
 
     res.json({
@@ -258,6 +267,7 @@ router.get('/market-summary', async (req, res) => {
         topLosers,
         mostActive,
         sentimentLeaders,
+        spam,
         timestamp: new Date().toISOString()
       }
     });
@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const Tweet = require('../models/Tweet');
-const { validateTweetQuery } = require('../middleware/validation');
+const tweetService = require('../services/tweetService');
+const entityTagger = require('../services/entityTagger');
+const spamScorer = require('../services/spamScorer');
+const duplicateClusterer = require('../services/duplicateClusterer');
+const impactEventDetector = require('../services/impactEventDetector');
+const { validateTweetQuery, validateAggregationQuery } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
 
 /**
@@ -210,20 +215,17 @@ router.post('/classify', authenticateToken, async (req, res) => {
       });
     }
 
-    // Call ML classifier service
-    const classifierResponse = await fetch(`${process.env.ML_CLASSIFIER_URL}/classify`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ text })
-    });
+    // Classify through the configured classifier providers
+    const { classification, modelVersion, disagreement } = await tweetService.classifyTweet(text);
 
-    if (!classifierResponse.ok) {
-      throw new Error('Failed to classify tweet');
-    }
+    // Resolve company mentions, keeping any tags supplied by the caller
+    const companyTagged = await entityTagger.tagTweet(text, otherData.companyTagged);
+
+    // Score bot/spam likelihood against the account's recent activity
+    const spam = await spamScorer.scoreTweet({ ...otherData, text, userId, createdAt: new Date() });
 
-    const classification = await classifierResponse.json();
+    // Group with earlier near-duplicates (copy-paste campaigns, retweets)
+    const duplicate = await duplicateClusterer.assignCluster({ tweetId, text, createdAt: new Date() });
 
     // Create new tweet document
     const tweet = new Tweet({
@@ -234,11 +236,21 @@ router.post('/classify', authenticateToken, async (req, res) => {
       username,
       createdAt: new Date(),
       ...classification,
-      ...otherData
+      ...otherData,
+      companyTagged,
+      spam,
+      duplicate,
+      metadata: { ...otherData.metadata, modelVersion, providerDisagreement: disagreement }
     });
 
+    // Replace the classifier's impact guess with the in-house impact model's
+    await tweetService.applyImpactModel(tweet);
+
     await tweet.save();
 
+    // Record tweet volume / sentiment spikes for the companies mentioned
+    await impactEventDetector.checkTweets([tweet]);
+
     // Emit real-time update
     const io = req.app.get('io');
     io.emit('new-tweet', {
@@ -327,16 +339,32 @@ router.get('/stats/company/:symbol', async (req, res) => {
  *           type: integer
  *           default: 24
  *         description: Time range in hours
+ *       - in: query
+ *         name: spam
+ *         schema:
+ *           type: string
+ *           enum: [include, exclude, downweight]
+ *           default: include
+ *         description: Keep, drop or down-weight suspected bot/spam tweets
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: string
+ *           enum: [tweets, clusters]
+ *           default: tweets
+ *         description: Count raw tweets or near-duplicate clusters
  */
-router.get('/trending/companies', async (req, res) => {
+router.get('/trending/companies', validateAggregationQuery, async (req, res) => {
   try {
-    const { hours = 24 } = req.query;
-    const trending = await Tweet.getTrendingCompanies(parseInt(hours));
+    const { hours = 24, spam = 'include', count = 'tweets' } = req.query;
+    const trending = await Tweet.getTrendingCompanies(parseInt(hours), { spam, count });
 
     res.json({
       success: true,
       data: trending,
-      timeRange: `${hours}h`
+      timeRange: `${hours}h`,
+      spam,
+      count
     });
 
   } catch (error) {
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const datasetBuilder = require('../services/datasetBuilder');
+require('dotenv').config();
+
+// Usage: node scripts/buildDataset.js --start=2025-08-01 --end=2025-09-15 --symbols=AAPL,MSFT --out=./dataset.csv
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) args[match[1]] = match[2];
+  });
+  return args;
+}
+
+async function buildDataset() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    // Connect to MongoDB (tweet aggregates)
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    console.log('🔄 Building prediction dataset...');
+    const { rows, skipped } = await datasetBuilder.buildDataset({
+      symbols: args.symbols ? args.symbols.split(',').map(s => s.trim()).filter(Boolean) : undefined,
+      startDate: args.start,
+      endDate: args.end
+    });
+
+    skipped.forEach(({ symbol, reason }) => console.log(`⚠️ Skipped ${symbol}: ${reason}`));
+
+    const filePath = await datasetBuilder.writeDataset(
+      rows,
+      args.out ? path.resolve(args.out) : null
+    );
+    console.log(`✅ Wrote ${rows.length} rows to ${filePath}`);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+// Run the script
+buildDataset();
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+const duplicateClusterer = require('../services/duplicateClusterer');
+require('dotenv').config();
+
+// Usage: node scripts/clusterTweets.js [--all]
+// Assigns near-duplicate clusters to stored tweets, oldest first. Without --all only
+// tweets that have no cluster yet are processed; --all rebuilds every cluster.
+async function clusterTweets() {
+  try {
+    const rebuild = process.argv.includes('--all');
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    if (rebuild) {
+      await Tweet.updateMany({}, { $unset: { duplicate: 1 } });
+    }
+
+    const cursor = Tweet.find({ 'duplicate.clusterId': { $exists: false } })
+      .sort({ createdAt: 1 })
+      .select('tweetId text cleanedText createdAt')
+      .lean()
+      .cursor();
+
+    let processed = 0;
+    let duplicates = 0;
+    for await (const tweet of cursor) {
+      const duplicate = await duplicateClusterer.assignCluster(tweet);
+      await Tweet.updateOne({ _id: tweet._id }, { duplicate });
+      processed++;
+      if (!duplicate.isCanonical) duplicates++;
+    }
+
+    console.log(`✅ Clustered ${processed} tweets (${duplicates} near-duplicates)`);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+// Run the script
+clusterTweets();
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const backtestService = require('../services/backtestService');
+require('dotenv').config();
+
+// Usage: node scripts/runBacktest.js --symbols=AAPL,TSLA --start=2025-08-15 --end=2025-09-15 --min-train=15
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) args[match[1]] = match[2];
+  });
+  return args;
+}
+
+const format = (value, digits = 4) => (value === null || value === undefined ? 'n/a' : value.toFixed(digits));
+
+async function runBacktest() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    // Connect to MongoDB (tweet history)
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    console.log('🔄 Running walk-forward backtest...');
+    const report = await backtestService.run({
+      symbols: args.symbols ? args.symbols.split(',').map(s => s.trim()).filter(Boolean) : undefined,
+      startDate: args.start,
+      endDate: args.end,
+      minTrainSize: args['min-train'] ? parseInt(args['min-train'], 10) : undefined,
+      lambda: args.lambda ? parseFloat(args.lambda) : undefined
+    });
+
+    report.symbols.forEach(result => {
+      console.log(`\n📈 ${result.symbol} (${result.samples} forecasts, ${result.window.start} → ${result.window.end})`);
+      Object.entries(result.models).forEach(([name, metrics]) => {
+        console.log(`   ${name.padEnd(15)} MAE ${format(metrics.mae)}  RMSE ${format(metrics.rmse)}  Direction ${format(metrics.directionalAccuracy, 3)}`);
+      });
+    });
+    report.skipped.forEach(({ symbol, reason }) => console.log(`⚠️ Skipped ${symbol}: ${reason}`));
+
+    console.log('\n📊 Summary');
+    console.log(JSON.stringify(report.summary, null, 2));
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+// Run the script
+runBacktest();
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+const entityTagger = require('../services/entityTagger');
+require('dotenv').config();
+
+// Usage: node scripts/tagTweets.js [--all]
+// Re-runs the entity tagger over stored tweets. Without --all only untagged tweets are processed.
+async function tagTweets() {
+  try {
+    const retagAll = process.argv.includes('--all');
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const filter = retagAll ? {} : { 'companyTagged.0': { $exists: false } };
+    const cursor = Tweet.find(filter).select('text companyTagged').cursor();
+
+    let scanned = 0;
+    let updated = 0;
+    for await (const tweet of cursor) {
+      scanned++;
+      const companyTagged = await entityTagger.tagTweet(tweet.text, tweet.companyTagged.map(tag => tag.toObject()));
+      if (companyTagged.length) {
+        await Tweet.updateOne({ _id: tweet._id }, { companyTagged });
+        updated++;
+      }
+    }
+
+    console.log(`✅ Tagged ${updated} of ${scanned} tweets`);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+// Run the script
+tagTweets();
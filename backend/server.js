@@ -17,9 +17,15 @@ const stockRoutes = require('./routes/stocks');
 const sentimentRoutes = require('./routes/sentiment');
 const dashboardRoutes = require('./routes/dashboard');
 const adminRoutes = require('./routes/admin');
+const predictionRoutes = require('./routes/predictions');
+const labelRoutes = require('./routes/labels');
 
 // Import services
 const stockService = require('./services/stockService');
+const jobRunner = require('./services/jobRunner');
+const driftMonitorService = require('./services/driftMonitorService');
+const forecastLedgerService = require('./services/forecastLedgerService');
+const { ADMIN_ROOM, joinAdminRoom } = require('./middleware/auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -64,6 +70,20 @@ mongoose.connect(process.env.MONGODB_URI, {
   } catch (error) {
     console.error('❌ Error initializing stock data agent:', error);
   }
+
+  // Jobs from a previous process can no longer finish
+  try {
+    await jobRunner.recoverInterruptedJobs();
+  } catch (error) {
+    console.error('❌ Error recovering interrupted jobs:', error);
+  }
+
+  // Forecasts recorded before multi-horizon forecasting
+  try {
+    await forecastLedgerService.migrateLegacyForecasts();
+  } catch (error) {
+    console.error('❌ Error migrating forecast ledger:', error);
+  }
 })
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
@@ -74,6 +94,8 @@ app.use('/api/stocks', stockRoutes);
 app.use('/api/sentiment', sentimentRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/predictions', predictionRoutes);
+app.use('/api/labels', labelRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -87,8 +109,11 @@ app.get('/health', (req, res) => {
 // WebSocket connection handling
 io.on('connection', (socket) => {
   console.log('🔌 New client connected:', socket.id);
+  joinAdminRoom(socket);
   
   socket.on('join-room', (room) => {
+    // Only a verified admin token gets into the admin room
+    if (room === ADMIN_ROOM) return;
     socket.join(room);
     console.log(`Client ${socket.id} joined room: ${room}`);
   });
@@ -115,6 +140,18 @@ if (process.env.NODE_ENV !== 'test') {
       console.error('❌ Error updating stock data:', error);
     }
   });
+
+  // Check the prediction model's inputs for drift once a day
+  cron.schedule(process.env.DRIFT_CHECK_INTERVAL || '0 6 * * *', async () => {
+    try {
+      const report = await driftMonitorService.check({ trigger: 'scheduled' });
+      if (report.alert.raised) {
+        io.to(ADMIN_ROOM).emit('drift-alert', driftMonitorService.toAlert(report));
+      }
+    } catch (error) {
+      console.error('❌ Error checking feature drift:', error);
+    }
+  });
 }
 
 // Error handling middleware
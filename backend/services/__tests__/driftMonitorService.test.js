@@ -0,0 +1,46 @@
+const driftMonitorService = require('../driftMonitorService');
+
+// One row per day from 2024-01-01
+function rows(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10)
+  }));
+}
+
+describe('driftMonitorService.splitRows', () => {
+  const dates = list => list.map(row => row.date);
+
+  it('uses everything before the recent window as reference without a training window', () => {
+    const { reference, recent } = driftMonitorService.splitRows(rows(10), 3);
+
+    expect(dates(recent)).toEqual(['2024-01-08', '2024-01-09', '2024-01-10']);
+    expect(reference).toHaveLength(7);
+    expect(reference[reference.length - 1].date).toBe('2024-01-07');
+  });
+
+  it('limits the reference to the training window', () => {
+    const { reference, recent } = driftMonitorService.splitRows(rows(10), 3, {
+      start: '2024-01-02',
+      end: '2024-01-04'
+    });
+
+    expect(dates(reference)).toEqual(['2024-01-02', '2024-01-03', '2024-01-04']);
+    expect(recent).toHaveLength(3);
+  });
+
+  it('never counts recent rows as reference when the training window reaches into them', () => {
+    const { reference } = driftMonitorService.splitRows(rows(10), 3, {
+      start: '2024-01-06',
+      end: '2024-01-10'
+    });
+
+    expect(dates(reference)).toEqual(['2024-01-06', '2024-01-07']);
+  });
+
+  it('has no reference when there are fewer rows than the recent window', () => {
+    const { reference, recent } = driftMonitorService.splitRows(rows(2), 5);
+
+    expect(recent).toHaveLength(2);
+    expect(reference).toEqual([]);
+  });
+});
@@ -0,0 +1,138 @@
+const Forecast = require('../../models/Forecast');
+const datasetBuilder = require('../datasetBuilder');
+const forecastLedgerService = require('../forecastLedgerService');
+
+// Stand-in for a Forecast document
+function forecastDoc(fields) {
+  const doc = {
+    status: 'pending',
+    interval: {},
+    ...fields,
+    set: jest.fn(values => Object.assign(doc, values)),
+    save: jest.fn().mockResolvedValue()
+  };
+  return doc;
+}
+
+describe('forecastLedgerService.record', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('inserts the forecast once per symbol, method, version, horizon and as-of date', async () => {
+    const doc = forecastDoc({});
+    jest.spyOn(Forecast, 'findOneAndUpdate').mockResolvedValue(doc);
+
+    const recorded = await forecastLedgerService.record('naive', 'xyz', {
+      asOf: '2024-01-02',
+      lastClose: 100,
+      predictedClose: 102,
+      modelVersion: 'naive-v1'
+    });
+
+    expect(recorded).toBe(doc);
+    const [key, update, options] = Forecast.findOneAndUpdate.mock.calls[0];
+    expect(key).toEqual({ symbol: 'XYZ', method: 'naive', modelVersion: 'naive-v1', horizon: 1, asOf: '2024-01-02' });
+    expect(update.$setOnInsert).toMatchObject({
+      ...key,
+      lastClose: 100,
+      predictedClose: 102,
+      predictedChangePercent: 2,
+      direction: 'up'
+    });
+    expect(options).toMatchObject({ upsert: true });
+    expect(doc.save).not.toHaveBeenCalled();
+  });
+
+  it('adds a missing interval to a pending point forecast', async () => {
+    const doc = forecastDoc({});
+    jest.spyOn(Forecast, 'findOneAndUpdate').mockResolvedValue(doc);
+
+    await forecastLedgerService.record('ridge_regression', 'XYZ', {
+      asOf: '2024-01-02',
+      lastClose: 100,
+      predictedClose: 99,
+      modelVersion: 'prediction-v2',
+      horizon: 5,
+      interval: { lower: 95, upper: 103, coverage: 0.8 },
+      upProbability: 0.4
+    });
+
+    expect(Forecast.findOneAndUpdate.mock.calls[0][0].horizon).toBe(5);
+    expect(doc.set).toHaveBeenCalledWith({ interval: { lower: 95, upper: 103, coverage: 0.8 }, upProbability: 0.4 });
+    expect(doc.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the interval of an already recorded forecast', async () => {
+    const doc = forecastDoc({ interval: { lower: 96, upper: 104 } });
+    jest.spyOn(Forecast, 'findOneAndUpdate').mockResolvedValue(doc);
+
+    await forecastLedgerService.record('ridge_regression', 'XYZ', {
+      asOf: '2024-01-02',
+      lastClose: 100,
+      predictedClose: 99,
+      modelVersion: 'prediction-v2',
+      interval: { lower: 95, upper: 103 }
+    });
+
+    expect(doc.save).not.toHaveBeenCalled();
+    expect(doc.interval).toEqual({ lower: 96, upper: 104 });
+  });
+});
+
+describe('forecastLedgerService.reconcile', () => {
+  const series = [
+    { date: '2024-01-02', close: 100 },
+    { date: '2024-01-03', close: 101 },
+    { date: '2024-01-04', close: 98 }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('fills in the close of the horizon-th trading day after asOf', async () => {
+    const nextDay = forecastDoc({
+      symbol: 'XYZ', asOf: '2024-01-02', horizon: 1, lastClose: 100, predictedClose: 102,
+      direction: 'up', interval: { lower: 99, upper: 103 }
+    });
+    const twoDay = forecastDoc({
+      symbol: 'XYZ', asOf: '2024-01-02', horizon: 2, lastClose: 100, predictedClose: 101, direction: 'up'
+    });
+    const tooEarly = forecastDoc({
+      symbol: 'XYZ', asOf: '2024-01-03', horizon: 5, lastClose: 101, predictedClose: 103, direction: 'up'
+    });
+    jest.spyOn(Forecast, 'find').mockResolvedValue([nextDay, twoDay, tooEarly]);
+    jest.spyOn(datasetBuilder, 'getPriceSeries').mockResolvedValue(series);
+
+    const result = await forecastLedgerService.reconcile();
+
+    expect(result).toEqual({ pending: 3, reconciled: 2 });
+    expect(nextDay).toMatchObject({
+      status: 'reconciled',
+      targetDate: '2024-01-03',
+      actualClose: 101,
+      actualChangePercent: 1,
+      hit: true,
+      covered: true
+    });
+    expect(nextDay.absolutePercentError).toBeCloseTo(100 / 101, 10);
+    expect(twoDay).toMatchObject({ status: 'reconciled', targetDate: '2024-01-04', actualClose: 98, hit: false });
+    // No interval was issued, so coverage is not scored
+    expect(twoDay.covered).toBeUndefined();
+    expect(tooEarly.status).toBe('pending');
+    expect(tooEarly.save).not.toHaveBeenCalled();
+  });
+
+  it('leaves forecasts pending when their price data cannot be read', async () => {
+    const forecast = forecastDoc({ symbol: 'GONE', asOf: '2024-01-02', horizon: 1, lastClose: 10, predictedClose: 11 });
+    jest.spyOn(Forecast, 'find').mockResolvedValue([forecast]);
+    jest.spyOn(datasetBuilder, 'getPriceSeries').mockRejectedValue(new Error('No data found for symbol: GONE'));
+
+    const result = await forecastLedgerService.reconcile();
+
+    expect(result).toEqual({ pending: 1, reconciled: 0 });
+    expect(forecast.status).toBe('pending');
+  });
+});
@@ -0,0 +1,84 @@
+const Tweet = require('../../models/Tweet');
+const datasetBuilder = require('../datasetBuilder');
+const impactModelService = require('../impactModelService');
+
+// Chainable stand-in for a mongoose query resolving to `result`
+function query(result) {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    select: () => chain,
+    lean: () => Promise.resolve(result)
+  };
+  return chain;
+}
+
+// Thu 2024-03-07 .. Tue 2024-03-12, then a hole until Mon 2024-03-25
+const series = [
+  { date: '2024-03-07', change: 0.2 },
+  { date: '2024-03-08', change: 4 },
+  { date: '2024-03-11', change: -2 },
+  { date: '2024-03-12', change: 0.1 },
+  { date: '2024-03-25', change: 5 }
+];
+
+describe('impactModelService.nextMove', () => {
+  const benchmark = new Map([['2024-03-11', { date: '2024-03-11', change: -0.5 }]]);
+
+  it('uses the first trading day after the tweet, net of the benchmark', () => {
+    expect(impactModelService.nextMove(series, benchmark, '2024-03-07T15:00:00Z')).toBe(4);
+    // Friday tweet, Monday move
+    expect(impactModelService.nextMove(series, benchmark, '2024-03-08T20:00:00Z')).toBe(-1.5);
+    expect(impactModelService.nextMove(series, benchmark, '2024-03-09T10:00:00Z')).toBe(-1.5);
+  });
+
+  it('has no move for tweets before the price history starts', () => {
+    expect(impactModelService.nextMove(series, benchmark, '2024-03-06T12:00:00Z')).toBeNull();
+    expect(impactModelService.nextMove(series, benchmark, '2023-11-01T12:00:00Z')).toBeNull();
+  });
+
+  it('has no move across a gap in the price history', () => {
+    expect(impactModelService.nextMove(series, benchmark, '2024-03-13T12:00:00Z')).toBeNull();
+    expect(impactModelService.nextMove(series, benchmark, '2024-03-21T12:00:00Z')).toBe(5);
+  });
+
+  it('has no move after the last trading day', () => {
+    expect(impactModelService.nextMove(series, benchmark, '2024-03-25T12:00:00Z')).toBeNull();
+    expect(impactModelService.nextMove([], benchmark, '2024-03-25T12:00:00Z')).toBeNull();
+  });
+});
+
+describe('impactModelService.buildTrainingSet', () => {
+  function tweet(createdAt) {
+    return {
+      text: 'XYZ update',
+      createdAt: new Date(createdAt),
+      companyTagged: [{ symbol: 'XYZ', confidence: 0.9 }],
+      sentiment: { label: 'positive', confidence: 0.8 }
+    };
+  }
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('labels only tweets with a move on record, oldest first', async () => {
+    // Newest first, as the query returns them
+    jest.spyOn(Tweet, 'find').mockReturnValue(query([
+      tweet('2024-03-14T12:00:00Z'),
+      tweet('2024-03-08T20:00:00Z'),
+      tweet('2024-03-07T15:00:00Z'),
+      tweet('2024-03-01T12:00:00Z')
+    ]));
+    jest.spyOn(datasetBuilder, 'getBenchmarkSeries').mockResolvedValue(new Map());
+    jest.spyOn(datasetBuilder, 'getPriceSeries').mockResolvedValue(series);
+
+    const { rows, labels, symbols, trainingWindow } = await impactModelService.buildTrainingSet({ days: 3650 });
+
+    expect(rows).toHaveLength(2);
+    expect(labels).toEqual(['high', 'medium']);
+    expect(symbols).toEqual(['XYZ']);
+    expect(trainingWindow).toEqual({
+      start: new Date('2024-03-07T15:00:00Z'),
+      end: new Date('2024-03-08T20:00:00Z')
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const Job = require('../../models/Job');
+const evaluationService = require('../../services/evaluationService');
+const jobRunner = require('../jobRunner');
+
+function fakeJob() {
+  return {
+    _id: 'job-1',
+    type: 'evaluation',
+    params: { holdoutId: 'holdout-1' },
+    createdBy: 'admin-1',
+    log: jest.fn().mockResolvedValue(),
+    setProgress: jest.fn().mockResolvedValue()
+  };
+}
+
+describe('jobRunner.runEvaluation', () => {
+  beforeEach(() => {
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('reports progress and stores a summary of the saved evaluation', async () => {
+    jest.spyOn(evaluationService, 'evaluateSentiment').mockImplementation(async (holdoutId, createdBy, { onProgress }) => {
+      await onProgress(0.5);
+      await onProgress(1);
+      return { _id: 'eval-1', modelVersion: 'v3', samples: 40, failures: 2, accuracy: 0.75, macro: { f1: 0.7 } };
+    });
+    const job = fakeJob();
+
+    await jobRunner.runEvaluation(job);
+
+    expect(evaluationService.evaluateSentiment).toHaveBeenCalledWith('holdout-1', 'admin-1', expect.any(Object));
+    expect(job.setProgress.mock.calls).toEqual([[0.5], [1]]);
+    const [, update] = Job.updateOne.mock.calls[Job.updateOne.mock.calls.length - 1];
+    expect(update.$set.status).toBe('succeeded');
+    expect(update.$set.result).toEqual({
+      evaluationId: 'eval-1',
+      modelVersion: 'v3',
+      samples: 40,
+      failures: 2,
+      accuracy: 0.75,
+      macro: { f1: 0.7 }
+    });
+  });
+
+  it('marks the job failed when the evaluation throws', async () => {
+    jest.spyOn(evaluationService, 'evaluateSentiment').mockRejectedValue(new Error('The sentiment classifier did not return any predictions'));
+    const job = fakeJob();
+
+    await jobRunner.runEvaluation(job);
+
+    const [, update] = Job.updateOne.mock.calls[Job.updateOne.mock.calls.length - 1];
+    expect(update.$set.status).toBe('failed');
+    expect(update.$set.error.message).toBe('The sentiment classifier did not return any predictions');
+    expect(job.log).toHaveBeenCalledWith('The sentiment classifier did not return any predictions', 'error');
+  });
+});
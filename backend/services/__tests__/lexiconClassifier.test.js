@@ -0,0 +1,29 @@
+const lexiconClassifier = require('../lexiconClassifier');
+
+describe('lexiconClassifier.classify', () => {
+  it('reports the score of the chosen label as its confidence', () => {
+    [
+      'TSLA is not going down',
+      '$GME to the moon 🚀 but also crash risk 📉',
+      '$AAPL earnings beat estimates, stock surges to record high',
+      '$NFLX misses estimates, shares plunge',
+      'lunch was nice'
+    ].forEach(text => {
+      const { label, confidence, scores } = lexiconClassifier.classify(text).sentiment;
+      expect(confidence).toBeCloseTo(Math.min(0.9, scores[label]), 10);
+    });
+  });
+
+  it('gives weak directional calls low confidence', () => {
+    const { label, confidence, scores } = lexiconClassifier.classify('TSLA is not going down').sentiment;
+    expect(label).toBe('positive');
+    expect(confidence).toBeLessThan(0.3);
+    expect(scores.neutral).toBeGreaterThan(confidence);
+  });
+
+  it('caps confidence for strong calls', () => {
+    const { label, confidence } = lexiconClassifier.classify('$AAPL earnings beat estimates, stock surges to record high').sentiment;
+    expect(label).toBe('positive');
+    expect(confidence).toBe(0.9);
+  });
+});
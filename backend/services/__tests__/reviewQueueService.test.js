@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Tweet = require('../../models/Tweet');
+const reviewQueueService = require('../reviewQueueService');
+
+function tweet(id, { confidence = 0.9, createdAt = '2024-06-01', disagreement } = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(id),
+    tweetId: id,
+    text: 'AAPL earnings call today',
+    createdAt: new Date(createdAt),
+    companyTagged: [{ symbol: 'AAPL' }],
+    sentiment: { label: 'neutral', confidence },
+    engagement: {},
+    metadata: disagreement === undefined ? {} : { providerDisagreement: disagreement }
+  };
+}
+
+describe('reviewQueueService.getNextBatch', () => {
+  const annotatorId = '65a0000000000000000000ff';
+  const recent = tweet('65a000000000000000000001', { createdAt: '2024-06-01' });
+  const oldUncertain = tweet('65a000000000000000000002', { confidence: 0.2, createdAt: '2023-01-01' });
+  const oldDisputed = tweet('65a000000000000000000003', { createdAt: '2023-02-01', disagreement: 0.8 });
+
+  beforeEach(() => {
+    jest.spyOn(Tweet, 'aggregate').mockImplementation(async (pipeline) => {
+      const last = pipeline[pipeline.length - 1];
+      if (last.$count) return [{ remaining: 3 }];
+      const sort = pipeline[1].$sort;
+      if (sort.createdAt && Object.keys(sort).length === 1) return [recent];
+      if (sort['sentiment.confidence']) return [oldUncertain, recent];
+      return [oldDisputed];
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('ranks old uncertain and disputed tweets alongside the newest ones', async () => {
+    const batch = await reviewQueueService.getNextBatch(annotatorId, { limit: 10 });
+
+    expect(batch.poolSize).toBe(3);
+    expect(batch.remaining).toBe(3);
+    expect(batch.items.map(item => item.tweet.tweetId)).toEqual([
+      oldUncertain.tweetId,
+      oldDisputed.tweetId,
+      recent.tweetId
+    ]);
+  });
+
+  it('only takes disputed tweets into the disputed slice', async () => {
+    await reviewQueueService.getNextBatch(annotatorId, { limit: 10, symbol: 'aapl' });
+
+    const matches = Tweet.aggregate.mock.calls.map(([pipeline]) => pipeline[0].$match);
+    expect(matches).toContainEqual({
+      processingStatus: 'completed',
+      'companyTagged.symbol': 'AAPL',
+      'metadata.providerDisagreement': { $gt: 0 }
+    });
+  });
+
+  it('returns at most limit items', async () => {
+    const batch = await reviewQueueService.getNextBatch(annotatorId, { limit: 1 });
+    expect(batch.items).toHaveLength(1);
+  });
+});
@@ -0,0 +1,105 @@
+const datasetBuilder = require('../datasetBuilder');
+const sentimentPriceService = require('../sentimentPriceService');
+
+// Consecutive weekdays from 2024-01-01 (a Monday)
+function tradingDates(count) {
+  const dates = [];
+  const day = new Date('2024-01-01T00:00:00Z');
+  while (dates.length < count) {
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) dates.push(day.toISOString().slice(0, 10));
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+// Deterministic noise in [-1, 1]
+function noise(count, seed = 7) {
+  let state = seed;
+  return Array.from({ length: count }, () => {
+    state = (state * 16807) % 2147483647;
+    return (state / 2147483647) * 2 - 1;
+  });
+}
+
+function mockData(dates, returns, sentiment) {
+  jest.spyOn(datasetBuilder, 'getPriceSeries').mockResolvedValue(
+    dates.map((date, i) => ({ date, close: 100 + i, change: returns[i] }))
+  );
+  jest.spyOn(datasetBuilder, 'getDailyTweetFeatures').mockResolvedValue(new Map(
+    dates
+      .map((date, i) => [date, sentiment[i]])
+      .filter(([, value]) => value !== null)
+      .map(([date, value]) => [date, { sentiment: value }])
+  ));
+}
+
+describe('sentimentPriceService.getCorrelation', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('pairs sentiment days with same-day and next trading day returns', async () => {
+    const dates = tradingDates(6);
+    mockData(dates, [1, 2, -1, 0.5, 3, -2], [0.4, null, -0.2, 0.1, 0.6, -0.5]);
+
+    const result = await sentimentPriceService.getCorrelation('XYZ', { windowDays: 30 });
+
+    expect(result.daysWithSentiment).toBe(5);
+    expect(result.startDate).toBe(dates[0]);
+    expect(result.endDate).toBe(dates[5]);
+    // The next return comes from the next trading day even when it had no tweets
+    expect(result.series[0]).toEqual({ date: dates[0], sentiment: 0.4, return: 1, nextReturn: 2 });
+    expect(result.series[4].nextReturn).toBeNull();
+    expect(result.sameDay.n).toBe(5);
+    expect(result.nextDay.n).toBe(4);
+  });
+
+  it('only uses trading days inside the window', async () => {
+    const dates = tradingDates(30);
+    mockData(dates, dates.map(() => 1), dates.map(() => 0.2));
+
+    const result = await sentimentPriceService.getCorrelation('XYZ', { windowDays: 7 });
+
+    expect(result.endDate).toBe(dates[29]);
+    expect(result.daysWithSentiment).toBe(5);
+  });
+
+  it('tags missing price data as not found', async () => {
+    jest.spyOn(datasetBuilder, 'getPriceSeries').mockRejectedValue(new Error('No data found for symbol: XYZ'));
+
+    await expect(sentimentPriceService.getCorrelation('XYZ')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('sentimentPriceService.getLeadLag', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('finds sentiment leading returns by one trading day', async () => {
+    const dates = tradingDates(80);
+    const sentiment = noise(80);
+    const jitter = noise(80, 11);
+    const returns = sentiment.map((value, i) => (i === 0 ? 0 : 2 * sentiment[i - 1]) + 0.2 * jitter[i]);
+    mockData(dates, returns, sentiment);
+
+    const result = await sentimentPriceService.getLeadLag('XYZ', { windowDays: 365, maxLag: 3, order: 1 });
+
+    expect(result.tradingDays).toBe(80);
+    expect(result.profile.map(point => point.lag)).toEqual([-3, -2, -1, 0, 1, 2, 3]);
+    expect(result.bestLag.lag).toBe(1);
+    expect(result.bestLag.direction).toBe('sentiment_leads');
+    expect(result.bestLag.comparisons).toBe(7);
+    expect(result.bestLag.adjustedPValue).toBeCloseTo(Math.min(1, result.bestLag.pValue * 7), 12);
+    expect(result.bestLag.significant).toBe(true);
+    expect(result.granger.sentimentToReturns.significant).toBe(true);
+    expect(result.granger.returnsToSentiment.significant).toBe(false);
+  });
+
+  it('reports no best lag without sentiment', async () => {
+    const dates = tradingDates(20);
+    mockData(dates, noise(20), dates.map(() => null));
+
+    const result = await sentimentPriceService.getLeadLag('XYZ', { windowDays: 365, maxLag: 2 });
+
+    expect(result.daysWithSentiment).toBe(0);
+    expect(result.bestLag).toBeNull();
+    expect(result.granger.sentimentToReturns).toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+const datasetBuilder = require('./datasetBuilder');
+const predictionService = require('./predictionService');
+const stockDataAgent = require('./stockDataAgent');
+const { RidgeRegression } = require('../utils/regression');
+const { mean, mae, rmse, directionalAccuracy } = require('../utils/metrics');
+
+const DEFAULT_MIN_TRAIN_SIZE = 15;
+
+class BacktestService {
+  /**
+   * Score one-step-ahead forecasts against the realised closes
+   */
+  scoreForecasts(forecasts, key) {
+    const actual = forecasts.map(f => f.actualClose);
+    const predicted = forecasts.map(f => f[key]);
+    const actualChanges = forecasts.map(f => f.actualClose - f.lastClose);
+    const predictedChanges = forecasts.map(f => f[key] - f.lastClose);
+
+    return {
+      mae: mae(actual, predicted),
+      rmse: rmse(actual, predicted),
+      directionalAccuracy: directionalAccuracy(actualChanges, predictedChanges)
+    };
+  }
+
+  /**
+   * Walk forward through a symbol's history: at each day fit on every earlier
+   * row (expanding window) and forecast that day's close.
+   */
+  async runSymbol(symbol, { startDate, endDate, minTrainSize = DEFAULT_MIN_TRAIN_SIZE, lambda } = {}, benchmark = null) {
+    const rows = await datasetBuilder.buildSymbolRows(symbol, {}, benchmark);
+    const start = startDate ? new Date(startDate).toISOString().slice(0, 10) : null;
+    const end = endDate ? new Date(endDate).toISOString().slice(0, 10) : null;
+    const ridgeLambda = lambda !== undefined ? lambda : predictionService.lambda;
+
+    const forecasts = [];
+    for (let i = minTrainSize; i < rows.length; i++) {
+      const row = rows[i];
+      if (start && row.date < start) continue;
+      if (end && row.date > end) continue;
+
+      const history = rows.slice(0, i);
+      const targets = history.map(r => predictionService.getTarget(r));
+      const lastClose = row['stock_close_t-1'];
+
+      const sentimentModel = new RidgeRegression({
+        lambda: ridgeLambda,
+        featureNames: datasetBuilder.featureColumns
+      }).fit(history, targets);
+      const priceModel = new RidgeRegression({
+        lambda: ridgeLambda,
+        featureNames: datasetBuilder.priceFeatureColumns
+      }).fit(history, targets);
+
+      forecasts.push({
+        date: row.date,
+        lastClose,
+        actualClose: row.next_day_close,
+        sentimentPrice: lastClose * (1 + sentimentModel.predict(row) / 100),
+        priceOnly: lastClose * (1 + priceModel.predict(row) / 100),
+        naive: lastClose
+      });
+    }
+
+    return {
+      symbol: symbol.toUpperCase(),
+      samples: forecasts.length,
+      trainingRows: rows.length,
+      window: forecasts.length ? {
+        start: forecasts[0].date,
+        end: forecasts[forecasts.length - 1].date
+      } : null,
+      models: {
+        sentimentPrice: this.scoreForecasts(forecasts, 'sentimentPrice'),
+        priceOnly: this.scoreForecasts(forecasts, 'priceOnly'),
+        naive: this.scoreForecasts(forecasts, 'naive')
+      },
+      forecasts
+    };
+  }
+
+  /**
+   * Backtest several symbols (defaults to the agent's companies)
+   */
+  async run({ symbols, startDate, endDate, minTrainSize, lambda, includeForecasts = false } = {}) {
+    const targets = symbols && symbols.length
+      ? symbols.map(s => s.toUpperCase())
+      : stockDataAgent.companies.map(c => c.symbol);
+
+    const benchmark = await datasetBuilder.getBenchmarkSeries();
+    const results = [];
+    const skipped = [];
+
+    for (const symbol of targets) {
+      try {
+        const result = await this.runSymbol(symbol, { startDate, endDate, minTrainSize, lambda }, benchmark);
+        if (!result.samples) {
+          skipped.push({ symbol, reason: 'Not enough history for walk-forward evaluation' });
+          continue;
+        }
+        if (!includeForecasts) delete result.forecasts;
+        results.push(result);
+      } catch (error) {
+        console.error(`❌ Error backtesting ${symbol}:`, error.message);
+        skipped.push({ symbol, reason: error.message });
+      }
+    }
+
+    // Sample-weighted averages across symbols (MAE/RMSE are in each symbol's price units)
+    const summarize = (key) => {
+      const scored = results.filter(r => r.models[key].directionalAccuracy !== null);
+      const totalSamples = scored.reduce((sum, r) => sum + r.samples, 0);
+      return {
+        directionalAccuracy: totalSamples
+          ? scored.reduce((sum, r) => sum + r.models[key].directionalAccuracy * r.samples, 0) / totalSamples
+          : null,
+        beatsNaiveRmse: results.filter(r => r.models[key].rmse < r.models.naive.rmse).length,
+        meanRmseRatioToNaive: mean(results
+          .filter(r => r.models.naive.rmse > 0)
+          .map(r => r.models[key].rmse / r.models.naive.rmse))
+      };
+    };
+
+    return {
+      symbols: results,
+      skipped,
+      summary: {
+        symbolsEvaluated: results.length,
+        sentimentPrice: summarize('sentimentPrice'),
+        priceOnly: summarize('priceOnly')
+      },
+      parameters: {
+        minTrainSize: minTrainSize || DEFAULT_MIN_TRAIN_SIZE,
+        lambda: lambda !== undefined ? lambda : predictionService.lambda,
+        startDate: startDate || null,
+        endDate: endDate || null
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new BacktestService();
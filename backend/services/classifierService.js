@@ -0,0 +1,259 @@
+const path = require('path');
+const axios = require('axios');
+const ModelVersion = require('../models/ModelVersion');
+const lexiconClassifier = require('./lexiconClassifier');
+
+const SENTIMENT_LABELS = ['positive', 'negative', 'neutral'];
+const IMPACT_LEVELS = ['high', 'medium', 'low', 'none'];
+const MODES = ['fallback', 'ensemble'];
+
+/**
+ * A provider exposes { name, classify(text), getVersion() }. classify resolves
+ * to { sentiment, relevance, marketImpact } and throws when unavailable.
+ */
+class RemoteClassifierProvider {
+  constructor() {
+    this.name = 'remote';
+  }
+
+  async classify(text) {
+    const response = await axios.post(`${process.env.ML_CLASSIFIER_URL}/classify`, {
+      text: text
+    }, {
+      timeout: 10000
+    });
+
+    if (response.data.success) {
+      return response.data.classification;
+    }
+    throw new Error('Classification failed');
+  }
+
+  async getVersion() {
+    const active = await ModelVersion.getActive('sentiment');
+    return active ? active.version : null;
+  }
+}
+
+class LexiconClassifierProvider {
+  constructor() {
+    this.name = 'lexicon';
+  }
+
+  async classify(text) {
+    return lexiconClassifier.classify(text);
+  }
+
+  async getVersion() {
+    return lexiconClassifier.version;
+  }
+}
+
+class ClassifierService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(new RemoteClassifierProvider());
+    this.registerProvider(new LexiconClassifierProvider());
+    this.loadPlugins(process.env.CLASSIFIER_PLUGINS);
+  }
+
+  /**
+   * Add or replace a provider. Custom providers need a name and classify(text).
+   */
+  registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.classify !== 'function') {
+      throw new Error('Classifier providers must have a name and a classify(text) function');
+    }
+    if (typeof provider.getVersion !== 'function') {
+      const version = provider.version || provider.name;
+      provider.getVersion = async () => version;
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  /**
+   * Register providers from a comma-separated list of module paths (relative
+   * to the backend root). A module exports a provider or a factory returning one.
+   */
+  loadPlugins(list) {
+    if (!list) return;
+    list.split(',').map(s => s.trim()).filter(Boolean).forEach(modulePath => {
+      try {
+        const exported = require(path.resolve(__dirname, '..', modulePath));
+        const provider = typeof exported === 'function' ? exported() : exported;
+        this.registerProvider(provider);
+        console.log(`🔌 Registered classifier provider: ${provider.name}`);
+      } catch (error) {
+        console.error(`❌ Failed to load classifier plugin ${modulePath}:`, error.message);
+      }
+    });
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      const error = new Error(`Unknown classifier provider: ${name}`);
+      error.status = 400;
+      throw error;
+    }
+    return provider;
+  }
+
+  /**
+   * Active configuration, read from the environment on each call
+   *   CLASSIFIER_MODE       fallback (first provider that succeeds) | ensemble
+   *   CLASSIFIER_PROVIDERS  ordered provider names, e.g. "remote,lexicon"
+   *   CLASSIFIER_WEIGHTS    ensemble weights, e.g. "remote:0.7,lexicon:0.3"
+   */
+  getConfig() {
+    const mode = (process.env.CLASSIFIER_MODE || 'fallback').toLowerCase();
+    const providers = (process.env.CLASSIFIER_PROVIDERS || 'remote,lexicon')
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean);
+
+    const weights = {};
+    providers.forEach(name => { weights[name] = 1; });
+    (process.env.CLASSIFIER_WEIGHTS || '').split(',').filter(Boolean).forEach(pair => {
+      const [name, weight] = pair.split(':').map(s => s.trim());
+      const value = parseFloat(weight);
+      if (name in weights && Number.isFinite(value) && value >= 0) weights[name] = value;
+    });
+
+    return {
+      mode: MODES.includes(mode) ? mode : 'fallback',
+      providers,
+      weights,
+      available: [...this.providers.keys()]
+    };
+  }
+
+  /**
+   * Classify with a single named provider; throws if it fails
+   */
+  async classifyWith(name, text) {
+    const provider = this.getProvider(name);
+    const classification = await provider.classify(text);
+    return {
+      classification,
+      modelVersion: await provider.getVersion(),
+      provider: provider.name
+    };
+  }
+
+  /**
+   * Classify text using the configured mode and providers.
+   * Resolves to { classification, modelVersion, provider }, plus members and
+   * disagreement in ensemble mode.
+   */
+  async classify(text) {
+    const config = this.getConfig();
+    return config.mode === 'ensemble'
+      ? this.classifyEnsemble(text, config)
+      : this.classifyFallback(text, config);
+  }
+
+  async classifyFallback(text, config) {
+    const errors = [];
+    for (const name of config.providers) {
+      try {
+        return await this.classifyWith(name, text);
+      } catch (error) {
+        console.error(`❌ Classifier provider ${name} failed:`, error.message);
+        errors.push(`${name}: ${error.message}`);
+      }
+    }
+    throw new Error(`All classifier providers failed (${errors.join('; ')})`);
+  }
+
+  async classifyEnsemble(text, config) {
+    const settled = await Promise.all(config.providers.map(name =>
+      this.classifyWith(name, text).catch(error => {
+        console.error(`❌ Classifier provider ${name} failed:`, error.message);
+        return null;
+      })
+    ));
+
+    const members = settled
+      .filter(result => result && config.weights[result.provider] > 0)
+      .map(result => ({ ...result, weight: config.weights[result.provider] }));
+    if (!members.length) {
+      throw new Error('All ensemble classifier providers failed');
+    }
+
+    // Renormalise over the providers that answered
+    const totalWeight = members.reduce((sum, m) => sum + m.weight, 0);
+    members.forEach(m => { m.weight /= totalWeight; });
+
+    const classification = this.combine(members);
+
+    return {
+      classification,
+      // Weight of the providers whose sentiment label differs from the ensemble's
+      disagreement: members
+        .filter(m => (m.classification.sentiment || {}).label !== classification.sentiment.label)
+        .reduce((sum, m) => sum + m.weight, 0),
+      modelVersion: `ensemble(${members.map(m => `${m.provider}=${m.modelVersion}:${m.weight.toFixed(2)}`).join(',')})`,
+      provider: 'ensemble',
+      members: members.map(m => ({
+        provider: m.provider,
+        modelVersion: m.modelVersion,
+        weight: m.weight,
+        classification: m.classification
+      }))
+    };
+  }
+
+  /**
+   * Weighted average of sentiment scores, relevance probability and impact votes
+   */
+  combine(members) {
+    const scores = { positive: 0, negative: 0, neutral: 0 };
+    let relevantProbability = 0;
+    const impactVotes = { high: 0, medium: 0, low: 0, none: 0 };
+
+    members.forEach(({ classification, weight }) => {
+      const sentiment = classification.sentiment || {};
+      const memberScores = sentiment.scores || { [sentiment.label || 'neutral']: 1 };
+      SENTIMENT_LABELS.forEach(label => {
+        scores[label] += weight * (memberScores[label] || 0);
+      });
+
+      const relevance = classification.relevance || { isRelevant: false, confidence: 0.5 };
+      relevantProbability += weight * (relevance.isRelevant ? relevance.confidence : 1 - relevance.confidence);
+
+      const impact = classification.marketImpact || { level: 'none', confidence: 0.5 };
+      if (IMPACT_LEVELS.includes(impact.level)) {
+        impactVotes[impact.level] += weight * (impact.confidence || 0);
+      }
+    });
+
+    const label = SENTIMENT_LABELS.reduce((best, l) => (scores[l] > scores[best] ? l : best), 'neutral');
+    const impactTotal = IMPACT_LEVELS.reduce((sum, level) => sum + impactVotes[level], 0);
+    const level = IMPACT_LEVELS.reduce((best, l) => (impactVotes[l] > impactVotes[best] ? l : best), 'none');
+    const isRelevant = relevantProbability >= 0.5;
+
+    return {
+      sentiment: {
+        label,
+        confidence: scores[label],
+        scores
+      },
+      relevance: {
+        isRelevant,
+        confidence: isRelevant ? relevantProbability : 1 - relevantProbability
+      },
+      marketImpact: {
+        level,
+        confidence: impactTotal > 0 ? impactVotes[level] / impactTotal : 0.5,
+        reasoning: members.map(m => {
+          const impact = m.classification.marketImpact || {};
+          return `[${m.provider} ${(m.weight * 100).toFixed(0)}%] ${impact.reasoning || impact.level || 'n/a'}`;
+        }).join(' | ')
+      }
+    };
+  }
+}
+
+module.exports = new ClassifierService();
@@ -0,0 +1,265 @@
+const fs = require('fs').promises;
+const path = require('path');
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const Tweet = require('../models/Tweet');
+const stockDataAgent = require('./stockDataAgent');
+
+const LAGS = [3, 2, 1];
+// Forecast horizons in trading days; dataset.txt itself only targets the next day
+const HORIZONS = [1, 5, 20];
+const IMPACT_WEIGHTS = { high: 3, medium: 2, low: 1, none: 0 };
+
+const lagColumns = (prefix) => LAGS.map(lag => `${prefix}_t-${lag}`);
+
+// Column order mirrors backend/dataset.txt
+const DATASET_COLUMNS = [
+  'date',
+  'symbol',
+  ...lagColumns('stock_close'),
+  ...lagColumns('stock_volume'),
+  ...lagColumns('stock_change'),
+  ...lagColumns('djia_close'),
+  ...lagColumns('djia_change'),
+  ...lagColumns('sentiment'),
+  ...lagColumns('market_impact'),
+  ...lagColumns('positive_tweets'),
+  ...lagColumns('negative_tweets'),
+  'next_day_close'
+];
+
+const FEATURE_COLUMNS = DATASET_COLUMNS.filter(
+  col => !['date', 'symbol', 'next_day_close'].includes(col)
+);
+
+const PRICE_FEATURE_COLUMNS = FEATURE_COLUMNS.filter(
+  col => /^(stock|djia)_/.test(col)
+);
+
+class DatasetBuilder {
+  constructor() {
+    this.outputDir = path.join(__dirname, '../data/datasets');
+    this.columns = DATASET_COLUMNS;
+    this.featureColumns = FEATURE_COLUMNS;
+    this.priceFeatureColumns = PRICE_FEATURE_COLUMNS;
+    this.horizons = HORIZONS;
+  }
+
+  /**
+   * Price series with close-to-close percentage change
+   */
+  async getPriceSeries(symbol) {
+    const rows = await stockDataAgent.getDailySeries(symbol);
+    return rows.map((row, idx) => {
+      const prev = rows[idx - 1];
+      const change = prev && prev.close
+        ? ((row.close - prev.close) / prev.close) * 100
+        : (isFinite(row.priceChangePercent) ? row.priceChangePercent : 0);
+      return { date: row.date, close: row.close, volume: row.volume, change };
+    });
+  }
+
+  /**
+   * Benchmark (DJIA) series keyed by date. Missing benchmark data is not fatal.
+   */
+  async getBenchmarkSeries() {
+    try {
+      const rows = await this.getPriceSeries(stockDataAgent.benchmark.symbol);
+      return new Map(rows.map(row => [row.date, row]));
+    } catch (error) {
+      console.log(`⚠️ Benchmark data unavailable: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Daily tweet aggregates (UTC days) for a symbol keyed by YYYY-MM-DD
+   */
+  async getDailyTweetFeatures(symbol, startDate, endDate) {
+    const results = await Tweet.aggregate([
+      {
+        $match: {
+          'companyTagged.symbol': symbol.toUpperCase(),
+          createdAt: { $gte: startDate, $lt: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          positive: {
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'positive'] }, 1, 0] }
+          },
+          negative: {
+            $sum: { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, 1, 0] }
+          },
+          total: { $sum: 1 },
+          marketImpact: {
+            $avg: {
+              $switch: {
+                branches: Object.entries(IMPACT_WEIGHTS).map(([level, weight]) => ({
+                  case: { $eq: ['$marketImpact.level', level] },
+                  then: weight
+                })),
+                default: 0
+              }
+            }
+          }
+        }
+      }
+    ]);
+
+    return new Map(results.map(day => [day._id, {
+      sentiment: day.total > 0 ? (day.positive - day.negative) / day.total : 0,
+      marketImpact: day.marketImpact || 0,
+      positive: day.positive,
+      negative: day.negative
+    }]));
+  }
+
+  /**
+   * Build a single row from the three trading days preceding `target`.
+   * `window` holds those days oldest first; `target` may be null for live rows.
+   */
+  buildRow(symbol, window, target, benchmark, tweets) {
+    const row = { date: target ? target.date : null, symbol: symbol.toUpperCase() };
+    const emptyTweets = { sentiment: 0, marketImpact: 0, positive: 0, negative: 0 };
+
+    LAGS.forEach((lag, idx) => {
+      const day = window[idx];
+      const djia = benchmark.get(day.date);
+      const tweetDay = tweets.get(day.date) || emptyTweets;
+
+      row[`stock_close_t-${lag}`] = day.close;
+      row[`stock_volume_t-${lag}`] = day.volume;
+      row[`stock_change_t-${lag}`] = day.change;
+      row[`djia_close_t-${lag}`] = djia ? djia.close : null;
+      row[`djia_change_t-${lag}`] = djia ? djia.change : null;
+      row[`sentiment_t-${lag}`] = tweetDay.sentiment;
+      row[`market_impact_t-${lag}`] = tweetDay.marketImpact;
+      row[`positive_tweets_t-${lag}`] = tweetDay.positive;
+      row[`negative_tweets_t-${lag}`] = tweetDay.negative;
+    });
+
+    row.next_day_close = target ? target.close : null;
+    return row;
+  }
+
+  /**
+   * Build dataset rows for one symbol. `date` is the trading day whose close
+   * is the target; the t-1..t-3 features come from the preceding trading days.
+   * With `horizon`, rows also carry horizon_date / horizon_close, the close
+   * `horizon` trading days ahead counting `date` as the first, and rows whose
+   * horizon close is not in the CSV yet are dropped.
+   */
+  async buildSymbolRows(symbol, { startDate, endDate, horizon = null } = {}, benchmark = null) {
+    const series = await this.getPriceSeries(symbol);
+    if (series.length <= LAGS.length) return [];
+
+    benchmark = benchmark || await this.getBenchmarkSeries();
+    const tweets = await this.getDailyTweetFeatures(
+      symbol,
+      new Date(series[0].date),
+      new Date(new Date(series[series.length - 1].date).getTime() + 24 * 60 * 60 * 1000)
+    );
+
+    const start = startDate ? new Date(startDate).toISOString().slice(0, 10) : null;
+    const end = endDate ? new Date(endDate).toISOString().slice(0, 10) : null;
+
+    const rows = [];
+    for (let i = LAGS.length; i < series.length; i++) {
+      const target = series[i];
+      if (start && target.date < start) continue;
+      if (end && target.date > end) continue;
+      const row = this.buildRow(symbol, series.slice(i - LAGS.length, i), target, benchmark, tweets);
+      if (horizon) {
+        const horizonDay = series[i + horizon - 1];
+        if (!horizonDay) continue;
+        row.horizon_date = horizonDay.date;
+        row.horizon_close = horizonDay.close;
+      }
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Feature row for the next, not yet observed trading day (no target)
+   */
+  async buildLatestRow(symbol) {
+    const series = await this.getPriceSeries(symbol);
+    if (series.length < LAGS.length) {
+      throw new Error(`Not enough price history for ${symbol.toUpperCase()}`);
+    }
+
+    const window = series.slice(-LAGS.length);
+    const benchmark = await this.getBenchmarkSeries();
+    const tweets = await this.getDailyTweetFeatures(
+      symbol,
+      new Date(window[0].date),
+      new Date(new Date(window[window.length - 1].date).getTime() + 24 * 60 * 60 * 1000)
+    );
+
+    return {
+      asOf: window[window.length - 1].date,
+      row: this.buildRow(symbol, window, null, benchmark, tweets)
+    };
+  }
+
+  /**
+   * Build dataset rows for several symbols (defaults to the agent's companies)
+   */
+  async buildDataset({ symbols, startDate, endDate } = {}) {
+    const targets = symbols && symbols.length
+      ? symbols.map(s => s.toUpperCase())
+      : stockDataAgent.companies.map(c => c.symbol);
+
+    const benchmark = await this.getBenchmarkSeries();
+    const rows = [];
+    const skipped = [];
+    for (const symbol of targets) {
+      try {
+        const symbolRows = await this.buildSymbolRows(symbol, { startDate, endDate }, benchmark);
+        rows.push(...symbolRows);
+      } catch (error) {
+        console.error(`❌ Error building dataset rows for ${symbol}:`, error.message);
+        skipped.push({ symbol, reason: error.message });
+      }
+    }
+
+    rows.sort((a, b) => a.date.localeCompare(b.date) || a.symbol.localeCompare(b.symbol));
+    return { columns: DATASET_COLUMNS, rows, skipped };
+  }
+
+  /**
+   * Serialize rows to CSV text in dataset.txt column order
+   */
+  toCsv(rows) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const str = String(value);
+      return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const lines = [DATASET_COLUMNS.join(',')];
+    rows.forEach(row => lines.push(DATASET_COLUMNS.map(col => escape(row[col])).join(',')));
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Write rows to data/datasets (or a given path) and return the file path
+   */
+  async writeDataset(rows, outputPath = null) {
+    const filePath = outputPath || path.join(
+      this.outputDir,
+      `prediction_dataset_${new Date().toISOString().slice(0, 10)}.csv`
+    );
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const csvWriter = createCsvWriter({
+      path: filePath,
+      header: DATASET_COLUMNS.map(col => ({ id: col, title: col }))
+    });
+    await csvWriter.writeRecords(rows);
+    return filePath;
+  }
+}
+
+module.exports = new DatasetBuilder();
@@ -0,0 +1,240 @@
+const DriftReport = require('../models/DriftReport');
+const ModelVersion = require('../models/ModelVersion');
+const datasetBuilder = require('./datasetBuilder');
+const stockDataAgent = require('./stockDataAgent');
+const { mean } = require('../utils/metrics');
+const { ksTest, populationStabilityIndex, empiricalCdf } = require('../utils/statistics');
+
+const PSI_BINS = 10;
+// Per symbol and feature, below these the statistics are too noisy to report
+const MIN_REFERENCE_SAMPLES = 30;
+const MIN_RECENT_SAMPLES = 10;
+
+// Monitored inputs of the prediction model, read from dataset.txt rows
+const DRIFT_FEATURES = [
+  { feature: 'sentiment', label: 'Daily sentiment score', value: row => row['sentiment_t-1'] },
+  { feature: 'tweet_volume', label: 'Daily tweets', value: row => row['positive_tweets_t-1'] + row['negative_tweets_t-1'] },
+  { feature: 'trading_volume', label: 'Trading volume', value: row => row['stock_volume_t-1'] },
+  { feature: 'returns', label: 'Daily return (%)', value: row => row['stock_change_t-1'] }
+];
+
+// Earliest and latest of a list of YYYY-MM-DD dates
+const span = (dates) => {
+  const sorted = [...dates].sort();
+  return { start: sorted[0] || null, end: sorted[sorted.length - 1] || null };
+};
+
+class DriftMonitorService {
+  constructor() {
+    this.recentDays = parseInt(process.env.DRIFT_RECENT_DAYS || '30', 10);
+    this.psiThreshold = parseFloat(process.env.DRIFT_PSI_THRESHOLD || '0.25');
+    this.ksAlpha = parseFloat(process.env.DRIFT_KS_ALPHA || '0.01');
+    this.features = DRIFT_FEATURES;
+  }
+
+  /**
+   * PSI and KS of a recent sample against its reference. Drift needs both a
+   * PSI over the threshold and a significant KS test, so small recent
+   * samples do not raise alerts on PSI noise alone.
+   */
+  compare(reference, recent, { psiThreshold, ksAlpha }) {
+    const psi = populationStabilityIndex(reference, recent, PSI_BINS);
+    const { statistic, pValue } = ksTest(reference, recent);
+    return {
+      referenceSamples: reference.length,
+      recentSamples: recent.length,
+      psi,
+      ksStatistic: statistic,
+      ksPValue: pValue,
+      drifted: psi >= psiThreshold && pValue < ksAlpha
+    };
+  }
+
+  /**
+   * Split a symbol's rows into the reference window (the model's training
+   * window, or everything before the recent window without one) and the last
+   * `recentDays` rows
+   */
+  splitRows(rows, recentDays, trainingWindow) {
+    const recent = rows.slice(-recentDays);
+    const recentStart = recent.length ? recent[0].date : null;
+    const reference = rows.filter(row =>
+      row.date < recentStart &&
+      (!trainingWindow || (row.date >= trainingWindow.start && row.date <= trainingWindow.end))
+    );
+    return { reference, recent };
+  }
+
+  /**
+   * Compare recent feature distributions with the active prediction model's
+   * training window for each symbol (defaults to the agent's companies), store
+   * the report and raise an alert when any feature drifted
+   */
+  async check({
+    symbols,
+    recentDays = this.recentDays,
+    psiThreshold = this.psiThreshold,
+    ksAlpha = this.ksAlpha,
+    trigger = 'manual',
+    createdBy = null
+  } = {}) {
+    const targets = symbols && symbols.length
+      ? symbols.map(s => s.toUpperCase())
+      : stockDataAgent.companies.map(c => c.symbol);
+    const thresholds = { psiThreshold, ksAlpha };
+
+    const active = await ModelVersion.getActive('prediction');
+    const trainingWindow = active && active.trainingWindow && active.trainingWindow.start
+      ? {
+          start: new Date(active.trainingWindow.start).toISOString().slice(0, 10),
+          end: new Date(active.trainingWindow.end).toISOString().slice(0, 10)
+        }
+      : null;
+
+    const benchmark = await datasetBuilder.getBenchmarkSeries();
+    const perFeature = new Map(this.features.map(f => [f.feature, { symbols: [], pooledReference: [], pooledRecent: [] }]));
+    const skipped = [];
+    const referenceDates = [];
+    const recentDates = [];
+
+    for (const symbol of targets) {
+      try {
+        const rows = await datasetBuilder.buildSymbolRows(symbol, {}, benchmark);
+        const { reference, recent } = this.splitRows(rows, recentDays, trainingWindow);
+        if (reference.length < MIN_REFERENCE_SAMPLES || recent.length < MIN_RECENT_SAMPLES) {
+          skipped.push({ symbol, reason: `Not enough rows (${reference.length} reference, ${recent.length} recent)` });
+          continue;
+        }
+        referenceDates.push(reference[0].date, reference[reference.length - 1].date);
+        recentDates.push(recent[0].date, recent[recent.length - 1].date);
+
+        this.features.forEach(({ feature, value }) => {
+          const referenceValues = reference.map(value).filter(Number.isFinite);
+          const recentValues = recent.map(value).filter(Number.isFinite);
+          const entry = perFeature.get(feature);
+          entry.symbols.push({
+            symbol,
+            ...this.compare(referenceValues, recentValues, thresholds),
+            referenceMean: mean(referenceValues),
+            recentMean: mean(recentValues)
+          });
+
+          // Scores under the symbol's own reference CDF are comparable across
+          // symbols whose volumes and volatilities differ by orders of magnitude
+          const cdf = empiricalCdf(referenceValues);
+          entry.pooledReference.push(...referenceValues.map(cdf));
+          entry.pooledRecent.push(...recentValues.map(cdf));
+        });
+      } catch (error) {
+        console.error(`❌ Error checking drift for ${symbol}:`, error.message);
+        skipped.push({ symbol, reason: error.message });
+      }
+    }
+
+    const features = this.features.map(({ feature, label }) => {
+      const entry = perFeature.get(feature);
+      const pooled = entry.pooledRecent.length
+        ? this.compare(entry.pooledReference, entry.pooledRecent, thresholds)
+        : { referenceSamples: 0, recentSamples: 0, psi: null, ksStatistic: null, ksPValue: null, drifted: false };
+      return { feature, label, ...pooled, symbols: entry.symbols };
+    });
+
+    const driftedFeatures = features.filter(f => f.drifted || f.symbols.some(s => s.drifted));
+    const report = await DriftReport.create({
+      trigger,
+      modelVersion: active ? active.version : null,
+      referenceWindow: {
+        source: trainingWindow ? 'training' : 'history',
+        ...span(referenceDates)
+      },
+      recentWindow: span(recentDates),
+      parameters: { recentDays, psiThreshold, ksAlpha, bins: PSI_BINS },
+      features,
+      skipped,
+      drifted: driftedFeatures.length > 0,
+      alert: {
+        raised: driftedFeatures.length > 0,
+        message: driftedFeatures.length ? this.describe(driftedFeatures) : undefined
+      },
+      createdBy
+    });
+
+    if (report.drifted) {
+      console.warn(`⚠️ Feature drift detected: ${report.alert.message}`);
+    } else {
+      console.log(`✅ No feature drift across ${targets.length - skipped.length} symbols`);
+    }
+    return report.toObject();
+  }
+
+  /**
+   * Alert text, e.g. "returns (pooled PSI 0.31; AAPL, TSLA)"
+   */
+  describe(driftedFeatures) {
+    return driftedFeatures.map(f => {
+      const symbols = f.symbols.filter(s => s.drifted).map(s => s.symbol);
+      const parts = [];
+      if (f.drifted) parts.push(`pooled PSI ${f.psi.toFixed(2)}`);
+      if (symbols.length) parts.push(symbols.join(', '));
+      return `${f.feature} (${parts.join('; ')})`;
+    }).join(', ');
+  }
+
+  /**
+   * Payload broadcast to clients when a report raises an alert
+   */
+  toAlert(report) {
+    return {
+      reportId: report._id,
+      modelVersion: report.modelVersion,
+      message: report.alert.message,
+      createdAt: report.createdAt
+    };
+  }
+
+  async listReports({ drifted, limit = 20 } = {}) {
+    const filter = {};
+    if (drifted !== undefined) filter.drifted = drifted;
+    return DriftReport.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .lean();
+  }
+
+  async getReport(id) {
+    return DriftReport.findById(id).lean();
+  }
+
+  /**
+   * Raised alerts nobody has acknowledged yet, newest first
+   */
+  async getOpenAlerts() {
+    return DriftReport.find({ 'alert.raised': true, 'alert.acknowledged': false })
+      .sort({ createdAt: -1 })
+      .select('modelVersion alert recentWindow createdAt')
+      .lean();
+  }
+
+  async acknowledge(id, userId) {
+    const report = await DriftReport.findOneAndUpdate(
+      { _id: id, 'alert.raised': true },
+      {
+        $set: {
+          'alert.acknowledged': true,
+          'alert.acknowledgedAt': new Date(),
+          'alert.acknowledgedBy': userId
+        }
+      },
+      { new: true }
+    ).lean();
+
+    if (!report) {
+      const error = new Error('Drift alert not found');
+      error.status = 404;
+      throw error;
+    }
+    return report;
+  }
+}
+
+module.exports = new DriftMonitorService();
@@ -0,0 +1,135 @@
+const Tweet = require('../models/Tweet');
+
+// Character shingle length; short enough to survive small edits in short tweets
+const SHINGLE_SIZE = 5;
+// MinHash signature length, split into LSH bands for candidate lookup
+const NUM_HASHES = 64;
+const BANDS = 16;
+const ROWS_PER_BAND = NUM_HASHES / BANDS;
+// Most recent candidates compared against an incoming tweet
+const MAX_CANDIDATES = 100;
+
+// FNV-1a, 32-bit
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// MurmurHash3 finalizer, used to derive independent hash functions from one shingle hash
+function mix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// Fixed seeds so signatures stay comparable across restarts
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix32(0x9e3779b9 + i * 0x632be5ab));
+
+class DuplicateClusterer {
+  constructor() {
+    this.similarityThreshold = parseFloat(process.env.DUPLICATE_SIMILARITY || '0.7');
+    this.windowHours = parseInt(process.env.DUPLICATE_WINDOW_HOURS || '72', 10);
+  }
+
+  /**
+   * Lower-case text without retweet prefixes, links, mentions and punctuation
+   */
+  normalize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/^rt @\w+:\s*/, '')
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/@\w+/g, ' ')
+      .replace(/[^\p{L}\p{N}$#\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  shingles(text) {
+    const normalized = this.normalize(text);
+    if (normalized.length <= SHINGLE_SIZE) return normalized ? [normalized] : [];
+
+    const shingles = new Set();
+    for (let i = 0; i <= normalized.length - SHINGLE_SIZE; i++) {
+      shingles.add(normalized.slice(i, i + SHINGLE_SIZE));
+    }
+    return [...shingles];
+  }
+
+  /**
+   * MinHash signature: per hash function, the minimum hash over all shingles
+   */
+  signature(text) {
+    const hashes = this.shingles(text).map(fnv1a);
+    if (!hashes.length) return null;
+
+    return SEEDS.map(seed => hashes.reduce((min, hash) => Math.min(min, mix32(hash ^ seed)), 0xffffffff));
+  }
+
+  /**
+   * LSH band keys; tweets sharing any key are compared in full
+   */
+  bands(signature) {
+    return Array.from({ length: BANDS }, (_, band) => {
+      const rows = signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND);
+      return `${band}:${fnv1a(rows.join('.')).toString(36)}`;
+    });
+  }
+
+  /**
+   * Estimated Jaccard similarity between two signatures
+   */
+  similarity(a, b) {
+    let matches = 0;
+    a.forEach((value, i) => {
+      if (value === b[i]) matches++;
+    });
+    return matches / a.length;
+  }
+
+  /**
+   * Duplicate cluster for a tweet about to be stored: joins the most similar earlier
+   * tweet's cluster, or starts a new cluster with the tweet as its canonical member
+   */
+  async assignCluster(tweet) {
+    const signature = this.signature(tweet.cleanedText || tweet.text);
+    if (!signature) {
+      return { clusterId: tweet.tweetId, isCanonical: true, clusterSize: 1 };
+    }
+
+    const bands = this.bands(signature);
+    const createdAt = tweet.createdAt ? new Date(tweet.createdAt) : new Date();
+    const candidates = await Tweet.find({
+      'duplicate.bands': { $in: bands },
+      createdAt: { $gte: new Date(createdAt.getTime() - this.windowHours * 60 * 60 * 1000) },
+      tweetId: { $ne: tweet.tweetId }
+    })
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES)
+      .select('tweetId duplicate.clusterId +duplicate.signature')
+      .lean();
+
+    const best = candidates
+      .map(candidate => ({ candidate, similarity: this.similarity(signature, candidate.duplicate.signature || []) }))
+      .sort((a, b) => b.similarity - a.similarity)[0];
+
+    if (best && best.similarity >= this.similarityThreshold) {
+      const clusterId = best.candidate.duplicate.clusterId || best.candidate.tweetId;
+      await Tweet.updateOne({ tweetId: clusterId }, { $inc: { 'duplicate.clusterSize': 1 } });
+
+      return { clusterId, isCanonical: false, similarity: best.similarity, signature, bands };
+    }
+
+    return { clusterId: tweet.tweetId, isCanonical: true, clusterSize: 1, signature, bands };
+  }
+}
+
+module.exports = new DuplicateClusterer();
@@ -0,0 +1,221 @@
+const Stock = require('../models/Stock');
+const stockDataAgent = require('./stockDataAgent');
+
+// Common names and nicknames beyond the registered company name.
+// Ambiguous aliases are everyday words and only count with financial context.
+const ALIASES = {
+  AAPL: { aliases: ['apple'], ambiguous: ['apple'] },
+  MSFT: { aliases: ['microsoft'] },
+  GOOGL: { aliases: ['alphabet', 'google'], ambiguous: ['alphabet'] },
+  GOOG: { aliases: ['alphabet', 'google'], ambiguous: ['alphabet'] },
+  AMZN: { aliases: ['amazon'], ambiguous: ['amazon'] },
+  TSLA: { aliases: ['tesla'] },
+  NVDA: { aliases: ['nvidia'] },
+  META: { aliases: ['meta', 'facebook'], ambiguous: ['meta'] },
+  JNJ: { aliases: ['johnson & johnson', 'johnson and johnson', 'j&j'] },
+  JPM: { aliases: ['jpmorgan', 'jp morgan', 'chase'], ambiguous: ['chase'] },
+  V: { aliases: ['visa'], ambiguous: ['visa'] },
+  MA: { aliases: ['mastercard'] },
+  'ADANIENT.NS': { aliases: ['adani enterprises', 'adani'] },
+  'RELIANCE.NS': { aliases: ['reliance industries', 'reliance', 'ril'], ambiguous: ['reliance'] },
+  'TCS.NS': { aliases: ['tata consultancy', 'tcs'] },
+  'INFY.NS': { aliases: ['infosys', 'infy'] },
+  'HDFCBANK.NS': { aliases: ['hdfc bank', 'hdfcbank', 'hdfc'] }
+};
+
+// Legal suffixes stripped from registered names ("Apple Inc." -> "apple")
+const NAME_SUFFIXES = /[,\s]+(inc\.?|incorporated|corp\.?|corporation|co\.?|ltd\.?|limited|plc|& co\.?|holdings|group|company)$/i;
+
+// Words that signal a tweet is about markets rather than fruit, rivers or travel
+const FINANCE_CONTEXT = /\$[a-z]|\b(stock|stocks|shares?|earnings|eps|revenue|guidance|price target|analyst|nyse|nasdaq|nse|bse|sensex|nifty|market cap|dividend|ipo|buy|sell|bullish|bearish|calls|puts|quarter|q[1-4]|ceo|investors?|valuation|rally|selloff)\b/i;
+
+// Short tickers that collide with ordinary words or initials
+const SHORT_SYMBOL_LENGTH = 2;
+
+const CONFIDENCE = {
+  cashtag: 0.95,
+  cashtagShort: 0.85,
+  exchangePrefix: 0.9,
+  suffixedTicker: 0.9,
+  baseCashtag: 0.9,
+  bareTicker: 0.7,
+  name: 0.85,
+  alias: 0.8,
+  ambiguousAlias: 0.45,
+  contextBoost: 0.25
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-phrase match, case-insensitive ("apple inc." but not "pineapple")
+const phrasePattern = (phrase) =>
+  new RegExp(`(?<![a-z0-9])${escapeRegex(phrase)}(?![a-z0-9])`, 'gi');
+
+// Character ranges of every match of a global pattern
+const spansOf = (pattern, text) =>
+  [...text.matchAll(pattern)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+
+class EntityTagger {
+  constructor() {
+    this.universe = null;
+    this.loadedAt = 0;
+    this.cacheTtlMs = 10 * 60 * 1000;
+    this.minConfidence = parseFloat(process.env.ENTITY_MIN_CONFIDENCE || '0.5');
+  }
+
+  /**
+   * Tracked companies (Stock collection plus the stock data agent's list) with
+   * the patterns used to recognise each one
+   */
+  async getUniverse() {
+    if (this.universe && Date.now() - this.loadedAt < this.cacheTtlMs) {
+      return this.universe;
+    }
+
+    const companies = new Map();
+    stockDataAgent.companies.forEach(c => companies.set(c.symbol.toUpperCase(), c.name));
+    try {
+      const stocks = await Stock.find({}).select('symbol name').lean();
+      stocks.forEach(s => companies.set(s.symbol.toUpperCase(), s.name));
+    } catch (error) {
+      console.error('❌ Entity tagger could not load stocks, using default companies:', error.message);
+    }
+
+    this.universe = [...companies.entries()].map(([symbol, name]) => this.buildEntry(symbol, name));
+    this.loadedAt = Date.now();
+    return this.universe;
+  }
+
+  buildEntry(symbol, name) {
+    const [base, suffix] = symbol.split('.');
+    const extra = ALIASES[symbol] || {};
+    const ambiguous = new Set(extra.ambiguous || []);
+    const names = new Set();
+    if (name && name.toUpperCase() !== symbol) {
+      names.add(name.toLowerCase());
+      names.add(name.replace(NAME_SUFFIXES, '').toLowerCase());
+    }
+    // "Apple Inc." reduces to "apple", which must stay subject to the ambiguity rules
+    ambiguous.forEach(alias => names.delete(alias));
+
+    return {
+      symbol,
+      name: name || symbol,
+      base,
+      suffix: suffix || null,
+      isShort: base.length <= SHORT_SYMBOL_LENGTH,
+      names: [...names].filter(n => n.length > 2),
+      aliases: (extra.aliases || []).filter(a => !names.has(a)),
+      ambiguous
+    };
+  }
+
+  /**
+   * Every way the entry is mentioned in the text, each with a confidence.
+   * Candidates are keyed by the pattern that found them and carry their span.
+   */
+  findCandidates(entry, text, hasContext) {
+    const candidates = [];
+    const symbol = escapeRegex(entry.symbol);
+    const base = escapeRegex(entry.base);
+    const add = (key, type, confidence, pattern) => {
+      spansOf(pattern, text).forEach(span => candidates.push({ key, type, confidence, ...span }));
+    };
+
+    // $AAPL, $RELIANCE.NS
+    add('cashtag', 'cashtag', entry.isShort ? CONFIDENCE.cashtagShort : CONFIDENCE.cashtag,
+      new RegExp(`\\$${symbol}(?![A-Za-z0-9])`, 'gi'));
+    // $RELIANCE for RELIANCE.NS
+    if (entry.suffix) {
+      add('cashtag', 'cashtag', CONFIDENCE.baseCashtag, new RegExp(`\\$${base}(?![A-Za-z0-9.])`, 'gi'));
+    }
+
+    // NYSE:V, NSE:RELIANCE
+    add('exchange', 'exchange', CONFIDENCE.exchangePrefix,
+      new RegExp(`\\b(NYSE|NASDAQ|NSE|BSE|AMEX)\\s*:\\s*${base}\\b`, 'gi'));
+
+    // RELIANCE.NS written out without a cashtag
+    if (entry.suffix) {
+      add('suffixedTicker', 'ticker', CONFIDENCE.suffixedTicker, new RegExp(`(?<![$A-Za-z0-9])${symbol}\\b`, 'gi'));
+    }
+
+    // Bare upper-case ticker (AAPL); short ones like V or MA are too ambiguous on their own
+    if (!entry.isShort) {
+      add('bareTicker', 'ticker', CONFIDENCE.bareTicker, new RegExp(`(?<![$A-Za-z0-9])${base}(?![A-Za-z0-9]|\\.[A-Z])`, 'g'));
+    }
+
+    entry.names.forEach(name => {
+      add(`name:${name}`, 'name', CONFIDENCE.name, phrasePattern(name));
+    });
+
+    entry.aliases.forEach(alias => {
+      const confidence = entry.ambiguous.has(alias)
+        ? CONFIDENCE.ambiguousAlias + (hasContext ? CONFIDENCE.contextBoost : 0)
+        : CONFIDENCE.alias;
+      add(`alias:${alias}`, 'alias', confidence, phrasePattern(alias));
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Mentions that count towards the entry's confidence: overlapping candidates
+   * are one mention ("$RELIANCE" is a cashtag, not also the "reliance" alias), so
+   * only the strongest span survives, and each pattern counts once
+   */
+  findMatches(entry, text, hasContext) {
+    const matches = [];
+    this.findCandidates(entry, text, hasContext)
+      .sort((a, b) => b.confidence - a.confidence)
+      .forEach(candidate => {
+        const overlaps = matches.some(m => candidate.start < m.end && m.start < candidate.end);
+        if (!overlaps && !matches.some(m => m.key === candidate.key)) matches.push(candidate);
+      });
+    return matches;
+  }
+
+  /**
+   * Resolve companies mentioned in a tweet against the tracked universe.
+   * Returns companyTagged entries ({ symbol, name, confidence }), most confident first.
+   */
+  async tag(text) {
+    if (!text) return [];
+    const universe = await this.getUniverse();
+    const hasContext = FINANCE_CONTEXT.test(text);
+
+    return universe
+      .map(entry => {
+        const matches = this.findMatches(entry, text, hasContext);
+        if (!matches.length) return null;
+        // Independent mentions reinforce each other
+        const confidence = 1 - matches.reduce((p, m) => p * (1 - m.confidence), 1);
+        return { symbol: entry.symbol, name: entry.name, confidence: Math.round(Math.min(0.99, confidence) * 1000) / 1000 };
+      })
+      .filter(tag => tag && tag.confidence >= this.minConfidence)
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Merge upstream tags (e.g. from the tweet agent) with the tagger's own,
+   * keeping the higher confidence per symbol
+   */
+  async tagTweet(text, existing = []) {
+    const upstream = (Array.isArray(existing) ? existing : [existing])
+      .filter(Boolean)
+      .map(tag => (typeof tag === 'string' ? { symbol: tag } : tag))
+      .filter(tag => tag.symbol)
+      .map(tag => ({ ...tag, symbol: tag.symbol.toUpperCase() }));
+
+    const merged = new Map(upstream.map(tag => [tag.symbol, tag]));
+    (await this.tag(text)).forEach(tag => {
+      const current = merged.get(tag.symbol);
+      if (!current || (current.confidence || 0) < tag.confidence) {
+        merged.set(tag.symbol, { ...current, ...tag });
+      }
+    });
+
+    return [...merged.values()].sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+  }
+}
+
+module.exports = new EntityTagger();
@@ -0,0 +1,177 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const HoldoutSet = require('../models/HoldoutSet');
+const ModelEvaluation = require('../models/ModelEvaluation');
+const classifierService = require('./classifierService');
+const labelingService = require('./labelingService');
+const { classificationReport, calibrationSummary } = require('../utils/metrics');
+
+const SENTIMENT_LABELS = ['positive', 'negative', 'neutral'];
+const MAX_HOLDOUT_ITEMS = 5000;
+const CLASSIFY_CONCURRENCY = 5;
+
+class EvaluationService {
+  /**
+   * Parse an uploaded CSV (text,label columns) or JSONL ({"text","label"} per line)
+   */
+  async parseHoldout(buffer, format) {
+    let records;
+    if (format === 'jsonl') {
+      records = buffer.toString('utf-8')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map((line, idx) => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            throw new Error(`Invalid JSON on line ${idx + 1}`);
+          }
+        });
+    } else {
+      records = await new Promise((resolve, reject) => {
+        const rows = [];
+        Readable.from(buffer)
+          .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+          .on('data', row => rows.push(row))
+          .on('end', () => resolve(rows))
+          .on('error', reject);
+      });
+    }
+
+    return this.normalizeItems(records);
+  }
+
+  /**
+   * Validate records and map label aliases (gold_label, sentiment) onto { text, label }
+   */
+  normalizeItems(records) {
+    if (!records.length) throw new Error('Holdout file contains no rows');
+    if (records.length > MAX_HOLDOUT_ITEMS) {
+      throw new Error(`Holdout sets are limited to ${MAX_HOLDOUT_ITEMS} items`);
+    }
+
+    return records.map((record, idx) => {
+      const text = (record.text || '').toString().trim();
+      const label = (record.label || record.gold_label || record.sentiment || '').toString().trim().toLowerCase();
+      if (!text) throw new Error(`Row ${idx + 1} is missing text`);
+      if (!SENTIMENT_LABELS.includes(label)) {
+        throw new Error(`Row ${idx + 1} has invalid label "${label}" (expected ${SENTIMENT_LABELS.join(', ')})`);
+      }
+      return { text, label, tweetId: record.tweetId || record.tweet_id || undefined };
+    });
+  }
+
+  async createHoldout({ name, description, source, items, createdBy }) {
+    return HoldoutSet.create({ name, description, source, items, createdBy });
+  }
+
+  /**
+   * Snapshot the human gold labels (see labelingService) into a holdout set
+   */
+  async createHoldoutFromGold({ name, description, minAnnotators = 1, minAgreement = 0, createdBy }) {
+    const gold = await labelingService.getGoldSet({ minAnnotators, minAgreement, limit: MAX_HOLDOUT_ITEMS });
+    if (!gold.length) {
+      const error = new Error('No gold-labeled tweets match the criteria');
+      error.status = 422;
+      throw error;
+    }
+
+    return this.createHoldout({
+      name,
+      description: description || `Gold labels (min ${minAnnotators} annotator(s), agreement >= ${minAgreement})`,
+      source: 'gold',
+      items: gold.map(({ text, label, tweetId }) => ({ text, label, tweetId })),
+      createdBy
+    });
+  }
+
+  /**
+   * Score the production classification pipeline (classifierService.classify,
+   * as used by tweet ingestion) against a holdout set and save the result. The
+   * evaluation is stamped with the version the pipeline reported most often;
+   * with a fallback chain, versions per item are kept in modelVersions.
+   * `onProgress` receives the fraction of items classified after each batch.
+   */
+  async evaluateSentiment(holdoutId, createdBy = null, { onProgress } = {}) {
+    const holdout = await HoldoutSet.findById(holdoutId).lean();
+    if (!holdout) {
+      const error = new Error('Holdout set not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const gold = [];
+    const predicted = [];
+    const confidences = [];
+    const versionCounts = new Map();
+    let failures = 0;
+
+    for (let i = 0; i < holdout.items.length; i += CLASSIFY_CONCURRENCY) {
+      const batch = holdout.items.slice(i, i + CLASSIFY_CONCURRENCY);
+      const results = await Promise.all(batch.map(item =>
+        classifierService.classify(item.text).catch(() => null)
+      ));
+
+      results.forEach((result, idx) => {
+        const classification = result && result.classification;
+        if (!classification || !classification.sentiment) {
+          failures += 1;
+          return;
+        }
+        versionCounts.set(result.modelVersion, (versionCounts.get(result.modelVersion) || 0) + 1);
+        gold.push(batch[idx].label);
+        predicted.push(classification.sentiment.label);
+        confidences.push(classification.sentiment.confidence);
+      });
+
+      if (onProgress) {
+        await onProgress(Math.min(1, (i + batch.length) / holdout.items.length));
+      }
+    }
+
+    if (!gold.length) {
+      const error = new Error('The sentiment classifier did not return any predictions');
+      error.status = 502;
+      throw error;
+    }
+
+    const report = classificationReport(gold, predicted, SENTIMENT_LABELS);
+    const calibration = calibrationSummary(
+      confidences,
+      gold.map((label, i) => label === predicted[i])
+    );
+
+    const modelVersions = [...versionCounts.entries()]
+      .map(([modelVersion, samples]) => ({ modelVersion, samples }))
+      .sort((a, b) => b.samples - a.samples);
+
+    return ModelEvaluation.create({
+      modelType: 'sentiment',
+      modelVersion: modelVersions[0].modelVersion || null,
+      modelVersions,
+      holdoutSet: holdout._id,
+      samples: gold.length,
+      failures,
+      accuracy: report.accuracy,
+      perClass: report.perClass,
+      macro: report.macro,
+      confusionMatrix: report.confusionMatrix,
+      calibration,
+      createdBy
+    });
+  }
+
+  async listEvaluations({ modelVersion, modelType, limit = 20 } = {}) {
+    const filter = {};
+    if (modelVersion) filter.modelVersion = modelVersion;
+    if (modelType) filter.modelType = modelType;
+    return ModelEvaluation.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .populate('holdoutSet', 'name labelCounts')
+      .lean();
+  }
+}
+
+module.exports = new EvaluationService();
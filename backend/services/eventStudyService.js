@@ -0,0 +1,196 @@
+const Stock = require('../models/Stock');
+const datasetBuilder = require('./datasetBuilder');
+const stockDataAgent = require('./stockDataAgent');
+const { mean } = require('../utils/metrics');
+const { oneSampleTTest } = require('../utils/statistics');
+
+const MODELS = ['market_model', 'market_adjusted'];
+
+class EventStudyService {
+  constructor() {
+    this.models = MODELS;
+    this.defaultPreDays = 5;
+    this.defaultPostDays = 10;
+    // Trading days before the event window used to fit the market model
+    this.estimationDays = 60;
+    this.minEstimationDays = 20;
+  }
+
+  /**
+   * Least-squares alpha and beta of stock returns on benchmark returns
+   */
+  fitMarketModel(stockReturns, benchmarkReturns) {
+    const mx = mean(benchmarkReturns);
+    const my = mean(stockReturns);
+    let sxy = 0;
+    let sxx = 0;
+    benchmarkReturns.forEach((x, i) => {
+      sxy += (x - mx) * (stockReturns[i] - my);
+      sxx += (x - mx) ** 2;
+    });
+    if (sxx === 0) return null;
+    const beta = sxy / sxx;
+    return { alpha: my - beta * mx, beta };
+  }
+
+  /**
+   * Abnormal returns on trading days -preDays..+postDays around one event, where
+   * day 0 is the first trading day on or after the event date. Returns
+   * `{ skipped }` with a reason when the window cannot be measured, including
+   * market_model events whose estimation window cannot be fitted (mixing in
+   * market-adjusted returns would change the model behind the curves).
+   */
+  measureEvent(series, benchmark, event, { preDays, postDays, model }) {
+    const eventDate = new Date(event.date).toISOString().slice(0, 10);
+    const eventIndex = series.findIndex(day => day.date >= eventDate);
+    if (eventIndex === -1 || eventIndex - preDays < 0 || eventIndex + postDays >= series.length) {
+      return { skipped: 'outside_price_history' };
+    }
+
+    const window = series.slice(eventIndex - preDays, eventIndex + postDays + 1);
+    if (window.some(day => !benchmark.has(day.date))) {
+      return { skipped: 'missing_benchmark' };
+    }
+
+    let fit = null;
+    if (model === 'market_model') {
+      const estimation = series
+        .slice(Math.max(0, eventIndex - preDays - this.estimationDays), eventIndex - preDays)
+        .filter(day => benchmark.has(day.date));
+      if (estimation.length < this.minEstimationDays) {
+        return { skipped: 'short_estimation_window' };
+      }
+      fit = this.fitMarketModel(
+        estimation.map(day => day.change),
+        estimation.map(day => benchmark.get(day.date).change)
+      );
+      if (!fit) return { skipped: 'flat_benchmark' };
+    }
+
+    let car = 0;
+    const abnormalReturns = window.map((day, i) => {
+      const benchmarkReturn = benchmark.get(day.date).change;
+      const expected = fit ? fit.alpha + fit.beta * benchmarkReturn : benchmarkReturn;
+      const abnormal = day.change - expected;
+      car += abnormal;
+      return { day: i - preDays, date: day.date, return: day.change, benchmarkReturn, abnormal, car };
+    });
+
+    return {
+      model,
+      alpha: fit ? fit.alpha : null,
+      beta: fit ? fit.beta : null,
+      eventDay: series[eventIndex].date,
+      abnormalReturns,
+      car
+    };
+  }
+
+  /**
+   * Average abnormal return and cumulative average abnormal return per relative
+   * day, with a t-test of the full-window CAR across events
+   */
+  aggregate(events, days) {
+    return {
+      events: events.length,
+      curve: days.map((day, i) => ({
+        day,
+        averageAbnormalReturn: mean(events.map(event => event.abnormalReturns[i].abnormal)),
+        cumulativeAbnormalReturn: mean(events.map(event => event.abnormalReturns[i].car))
+      })),
+      car: oneSampleTTest(events.map(event => event.car))
+    };
+  }
+
+  groupBy(events, field, days) {
+    const groups = new Map();
+    events.forEach(event => {
+      const key = event[field] || 'unknown';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(event);
+    });
+    return [...groups.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, members]) => ({ [field]: key, ...this.aggregate(members, days) }));
+  }
+
+  /**
+   * Event study over stored Stock.impactEvents, optionally limited to one symbol,
+   * event type or event sentiment
+   */
+  async run({
+    symbol,
+    type,
+    sentiment,
+    preDays = this.defaultPreDays,
+    postDays = this.defaultPostDays,
+    model = 'market_model'
+  } = {}) {
+    const benchmark = await datasetBuilder.getBenchmarkSeries();
+    if (!benchmark.size) {
+      const error = new Error(`Benchmark data unavailable for ${stockDataAgent.benchmark.symbol}`);
+      error.status = 503;
+      throw error;
+    }
+
+    const query = { isActive: true, 'impactEvents.0': { $exists: true } };
+    if (symbol) query.symbol = symbol.toUpperCase();
+    const stocks = await Stock.find(query).select('symbol impactEvents').lean();
+
+    if (symbol && !stocks.length) {
+      const error = new Error(`No impact events found for ${symbol.toUpperCase()}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const events = [];
+    const skipped = {};
+    const skip = (reason) => { skipped[reason] = (skipped[reason] || 0) + 1; };
+
+    for (const stock of stocks) {
+      const candidates = stock.impactEvents.filter(event =>
+        (!type || event.type === type) && (!sentiment || event.sentiment === sentiment)
+      );
+      if (!candidates.length) continue;
+
+      let series;
+      try {
+        series = await datasetBuilder.getPriceSeries(stock.symbol);
+      } catch (error) {
+        candidates.forEach(() => skip('missing_prices'));
+        continue;
+      }
+
+      candidates.forEach(event => {
+        const measured = this.measureEvent(series, benchmark, event, { preDays, postDays, model });
+        if (measured.skipped) return skip(measured.skipped);
+        events.push({
+          symbol: stock.symbol,
+          date: event.date,
+          type: event.type,
+          sentiment: event.sentiment || null,
+          description: event.description,
+          ...measured
+        });
+      });
+    }
+
+    const days = Array.from({ length: preDays + postDays + 1 }, (_, i) => i - preDays);
+
+    return {
+      benchmark: stockDataAgent.benchmark.symbol,
+      model,
+      preDays,
+      postDays,
+      days,
+      eventsAnalyzed: events.length,
+      eventsSkipped: skipped,
+      overall: events.length ? this.aggregate(events, days) : null,
+      byType: this.groupBy(events, 'type', days),
+      bySentiment: this.groupBy(events, 'sentiment', days),
+      events: events.map(({ abnormalReturns, ...event }) => event)
+    };
+  }
+}
+
+module.exports = new EventStudyService();
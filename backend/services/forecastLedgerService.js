@@ -0,0 +1,330 @@
+const Forecast = require('../models/Forecast');
+const datasetBuilder = require('./datasetBuilder');
+const predictionService = require('./predictionService');
+const probabilisticForecastService = require('./probabilisticForecastService');
+const stockDataAgent = require('./stockDataAgent');
+const { mean } = require('../utils/metrics');
+
+// Trading days of absolute moves that scale the sentiment baseline
+const VOLATILITY_LOOKBACK_DAYS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ForecastLedgerService {
+  constructor() {
+    this.defaultDays = 90;
+    this.defaultWindow = 10;
+
+    // name -> { description, horizons, forecast(symbol, horizon) => { asOf, lastClose, predictedClose, modelVersion, interval?, upProbability? } }
+    this.methods = new Map();
+
+    this.registerMethod('naive', {
+      description: 'The close stays where today closed',
+      horizons: datasetBuilder.horizons,
+      forecast: async (symbol) => {
+        const series = await datasetBuilder.getPriceSeries(symbol);
+        const last = series[series.length - 1];
+        return { asOf: last.date, lastClose: last.close, predictedClose: last.close, modelVersion: 'naive-v1' };
+      }
+    });
+
+    this.registerMethod('sentiment_baseline', {
+      description: "Today's close moved by the latest daily sentiment score times the recent mean absolute move",
+      horizons: [1],
+      forecast: async (symbol) => {
+        const [series, latest] = await Promise.all([
+          datasetBuilder.getPriceSeries(symbol),
+          datasetBuilder.buildLatestRow(symbol)
+        ]);
+        const last = series[series.length - 1];
+        const typicalMove = mean(series.slice(-VOLATILITY_LOOKBACK_DAYS).map(day => Math.abs(day.change))) || 0;
+        const sentiment = latest.row['sentiment_t-1'] || 0;
+        return {
+          asOf: last.date,
+          lastClose: last.close,
+          predictedClose: last.close * (1 + (sentiment * typicalMove) / 100),
+          modelVersion: 'sentiment-baseline-v1'
+        };
+      }
+    });
+
+    this.registerMethod('ridge_regression', {
+      description: 'Prediction model (registry version, or an on-demand fit) with its quantile interval',
+      horizons: datasetBuilder.horizons,
+      forecast: async (symbol, horizon) => {
+        const forecast = await probabilisticForecastService.forecast(symbol, { horizon }).catch(error => {
+          // Too little history for an interval still leaves the point forecast
+          if (error.status !== 422) throw error;
+          return predictionService.predict(symbol, { horizon });
+        });
+        return this.fromPrediction(forecast);
+      }
+    });
+  }
+
+  /**
+   * Add a forecasting method; its forecasts are issued at each of its horizons
+   * and reconciled with the built-in ones
+   */
+  registerMethod(name, { description = '', horizons = [1], forecast }) {
+    this.methods.set(name, { description, horizons, forecast });
+  }
+
+  listMethods() {
+    return [...this.methods.entries()].map(([name, { description, horizons }]) => ({ name, description, horizons }));
+  }
+
+  /**
+   * Ledger fields from a predictionService / probabilisticForecastService result
+   */
+  fromPrediction(prediction) {
+    return {
+      asOf: prediction.asOf,
+      lastClose: prediction.lastClose,
+      predictedClose: prediction.predictedClose,
+      modelVersion: prediction.model.version || 'ridge-on-demand',
+      horizon: prediction.horizon,
+      interval: prediction.interval,
+      upProbability: prediction.upProbability
+    };
+  }
+
+  /**
+   * Bring forecasts recorded before horizons existed in line with the current
+   * schema: they were all next-day forecasts, and the unique index without
+   * horizon would reject 5- and 20-day forecasts for the same as-of date
+   */
+  async migrateLegacyForecasts() {
+    const { modifiedCount } = await Forecast.updateMany(
+      { horizon: { $exists: false } },
+      { $set: { horizon: 1 } }
+    );
+    const dropped = await Forecast.syncIndexes();
+    if (modifiedCount || dropped.length) {
+      console.log(`✅ Forecast ledger migrated: ${modifiedCount} forecasts set to horizon 1, dropped indexes: ${dropped.join(', ') || 'none'}`);
+    }
+  }
+
+  /**
+   * Persist an issued forecast. The first forecast per symbol, method, version,
+   * horizon and as-of date is kept; re-issuing it only adds an interval it was missing.
+   */
+  async record(method, symbol, forecast) {
+    const predictedChangePercent = ((forecast.predictedClose - forecast.lastClose) / forecast.lastClose) * 100;
+    const key = {
+      symbol: symbol.toUpperCase(),
+      method,
+      modelVersion: forecast.modelVersion,
+      horizon: forecast.horizon || 1,
+      asOf: forecast.asOf
+    };
+
+    const recorded = await Forecast.findOneAndUpdate(key, {
+      $setOnInsert: {
+        ...key,
+        lastClose: forecast.lastClose,
+        predictedClose: forecast.predictedClose,
+        predictedChangePercent,
+        direction: predictionService.getDirection(predictedChangePercent)
+      }
+    }, { upsert: true, new: true, setDefaultsOnInsert: true });
+
+    // A point forecast served first gets the interval from a later distribution request
+    if (forecast.interval && recorded.status === 'pending' && recorded.interval.lower === undefined) {
+      recorded.set({ interval: forecast.interval, upProbability: forecast.upProbability });
+      await recorded.save();
+    }
+    return recorded;
+  }
+
+  /**
+   * record() for forecasts served by the API: a ledger failure is logged
+   * rather than failing the request
+   */
+  async recordIssued(method, symbol, forecast) {
+    try {
+      return await this.record(method, symbol, forecast);
+    } catch (error) {
+      console.error(`❌ Error recording ${method} forecast for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Issue and record a forecast from each registered method (or the given ones)
+   * at each of its horizons for a symbol
+   */
+  async issue(symbol, methods = [...this.methods.keys()]) {
+    const issued = [];
+    const failed = [];
+    for (const name of methods) {
+      const method = this.methods.get(name);
+      for (const horizon of method.horizons) {
+        try {
+          const forecast = await method.forecast(symbol, horizon);
+          issued.push(await this.record(name, symbol, { ...forecast, horizon }));
+        } catch (error) {
+          failed.push({ symbol: symbol.toUpperCase(), method: name, horizon, reason: error.message });
+        }
+      }
+    }
+    return { issued, failed };
+  }
+
+  /**
+   * Issue every method's forecast for the agent's companies
+   */
+  async issueAll() {
+    let issued = 0;
+    const failed = [];
+    for (const company of stockDataAgent.companies) {
+      const result = await this.issue(company.symbol);
+      issued += result.issued.length;
+      failed.push(...result.failed);
+    }
+    console.log(`🧾 Issued ${issued} forecasts (${failed.length} failed)`);
+    return { issued, failed };
+  }
+
+  /**
+   * Fill in the actual close of pending forecasts whose target trading day
+   * (the horizon-th after asOf) is now in the CSV
+   */
+  async reconcile() {
+    const pending = await Forecast.find({ status: 'pending' });
+    const bySymbol = new Map();
+    pending.forEach(forecast => {
+      if (!bySymbol.has(forecast.symbol)) bySymbol.set(forecast.symbol, []);
+      bySymbol.get(forecast.symbol).push(forecast);
+    });
+
+    let reconciled = 0;
+    for (const [symbol, forecasts] of bySymbol) {
+      let series;
+      try {
+        series = await datasetBuilder.getPriceSeries(symbol);
+      } catch (error) {
+        console.error(`❌ Error reconciling forecasts for ${symbol}:`, error.message);
+        continue;
+      }
+
+      for (const forecast of forecasts) {
+        const start = series.findIndex(day => day.date > forecast.asOf);
+        const next = start === -1 ? null : series[start + (forecast.horizon || 1) - 1];
+        if (!next) continue;
+
+        const actualChangePercent = ((next.close - forecast.lastClose) / forecast.lastClose) * 100;
+        forecast.set({
+          status: 'reconciled',
+          targetDate: next.date,
+          actualClose: next.close,
+          actualChangePercent,
+          absolutePercentError: Math.abs(next.close - forecast.predictedClose) / next.close * 100,
+          hit: predictionService.getDirection(actualChangePercent) === forecast.direction,
+          covered: forecast.interval && forecast.interval.lower !== undefined
+            ? next.close >= forecast.interval.lower && next.close <= forecast.interval.upper
+            : undefined,
+          reconciledAt: new Date()
+        });
+        await forecast.save();
+        reconciled++;
+      }
+    }
+
+    if (reconciled) console.log(`🧾 Reconciled ${reconciled} forecasts`);
+    return { pending: pending.length, reconciled };
+  }
+
+  /**
+   * Hit rate, mean absolute percentage error and interval coverage of reconciled forecasts
+   */
+  summarize(forecasts) {
+    const reconciled = forecasts.filter(f => f.status === 'reconciled');
+    const withInterval = reconciled.filter(f => typeof f.covered === 'boolean');
+    return {
+      forecasts: forecasts.length,
+      reconciled: reconciled.length,
+      pending: forecasts.length - reconciled.length,
+      hitRate: mean(reconciled.map(f => (f.hit ? 1 : 0))),
+      meanAbsolutePercentError: mean(reconciled.map(f => f.absolutePercentError)),
+      intervalCoverage: mean(withInterval.map(f => (f.covered ? 1 : 0)))
+    };
+  }
+
+  /**
+   * Error and hit rate over the trailing `window` reconciled forecasts at each one
+   */
+  rollingError(forecasts, window) {
+    const reconciled = forecasts.filter(f => f.status === 'reconciled');
+    return reconciled.map((forecast, i) => {
+      const recent = reconciled.slice(Math.max(0, i - window + 1), i + 1);
+      return {
+        asOf: forecast.asOf,
+        targetDate: forecast.targetDate,
+        meanAbsolutePercentError: mean(recent.map(f => f.absolutePercentError)),
+        hitRate: mean(recent.map(f => (f.hit ? 1 : 0)))
+      };
+    });
+  }
+
+  /**
+   * Ledger performance over the last `days`, per symbol, model version and
+   * horizon (with predicted vs actual points) and per model version and
+   * horizon across symbols
+   */
+  async getPerformance({ symbol, method, modelVersion, horizon, days = this.defaultDays, window = this.defaultWindow } = {}) {
+    const filter = { asOf: { $gte: new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10) } };
+    if (symbol) filter.symbol = symbol.toUpperCase();
+    if (method) filter.method = method;
+    if (modelVersion) filter.modelVersion = modelVersion;
+    // Forecasts recorded before horizons were tracked are 1-day forecasts
+    if (horizon) filter.horizon = horizon === 1 ? { $in: [1, null] } : horizon;
+
+    const forecasts = await Forecast.find(filter).sort({ asOf: 1 }).lean();
+
+    const group = (keyOf) => {
+      const groups = new Map();
+      forecasts.forEach(forecast => {
+        const key = keyOf(forecast);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(forecast);
+      });
+      return [...groups.values()];
+    };
+
+    const series = group(f => `${f.symbol}|${f.method}|${f.modelVersion}|${f.horizon || 1}`).map(list => ({
+      symbol: list[0].symbol,
+      method: list[0].method,
+      modelVersion: list[0].modelVersion,
+      horizon: list[0].horizon || 1,
+      ...this.summarize(list),
+      rollingError: this.rollingError(list, window),
+      points: list.map(f => ({
+        asOf: f.asOf,
+        targetDate: f.targetDate || null,
+        predictedClose: f.predictedClose,
+        actualClose: f.actualClose ?? null,
+        lower: f.interval ? f.interval.lower ?? null : null,
+        upper: f.interval ? f.interval.upper ?? null : null,
+        hit: f.hit ?? null
+      }))
+    }));
+
+    const byVersion = group(f => `${f.method}|${f.modelVersion}|${f.horizon || 1}`).map(list => ({
+      method: list[0].method,
+      modelVersion: list[0].modelVersion,
+      horizon: list[0].horizon || 1,
+      symbols: new Set(list.map(f => f.symbol)).size,
+      ...this.summarize(list)
+    }));
+
+    return {
+      series,
+      byVersion,
+      methods: this.listMethods(),
+      parameters: { days, window }
+    };
+  }
+}
+
+module.exports = new ForecastLedgerService();
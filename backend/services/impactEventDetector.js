@@ -0,0 +1,245 @@
+const Stock = require('../models/Stock');
+const Tweet = require('../models/Tweet');
+const { spamMatch } = require('../utils/spamFilter');
+const { EVENT_TYPE_PATTERNS } = require('../utils/eventKeywords');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Bars averaged for the volume baseline when the stock has no avgVolume
+const VOLUME_LOOKBACK_DAYS = 20;
+
+// Share of the window's tweets that must match a type's keywords
+const TYPE_MIN_SHARE = 0.2;
+
+// Mean tweet sentiment (+1 / -1 / 0) beyond which an event is positive or negative
+const SENTIMENT_CUTOFF = 0.2;
+
+const SENTIMENT_VALUES = { positive: 1, negative: -1 };
+const round = (value) => Math.round(value * 1000) / 1000;
+
+class ImpactEventDetector {
+  constructor() {
+    this.gapPercent = parseFloat(process.env.IMPACT_GAP_PERCENT || '3');
+    this.volumeSurgeRatio = parseFloat(process.env.IMPACT_VOLUME_RATIO || '2');
+    this.tweetSpikeRatio = parseFloat(process.env.IMPACT_TWEET_RATIO || '3');
+    this.sentimentShift = parseFloat(process.env.IMPACT_SENTIMENT_SHIFT || '0.5');
+    this.minTweets = parseInt(process.env.IMPACT_MIN_TWEETS || '5', 10);
+    // Recent tweet window compared against the preceding baseline
+    this.windowHours = 6;
+    this.baselineDays = 7;
+  }
+
+  /**
+   * Mean volume of the bars before the latest one
+   */
+  averageVolume(priceHistory) {
+    const volumes = priceHistory
+      .slice(-VOLUME_LOOKBACK_DAYS - 1, -1)
+      .map(bar => bar.volume)
+      .filter(volume => volume > 0);
+    return volumes.length ? volumes.reduce((sum, volume) => sum + volume, 0) / volumes.length : null;
+  }
+
+  /**
+   * Opening gap and volume surge on the latest daily bar of a stock
+   */
+  getPriceSignals(stock) {
+    const history = [...(stock.priceHistory || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const latest = history[history.length - 1];
+    const previous = history[history.length - 2];
+
+    const open = latest && latest.open ? latest.open : stock.open;
+    const previousClose = previous && previous.close ? previous.close : stock.previousClose;
+    const close = latest && latest.close ? latest.close : stock.currentPrice;
+    const volume = latest && latest.volume ? latest.volume : stock.volume;
+    const avgVolume = stock.avgVolume || this.averageVolume(history);
+
+    const signals = [];
+    const metrics = {};
+
+    if (open && previousClose) {
+      metrics.gapPercent = round(((open - previousClose) / previousClose) * 100);
+      if (Math.abs(metrics.gapPercent) >= this.gapPercent) signals.push('price_gap');
+    }
+
+    if (volume && avgVolume) {
+      metrics.volumeRatio = round(volume / avgVolume);
+      if (metrics.volumeRatio >= this.volumeSurgeRatio) signals.push('volume_surge');
+    }
+
+    return {
+      date: latest ? new Date(latest.date) : new Date(),
+      signals,
+      metrics,
+      priceImpact: close && previousClose
+        ? round(((close - previousClose) / previousClose) * 100)
+        : stock.priceChangePercent,
+      volume
+    };
+  }
+
+  /**
+   * Tweet volume and mean sentiment in the recent window against the baseline
+   * before it (spam-filtered). Returns the recent tweets for classification.
+   */
+  async getTweetSignals(symbol, now = new Date()) {
+    const windowStart = new Date(now.getTime() - this.windowHours * HOUR_MS);
+    const baselineStart = new Date(windowStart.getTime() - this.baselineDays * 24 * HOUR_MS);
+    const match = { 'companyTagged.symbol': symbol, ...spamMatch('exclude') };
+
+    const [recent, baselineCount, baselineSentiment] = await Promise.all([
+      Tweet.find({ ...match, createdAt: { $gte: windowStart, $lte: now } })
+        .select('text sentiment.label')
+        .lean(),
+      Tweet.countDocuments({ ...match, createdAt: { $gte: baselineStart, $lt: windowStart } }),
+      Tweet.aggregate([
+        { $match: { ...match, createdAt: { $gte: baselineStart, $lt: windowStart } } },
+        {
+          $group: {
+            _id: null,
+            sentiment: {
+              $avg: {
+                $cond: [
+                  { $eq: ['$sentiment.label', 'positive'] },
+                  1,
+                  { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
+                ]
+              }
+            }
+          }
+        }
+      ])
+    ]);
+
+    const signals = [];
+    const metrics = { tweetCount: recent.length };
+    if (recent.length < this.minTweets) return { signals, metrics, tweets: recent };
+
+    // Expected tweets in a window of this length, floored at one so a quiet baseline cannot divide by ~0
+    const expected = Math.max(1, baselineCount * this.windowHours / (this.baselineDays * 24));
+    metrics.tweetRatio = round(recent.length / expected);
+    if (metrics.tweetRatio >= this.tweetSpikeRatio) signals.push('tweet_spike');
+
+    if (baselineSentiment.length) {
+      metrics.sentimentShift = round(this.meanSentiment(recent) - baselineSentiment[0].sentiment);
+      if (Math.abs(metrics.sentimentShift) >= this.sentimentShift) signals.push('sentiment_shift');
+    }
+
+    return { signals, metrics, tweets: recent };
+  }
+
+  meanSentiment(tweets) {
+    if (!tweets.length) return 0;
+    return tweets.reduce((sum, tweet) => sum + (SENTIMENT_VALUES[tweet.sentiment?.label] || 0), 0) / tweets.length;
+  }
+
+  /**
+   * impactEvents type from the keywords of the surrounding tweets: the best
+   * matching specific type, otherwise 'news' when people are tweeting and
+   * 'other' for pure price/volume moves
+   */
+  classify(tweets) {
+    if (!tweets.length) return 'other';
+
+    const [bestType, matches] = Object.entries(EVENT_TYPE_PATTERNS)
+      .map(([type, pattern]) => [type, tweets.filter(tweet => pattern.test(tweet.text || '')).length])
+      .sort((a, b) => b[1] - a[1])[0];
+
+    return matches > 0 && matches / tweets.length >= TYPE_MIN_SHARE ? bestType : 'news';
+  }
+
+  eventSentiment(tweets, priceImpact) {
+    const score = tweets.length ? this.meanSentiment(tweets) : Math.sign(priceImpact || 0) * SENTIMENT_CUTOFF * 2;
+    if (score > SENTIMENT_CUTOFF) return 'positive';
+    if (score < -SENTIMENT_CUTOFF) return 'negative';
+    return 'neutral';
+  }
+
+  describe(signals, metrics) {
+    const parts = {
+      price_gap: () => `${metrics.gapPercent > 0 ? '+' : ''}${metrics.gapPercent}% opening gap`,
+      volume_surge: () => `volume ${metrics.volumeRatio}x average`,
+      tweet_spike: () => `${metrics.tweetCount} tweets in ${this.windowHours}h (${metrics.tweetRatio}x baseline)`,
+      sentiment_shift: () => `sentiment ${metrics.sentimentShift > 0 ? '+' : ''}${metrics.sentimentShift} vs baseline`
+    };
+    return `Detected: ${signals.map(signal => parts[signal]()).join(', ')}`;
+  }
+
+  /**
+   * Record an event unless one with any of the same signals already exists for that UTC day
+   */
+  async record(stock, { date, signals, metrics, priceImpact, volume, tweets }) {
+    const day = date.toISOString().slice(0, 10);
+    const duplicate = (stock.impactEvents || []).some(event =>
+      new Date(event.date).toISOString().slice(0, 10) === day &&
+      (event.signals || []).some(signal => signals.includes(signal))
+    );
+    if (duplicate) return null;
+
+    const event = {
+      date,
+      type: this.classify(tweets),
+      description: this.describe(signals, metrics),
+      sentiment: this.eventSentiment(tweets, priceImpact),
+      priceImpact,
+      volume,
+      signals,
+      metrics
+    };
+    await stock.addImpactEvent(event);
+    console.log(`📌 Impact event for ${stock.symbol}: ${event.type} (${signals.join(', ')})`);
+    return event;
+  }
+
+  /**
+   * Check a freshly updated stock for an opening gap or volume surge. Tweet
+   * activity on the same day decides the event type and sentiment.
+   */
+  async checkStock(stock) {
+    try {
+      const price = this.getPriceSignals(stock);
+      if (!price.signals.length) return null;
+
+      const { tweets } = await this.getTweetSignals(stock.symbol);
+      return await this.record(stock, { ...price, tweets });
+    } catch (error) {
+      console.error(`❌ Error detecting impact events for ${stock.symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check the companies mentioned in newly ingested tweets for tweet volume or
+   * sentiment spikes
+   */
+  async checkTweets(tweets) {
+    const symbols = [...new Set(tweets.flatMap(tweet => (tweet.companyTagged || []).map(tag => tag.symbol)))];
+    const events = [];
+
+    for (const symbol of symbols) {
+      try {
+        const activity = await this.getTweetSignals(symbol);
+        if (!activity.signals.length) continue;
+
+        const stock = await Stock.findOne({ symbol, isActive: true });
+        if (!stock) continue;
+
+        const event = await this.record(stock, {
+          date: new Date(),
+          signals: activity.signals,
+          metrics: activity.metrics,
+          priceImpact: stock.priceChangePercent,
+          volume: stock.volume,
+          tweets: activity.tweets
+        });
+        if (event) events.push({ symbol, ...event });
+      } catch (error) {
+        console.error(`❌ Error detecting impact events for ${symbol}:`, error.message);
+      }
+    }
+
+    return events;
+  }
+}
+
+module.exports = new ImpactEventDetector();
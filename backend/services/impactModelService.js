@@ -0,0 +1,334 @@
+const Tweet = require('../models/Tweet');
+const ModelVersion = require('../models/ModelVersion');
+const datasetBuilder = require('./datasetBuilder');
+const { SoftmaxRegression } = require('../utils/softmaxRegression');
+const { classificationReport } = require('../utils/metrics');
+const { EVENT_TYPE_PATTERNS } = require('../utils/eventKeywords');
+
+const IMPACT_LEVELS = ['high', 'medium', 'low', 'none'];
+// Absolute next-trading-day abnormal return (%) needed for each level; anything smaller is 'none'
+const LEVEL_THRESHOLDS = [['high', 3], ['medium', 1.5], ['low', 0.5]];
+
+const FEATURES = [
+  'positiveSentiment',
+  'negativeSentiment',
+  'relevance',
+  'engagement',
+  'followers',
+  'verified',
+  'tagConfidence',
+  'companiesMentioned',
+  'earningsKeywords',
+  'analystKeywords',
+  'insiderKeywords',
+  'percentFigure',
+  'spamScore'
+];
+
+// Phrases used in the reasoning string
+const FEATURE_LABELS = {
+  positiveSentiment: 'positive sentiment',
+  negativeSentiment: 'negative sentiment',
+  relevance: 'market relevance',
+  engagement: 'engagement',
+  followers: 'author reach',
+  verified: 'verified author',
+  tagConfidence: 'company match confidence',
+  companiesMentioned: 'number of companies mentioned',
+  earningsKeywords: 'earnings keywords',
+  analystKeywords: 'analyst rating keywords',
+  insiderKeywords: 'insider trading keywords',
+  percentFigure: 'percentage figures',
+  spamScore: 'spam likelihood'
+};
+
+const MIN_TRAINING_TWEETS = 50;
+// Full-batch training cost grows with this; it also bounds the in-memory feature rows
+const MAX_TRAINING_TWEETS = 10000;
+// Most recent share of the training tweets held out for the reported metrics
+const VALIDATION_SHARE = 0.2;
+// How long the active registry entry is reused before checking for a newer one
+const ACTIVE_CACHE_TTL_MS = 60 * 1000;
+// Contributions smaller than this are left out of the reasoning
+const MIN_REASON_CONTRIBUTION = 0.05;
+// Longest gap (calendar days) from a tweet to the trading day that labels it; covers
+// weekends and holidays, not holes in the price CSV
+const MAX_NEXT_MOVE_GAP_DAYS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ImpactModelService {
+  constructor() {
+    this.levels = IMPACT_LEVELS;
+    this.featureNames = FEATURES;
+    this.lambda = parseFloat(process.env.IMPACT_MODEL_LAMBDA || '0.01');
+    this.trainingDays = parseInt(process.env.IMPACT_TRAINING_DAYS || '180', 10);
+    this.active = null;
+    this.activeCheckedAt = 0;
+  }
+
+  /**
+   * Company the tweet is most confidently about
+   */
+  primaryTag(tweet) {
+    return (tweet.companyTagged || [])
+      .filter(tag => tag.symbol)
+      .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))[0] || null;
+  }
+
+  /**
+   * Model inputs known when the tweet is ingested
+   */
+  getFeatures(tweet) {
+    const text = tweet.text || '';
+    const sentiment = tweet.sentiment || {};
+    const relevance = tweet.relevance || {};
+    const engagement = tweet.engagement || {};
+    const tag = this.primaryTag(tweet);
+    const engagementScore = (engagement.retweetCount || 0) * 2 +
+      (engagement.likeCount || 0) +
+      (engagement.replyCount || 0) * 3 +
+      (engagement.quoteCount || 0) * 2;
+    const relevanceConfidence = relevance.confidence !== undefined ? relevance.confidence : 0.5;
+
+    return {
+      positiveSentiment: sentiment.label === 'positive' ? (sentiment.confidence || 0) : 0,
+      negativeSentiment: sentiment.label === 'negative' ? (sentiment.confidence || 0) : 0,
+      relevance: relevance.isRelevant ? relevanceConfidence : 1 - relevanceConfidence,
+      engagement: Math.log(1 + engagementScore),
+      followers: Math.log10(1 + Math.max(tweet.userFollowersCount || 0, 0)),
+      verified: tweet.userVerified ? 1 : 0,
+      tagConfidence: tag ? (tag.confidence || 0) : 0,
+      companiesMentioned: (tweet.companyTagged || []).length,
+      earningsKeywords: EVENT_TYPE_PATTERNS.earnings.test(text) ? 1 : 0,
+      analystKeywords: EVENT_TYPE_PATTERNS.analyst_rating.test(text) ? 1 : 0,
+      insiderKeywords: EVENT_TYPE_PATTERNS.insider_trading.test(text) ? 1 : 0,
+      percentFigure: /\d+(\.\d+)?\s?%/.test(text) ? 1 : 0,
+      spamScore: tweet.spam && tweet.spam.score !== undefined ? tweet.spam.score : 0
+    };
+  }
+
+  levelForMove(movePercent) {
+    const magnitude = Math.abs(movePercent);
+    const match = LEVEL_THRESHOLDS.find(([, threshold]) => magnitude >= threshold);
+    return match ? match[0] : 'none';
+  }
+
+  /**
+   * Abnormal return (%) of the first trading day after `date`: the stock's
+   * change minus the benchmark's that day (raw change when the benchmark is missing).
+   * Null when the price series does not cover the date or the next trading day
+   * is more than MAX_NEXT_MOVE_GAP_DAYS away
+   */
+  nextMove(series, benchmark, date) {
+    const day = new Date(date).toISOString().slice(0, 10);
+    if (!series.length || day < series[0].date) return null;
+
+    let low = 0;
+    let high = series.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (series[mid].date <= day) low = mid + 1;
+      else high = mid;
+    }
+    const next = series[low];
+    if (!next) return null;
+    if (new Date(next.date) - new Date(day) > MAX_NEXT_MOVE_GAP_DAYS * DAY_MS) return null;
+    const market = benchmark.get(next.date);
+    return next.change - (market ? market.change : 0);
+  }
+
+  /**
+   * Historical tagged tweets with features and the impact level of the
+   * subsequent move, oldest first
+   */
+  async buildTrainingSet({ days = this.trainingDays } = {}) {
+    const tweets = await Tweet.find({
+      'companyTagged.0': { $exists: true },
+      'sentiment.label': { $exists: true },
+      createdAt: { $gte: new Date(Date.now() - days * DAY_MS) }
+    })
+      .sort({ createdAt: -1 })
+      .limit(MAX_TRAINING_TWEETS)
+      .select('text sentiment relevance engagement userFollowersCount userVerified companyTagged spam createdAt')
+      .lean();
+
+    const benchmark = await datasetBuilder.getBenchmarkSeries();
+    const seriesBySymbol = new Map();
+    const rows = [];
+    const labels = [];
+    const dates = [];
+
+    for (const tweet of tweets.reverse()) {
+      const tag = this.primaryTag(tweet);
+      if (!tag) continue;
+
+      if (!seriesBySymbol.has(tag.symbol)) {
+        const series = await datasetBuilder.getPriceSeries(tag.symbol).catch(() => null);
+        seriesBySymbol.set(tag.symbol, series);
+      }
+      const series = seriesBySymbol.get(tag.symbol);
+      if (!series) continue;
+
+      // Tweets from the latest trading day have no subsequent move yet, and tweets
+      // outside the price history have none on record
+      const move = this.nextMove(series, benchmark, tweet.createdAt);
+      if (move === null || !isFinite(move)) continue;
+
+      rows.push(this.getFeatures(tweet));
+      labels.push(this.levelForMove(move));
+      dates.push(tweet.createdAt);
+    }
+
+    return {
+      rows,
+      labels,
+      symbols: [...seriesBySymbol.entries()].filter(([, series]) => series).map(([symbol]) => symbol),
+      trainingWindow: dates.length ? { start: dates[0], end: dates[dates.length - 1] } : null
+    };
+  }
+
+  /**
+   * Inverse-frequency weights so the rare high/medium moves are not swamped by 'none'
+   */
+  classWeights(labels) {
+    const counts = {};
+    labels.forEach(label => { counts[label] = (counts[label] || 0) + 1; });
+    const present = Object.keys(counts).length;
+    const weights = {};
+    Object.entries(counts).forEach(([label, n]) => { weights[label] = labels.length / (present * n); });
+    return weights;
+  }
+
+  /**
+   * Train a fresh model, yielding to the event loop between iterations since
+   * retraining runs inside the API process
+   */
+  fit(rows, labels) {
+    return new SoftmaxRegression({
+      lambda: this.lambda,
+      featureNames: this.featureNames,
+      classes: this.levels
+    }).fitAsync(rows, labels, { classWeights: this.classWeights(labels) });
+  }
+
+  /**
+   * Train on the older tweets, score on the most recent ones, then refit on everything
+   */
+  async train({ days = this.trainingDays, onProgress = null } = {}) {
+    const { rows, labels, symbols, trainingWindow } = await this.buildTrainingSet({ days });
+    if (rows.length < MIN_TRAINING_TWEETS) {
+      const error = new Error(`Not enough tagged tweets with a subsequent price move to train the impact model (${rows.length})`);
+      error.status = 422;
+      throw error;
+    }
+    if (onProgress) await onProgress(0.3);
+
+    const split = Math.floor(rows.length * (1 - VALIDATION_SHARE));
+    const validationModel = await this.fit(rows.slice(0, split), labels.slice(0, split));
+    const validationGold = labels.slice(split);
+    const validationPredicted = rows.slice(split).map(row => validationModel.predict(row).label);
+    const report = classificationReport(validationGold, validationPredicted, this.levels);
+    if (onProgress) await onProgress(0.7);
+
+    const model = await this.fit(rows, labels);
+    if (onProgress) await onProgress(1);
+
+    const classCounts = {};
+    this.levels.forEach(level => { classCounts[level] = labels.filter(label => label === level).length; });
+
+    return {
+      model,
+      samples: rows.length,
+      symbols,
+      trainingWindow,
+      metrics: {
+        validationSamples: validationGold.length,
+        validationAccuracy: report.accuracy,
+        validationMacroF1: report.macro.f1,
+        validationConfusionMatrix: report.confusionMatrix,
+        classCounts
+      }
+    };
+  }
+
+  /**
+   * Train and record the model in the registry as the next impact version
+   */
+  async trainAndRegister({ days = this.trainingDays, activate = true, createdBy = null, onProgress = null } = {}) {
+    const trained = await this.train({ days, onProgress });
+
+    const entry = await ModelVersion.register('impact', {
+      algorithm: 'softmax_regression',
+      description: 'Tweet market impact level learned from the next trading day abnormal return of the tagged stock',
+      trainingWindow: trained.trainingWindow,
+      trainingSamples: trained.samples,
+      symbols: trained.symbols,
+      parameters: {
+        lambda: this.lambda,
+        trainingDays: days,
+        features: this.featureNames,
+        levelThresholdsPercent: Object.fromEntries(LEVEL_THRESHOLDS)
+      },
+      metrics: trained.metrics,
+      artifact: { model: trained.model.toJSON() },
+      createdBy
+    }, { activate });
+
+    this.active = null;
+    return entry;
+  }
+
+  /**
+   * Active registry model, cached briefly so ingestion does not query the registry per tweet
+   */
+  async getActiveModel() {
+    if (Date.now() - this.activeCheckedAt < ACTIVE_CACHE_TTL_MS) return this.active;
+
+    const entry = await ModelVersion.getActive('impact');
+    this.activeCheckedAt = Date.now();
+    if (!entry || !entry.artifact || !entry.artifact.model) {
+      this.active = null;
+    } else if (!this.active || this.active.version !== entry.version) {
+      this.active = { version: entry.version, model: SoftmaxRegression.fromJSON(entry.artifact.model) };
+    }
+    return this.active;
+  }
+
+  reasoning(model, row, prediction, version) {
+    const ranked = model.contributions(row, prediction.label)
+      .filter(({ contribution }) => Math.abs(contribution) >= MIN_REASON_CONTRIBUTION)
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+    const raising = ranked.filter(c => c.contribution > 0).slice(0, 3).map(c => FEATURE_LABELS[c.feature]);
+    const lowering = ranked.filter(c => c.contribution < 0).slice(0, 2).map(c => FEATURE_LABELS[c.feature]);
+
+    const parts = [`${version} predicts ${prediction.label} impact (${(prediction.confidence * 100).toFixed(0)}%)`];
+    if (raising.length) parts.push(`supported by ${raising.join(', ')}`);
+    if (lowering.length) parts.push(`held back by ${lowering.join(', ')}`);
+    return parts.join('; ');
+  }
+
+  /**
+   * Market impact of a classified, company-tagged tweet from the active model.
+   * Resolves to null when no impact model is active or no company is tagged,
+   * leaving the classifier's estimate in place.
+   */
+  async predict(tweet) {
+    if (!this.primaryTag(tweet)) return null;
+    const active = await this.getActiveModel();
+    if (!active) return null;
+
+    const row = this.getFeatures(tweet);
+    const prediction = active.model.predict(row);
+    return {
+      marketImpact: {
+        level: prediction.label,
+        confidence: prediction.confidence,
+        reasoning: this.reasoning(active.model, row, prediction, active.version)
+      },
+      modelVersion: active.version
+    };
+  }
+}
+
+module.exports = new ImpactModelService();
@@ -0,0 +1,248 @@
+const Job = require('../models/Job');
+const HoldoutSet = require('../models/HoldoutSet');
+const evaluationService = require('./evaluationService');
+const predictionService = require('./predictionService');
+const impactModelService = require('./impactModelService');
+
+class JobRunner {
+  constructor() {
+    this.runningRetrain = null;
+
+    // Each step trains one in-house model and reports progress in [0, 1]
+    this.retrainSteps = [
+      {
+        name: 'prediction',
+        run: async (job, params, onProgress) => {
+          const entry = await predictionService.trainAndRegister({
+            symbols: params.symbols,
+            horizons: params.horizons,
+            activate: params.activate,
+            createdBy: job.createdBy,
+            onProgress: async (progress, label) => {
+              await onProgress(progress);
+              await job.log(`Trained prediction model for ${label}`);
+            }
+          });
+          return {
+            version: entry.version,
+            active: entry.isActive,
+            symbols: entry.symbols,
+            metrics: entry.metrics
+          };
+        }
+      },
+      {
+        name: 'impact',
+        run: async (job, params, onProgress) => {
+          const entry = await impactModelService.trainAndRegister({
+            activate: params.activate,
+            createdBy: job.createdBy,
+            onProgress
+          });
+          await job.log(`Trained impact model on ${entry.trainingSamples} tweets`);
+          return {
+            version: entry.version,
+            active: entry.isActive,
+            symbols: entry.symbols,
+            metrics: entry.metrics
+          };
+        }
+      }
+    ];
+  }
+
+  /**
+   * Queue a retrain job. Only one retrain may be queued or running at a time.
+   */
+  async enqueueRetrain(params = {}, createdBy = null) {
+    const steps = params.models && params.models.length
+      ? this.retrainSteps.filter(step => params.models.includes(step.name))
+      : this.retrainSteps;
+    if (!steps.length) {
+      const error = new Error(`No trainable models among: ${params.models.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    // Claim the slot synchronously so concurrent requests cannot both pass the check
+    if (this.runningRetrain) {
+      throw this.conflictError(this.runningRetrain);
+    }
+    this.runningRetrain = 'pending';
+
+    let job;
+    try {
+      const existing = await Job.findOne({ type: 'retrain', status: { $in: ['queued', 'running'] } });
+      if (existing) {
+        throw this.conflictError(existing._id);
+      }
+
+      job = await Job.create({
+        type: 'retrain',
+        status: 'queued',
+        params: { activate: true, ...params, models: steps.map(step => step.name) },
+        createdBy
+      });
+      await job.log(`Queued retrain of: ${steps.map(step => step.name).join(', ')}`);
+    } catch (error) {
+      this.runningRetrain = null;
+      throw error;
+    }
+
+    this.runningRetrain = job._id;
+    setImmediate(() => {
+      this.runRetrain(job, steps)
+        .catch(error => console.error(`❌ Retrain job ${job._id} crashed:`, error))
+        .finally(() => { this.runningRetrain = null; });
+    });
+
+    return job;
+  }
+
+  conflictError(jobId) {
+    const error = new Error('A retrain job is already in progress');
+    error.status = 409;
+    error.jobId = jobId === 'pending' ? null : jobId;
+    return error;
+  }
+
+  /**
+   * Execute the retrain steps in order, recording progress, logs and errors
+   */
+  async runRetrain(job, steps) {
+    const results = {};
+    try {
+      await Job.updateOne({ _id: job._id }, { $set: { status: 'running', startedAt: new Date() } });
+      await job.log('Retrain started');
+
+      for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        await job.log(`Training ${step.name} model`);
+        results[step.name] = await step.run(job, job.params, (stepProgress) =>
+          job.setProgress((i + stepProgress) / steps.length)
+        );
+        await job.log(`Finished ${step.name} model (${results[step.name].version})`);
+      }
+
+      await Job.updateOne({ _id: job._id }, {
+        $set: { status: 'succeeded', progress: 1, result: results, finishedAt: new Date() }
+      });
+      await job.log('Retrain succeeded');
+
+    } catch (error) {
+      await this.recordFailure(job, error, results);
+    }
+  }
+
+  /**
+   * Queue an evaluation of the classification pipeline against a holdout set
+   */
+  async enqueueEvaluation(holdoutId, createdBy = null) {
+    const holdout = await HoldoutSet.findById(holdoutId).select('name').lean();
+    if (!holdout) {
+      const error = new Error('Holdout set not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const job = await Job.create({
+      type: 'evaluation',
+      status: 'queued',
+      params: { holdoutId: holdout._id },
+      createdBy
+    });
+    await job.log(`Queued evaluation on holdout "${holdout.name}"`);
+
+    setImmediate(() => {
+      this.runEvaluation(job)
+        .catch(error => console.error(`❌ Evaluation job ${job._id} crashed:`, error));
+    });
+
+    return job;
+  }
+
+  async runEvaluation(job) {
+    try {
+      await Job.updateOne({ _id: job._id }, { $set: { status: 'running', startedAt: new Date() } });
+      await job.log('Evaluation started');
+
+      const evaluation = await evaluationService.evaluateSentiment(job.params.holdoutId, job.createdBy, {
+        onProgress: progress => job.setProgress(progress)
+      });
+
+      await Job.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'succeeded',
+          progress: 1,
+          result: {
+            evaluationId: evaluation._id,
+            modelVersion: evaluation.modelVersion,
+            samples: evaluation.samples,
+            failures: evaluation.failures,
+            accuracy: evaluation.accuracy,
+            macro: evaluation.macro
+          },
+          finishedAt: new Date()
+        }
+      });
+      await job.log(`Evaluation succeeded (accuracy ${evaluation.accuracy.toFixed(3)} on ${evaluation.samples} items)`);
+
+    } catch (error) {
+      await this.recordFailure(job, error);
+    }
+  }
+
+  async recordFailure(job, error, result) {
+    console.error(`❌ ${job.type} job ${job._id} failed:`, error);
+    // Bookkeeping can fail too (e.g. MongoDB is down); never let it reject unhandled
+    try {
+      await Job.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'failed',
+          ...(result ? { result } : {}),
+          error: { message: error.message, stack: error.stack },
+          finishedAt: new Date()
+        }
+      });
+      await job.log(error.message, 'error');
+    } catch (bookkeepingError) {
+      console.error(`❌ Could not record failure of ${job.type} job ${job._id}:`, bookkeepingError.message);
+    }
+  }
+
+  /**
+   * Mark jobs left queued/running by a previous process as failed
+   */
+  async recoverInterruptedJobs() {
+    const result = await Job.updateMany(
+      { status: { $in: ['queued', 'running'] } },
+      {
+        $set: {
+          status: 'failed',
+          error: { message: 'Interrupted by server restart' },
+          finishedAt: new Date()
+        }
+      }
+    );
+    if (result.modifiedCount) {
+      console.log(`⚠️ Marked ${result.modifiedCount} interrupted job(s) as failed`);
+    }
+  }
+
+  async getJob(id) {
+    return Job.findById(id).lean();
+  }
+
+  async listJobs({ type, status, limit = 20 } = {}) {
+    const filter = {};
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+    return Job.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .select('-logs')
+      .lean();
+  }
+}
+
+module.exports = new JobRunner();
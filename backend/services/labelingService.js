@@ -0,0 +1,262 @@
+const Tweet = require('../models/Tweet');
+const TweetLabel = require('../models/TweetLabel');
+const { majorityVote, pairwiseAgreement, krippendorffAlpha } = require('../utils/metrics');
+const { excludeReviewedStages, projectStage } = require('../utils/reviewedFilter');
+
+const LABEL_FIELDS = ['sentiment', 'isRelevant', 'marketImpact'];
+
+// Where each labeled field lives in the model's prediction
+const PREDICTION_PATHS = {
+  sentiment: tweet => tweet.sentiment && tweet.sentiment.label,
+  isRelevant: tweet => tweet.relevance && tweet.relevance.isRelevant,
+  marketImpact: tweet => tweet.marketImpact && tweet.marketImpact.level
+};
+
+class LabelingService {
+  async findTweet(tweetId) {
+    const tweet = await Tweet.findOne({ tweetId }).select('_id tweetId').lean();
+    if (!tweet) {
+      const error = new Error('Tweet not found');
+      error.status = 404;
+      throw error;
+    }
+    return tweet;
+  }
+
+  /**
+   * Create or replace the annotator's label set for a tweet and refresh its gold labels
+   */
+  async submitLabel(tweetId, annotatorId, { sentiment, isRelevant, marketImpact, notes }) {
+    const tweet = await this.findTweet(tweetId);
+
+    const label = await TweetLabel.findOneAndUpdate(
+      { tweet: tweet._id, annotator: annotatorId },
+      { tweetId: tweet.tweetId, sentiment, isRelevant, marketImpact, notes },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    const goldLabels = await this.updateGoldLabels(tweet._id);
+    return { label, goldLabels };
+  }
+
+  async removeLabel(tweetId, annotatorId) {
+    const tweet = await this.findTweet(tweetId);
+    const removed = await TweetLabel.findOneAndDelete({ tweet: tweet._id, annotator: annotatorId });
+    if (!removed) {
+      const error = new Error('You have not labeled this tweet');
+      error.status = 404;
+      throw error;
+    }
+    return this.updateGoldLabels(tweet._id);
+  }
+
+  /**
+   * Recompute a tweet's gold labels by majority vote over its label sets
+   */
+  async updateGoldLabels(tweetObjectId) {
+    const labels = await TweetLabel.find({ tweet: tweetObjectId }).lean();
+
+    if (!labels.length) {
+      await Tweet.updateOne({ _id: tweetObjectId }, { $unset: { goldLabels: 1 } });
+      return null;
+    }
+
+    const goldLabels = { annotatorCount: labels.length, updatedAt: new Date() };
+    const shares = LABEL_FIELDS.map(field => {
+      const vote = majorityVote(labels.map(label => label[field]));
+      goldLabels[field] = vote.value;
+      return vote.share;
+    });
+    goldLabels.agreement = shares.reduce((a, b) => a + b, 0) / shares.length;
+
+    await Tweet.updateOne({ _id: tweetObjectId }, { $set: { goldLabels } });
+    return goldLabels;
+  }
+
+  /**
+   * Tweet with model predictions, gold labels and the annotator's own label.
+   * Other annotators' labels are included only when requested (admins).
+   */
+  async getTweetLabels(tweetId, annotatorId, { includeAll = false } = {}) {
+    const tweet = await Tweet.findOne({ tweetId })
+      .select('tweetId text username createdAt companyTagged sentiment relevance marketImpact goldLabels metadata.modelVersion')
+      .lean();
+    if (!tweet) {
+      const error = new Error('Tweet not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const labels = await TweetLabel.find({ tweet: tweet._id })
+      .populate('annotator', 'name')
+      .lean();
+    const mine = labels.find(label => label.annotator && String(label.annotator._id) === String(annotatorId)) || null;
+
+    return {
+      tweet,
+      myLabel: mine,
+      labels: includeAll ? labels : undefined
+    };
+  }
+
+  /**
+   * Tweets the annotator has not labeled yet, newest first
+   */
+  async getQueue(annotatorId, { limit = 20, symbol } = {}) {
+    const filter = { processingStatus: 'completed' };
+    if (symbol) filter['companyTagged.symbol'] = symbol.toUpperCase();
+    const unlabeled = excludeReviewedStages(annotatorId, [TweetLabel]);
+
+    const [tweets, counts] = await Promise.all([
+      Tweet.aggregate([
+        { $match: filter },
+        { $sort: { createdAt: -1 } },
+        ...unlabeled,
+        { $limit: parseInt(limit) },
+        projectStage('tweetId text username createdAt companyTagged sentiment relevance marketImpact goldLabels')
+      ]),
+      Tweet.aggregate([{ $match: filter }, ...unlabeled, { $count: 'remaining' }])
+    ]);
+    const remaining = counts.length ? counts[0].remaining : 0;
+
+    return { tweets, remaining };
+  }
+
+  async listMyLabels(annotatorId, { limit = 50, page = 1 } = {}) {
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [labels, total] = await Promise.all([
+      TweetLabel.find({ annotator: annotatorId })
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('tweet', 'tweetId text goldLabels')
+        .lean(),
+      TweetLabel.countDocuments({ annotator: annotatorId })
+    ]);
+
+    return {
+      labels,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        limit: parseInt(limit)
+      }
+    };
+  }
+
+  /**
+   * Inter-annotator agreement per field (pairwise agreement and Krippendorff's alpha),
+   * per-annotator agreement with the gold labels, and model accuracy against gold
+   */
+  async getAgreementReport() {
+    const grouped = await TweetLabel.aggregate([
+      {
+        $group: {
+          _id: '$tweet',
+          labels: {
+            $push: {
+              annotator: '$annotator',
+              sentiment: '$sentiment',
+              isRelevant: '$isRelevant',
+              marketImpact: '$marketImpact'
+            }
+          }
+        }
+      }
+    ]);
+
+    const multiLabeled = grouped.filter(group => group.labels.length >= 2);
+    const fields = {};
+    LABEL_FIELDS.forEach(field => {
+      const units = multiLabeled.map(group => group.labels.map(label => label[field]));
+      fields[field] = {
+        pairwiseAgreement: pairwiseAgreement(units),
+        krippendorffAlpha: krippendorffAlpha(units)
+      };
+    });
+
+    // Gold labels and model predictions for every labeled tweet
+    const tweets = await Tweet.find({ _id: { $in: grouped.map(group => group._id) } })
+      .select('goldLabels sentiment relevance marketImpact')
+      .lean();
+    const tweetsById = new Map(tweets.map(tweet => [String(tweet._id), tweet]));
+
+    const annotators = new Map();
+    multiLabeled.forEach(group => {
+      const gold = (tweetsById.get(String(group._id)) || {}).goldLabels || {};
+      group.labels.forEach(label => {
+        const key = String(label.annotator);
+        const stats = annotators.get(key) || { annotator: key, compared: 0, agreed: 0 };
+        LABEL_FIELDS.forEach(field => {
+          if (gold[field] === null || gold[field] === undefined) return;
+          stats.compared += 1;
+          if (label[field] === gold[field]) stats.agreed += 1;
+        });
+        annotators.set(key, stats);
+      });
+    });
+
+    const labelCounts = await TweetLabel.aggregate([
+      { $group: { _id: '$annotator', labels: { $sum: 1 } } },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } }
+    ]);
+
+    const modelVsGold = {};
+    LABEL_FIELDS.forEach(field => {
+      const pairs = tweets
+        .filter(tweet => tweet.goldLabels && tweet.goldLabels[field] !== null && tweet.goldLabels[field] !== undefined)
+        .map(tweet => [tweet.goldLabels[field], PREDICTION_PATHS[field](tweet)]);
+      modelVsGold[field] = {
+        samples: pairs.length,
+        accuracy: pairs.length ? pairs.filter(([gold, predicted]) => gold === predicted).length / pairs.length : null
+      };
+    });
+
+    return {
+      totalLabels: grouped.reduce((sum, group) => sum + group.labels.length, 0),
+      labeledTweets: grouped.length,
+      multiLabeledTweets: multiLabeled.length,
+      fields,
+      annotators: labelCounts.map(entry => {
+        const stats = annotators.get(String(entry._id));
+        return {
+          annotator: entry._id,
+          name: entry.user[0] ? entry.user[0].name : null,
+          labels: entry.labels,
+          goldAgreement: stats && stats.compared ? stats.agreed / stats.compared : null
+        };
+      }),
+      modelVsGold
+    };
+  }
+
+  /**
+   * Tweets with a resolved gold sentiment label, for evaluation and retraining exports
+   */
+  async getGoldSet({ minAnnotators = 1, minAgreement = 0, limit } = {}) {
+    const query = Tweet.find({
+      'goldLabels.sentiment': { $in: ['positive', 'negative', 'neutral'] },
+      'goldLabels.annotatorCount': { $gte: parseInt(minAnnotators) },
+      'goldLabels.agreement': { $gte: parseFloat(minAgreement) }
+    })
+      .sort({ 'goldLabels.updatedAt': -1 })
+      .select('tweetId text goldLabels companyTagged')
+      .lean();
+    if (limit) query.limit(parseInt(limit));
+
+    const tweets = await query;
+    return tweets.map(tweet => ({
+      tweetId: tweet.tweetId,
+      text: tweet.text,
+      label: tweet.goldLabels.sentiment,
+      isRelevant: tweet.goldLabels.isRelevant,
+      marketImpact: tweet.goldLabels.marketImpact,
+      annotatorCount: tweet.goldLabels.annotatorCount,
+      agreement: tweet.goldLabels.agreement,
+      symbols: (tweet.companyTagged || []).map(company => company.symbol)
+    }));
+  }
+}
+
+module.exports = new LabelingService();
@@ -0,0 +1,224 @@
+/**
+ * Finance-aware lexicon classifier used when the ML classifier service is
+ * unreachable. Produces the same sentiment/relevance/marketImpact shape.
+ */
+
+const LEXICON_VERSION = 'finance-lexicon-v1';
+
+// Multi-word expressions are joined with underscores before tokenizing
+const PHRASES = {
+  'all time high': 'all_time_high',
+  'all-time high': 'all_time_high',
+  'to the moon': 'to_the_moon',
+  'buy the dip': 'buy_the_dip',
+  'short squeeze': 'short_squeeze',
+  'beat estimates': 'beat_estimates',
+  'beats estimates': 'beat_estimates',
+  'missed estimates': 'missed_estimates',
+  'misses estimates': 'missed_estimates',
+  'price target': 'price_target',
+  'rate cut': 'rate_cut',
+  'rate hike': 'rate_hike',
+  'dead cat bounce': 'dead_cat_bounce',
+  'sell off': 'selloff',
+  'sell-off': 'selloff',
+  'profit warning': 'profit_warning',
+  'record high': 'record_high',
+  'record low': 'record_low',
+  'strong buy': 'strong_buy',
+  'strong sell': 'strong_sell'
+};
+
+const BULLISH = {
+  bull: 1.5, bullish: 2, long: 0.5, buy: 1, buying: 1, strong_buy: 2.5, calls: 0.8,
+  rally: 2, rallies: 2, rallying: 2, surge: 2, surges: 2, surging: 2, soar: 2, soars: 2, soaring: 2,
+  jump: 1.5, jumps: 1.5, gain: 1.2, gains: 1.2, up: 0.5, higher: 0.8, climb: 1.2, climbs: 1.2,
+  breakout: 1.8, upgrade: 2, upgraded: 2, outperform: 1.8, overweight: 1.2, beat: 1.5, beats: 1.5,
+  beat_estimates: 2.5, record_high: 2, all_time_high: 2, to_the_moon: 2.5, moon: 1.5, mooning: 2,
+  buy_the_dip: 1.2, short_squeeze: 1.5, profit: 1.2, profits: 1.2, profitable: 1.5, growth: 1.2,
+  strong: 1, strength: 1, robust: 1.2, upside: 1.5, undervalued: 1.5, dividend: 0.8, buyback: 1.5,
+  rate_cut: 1, recover: 1, recovery: 1.2, rebound: 1.5, green: 1, win: 1, winning: 1.2, good: 0.8,
+  great: 1.2, excellent: 1.5, positive: 1, optimistic: 1.5, exceeded: 1.5, record: 0.8
+};
+
+const BEARISH = {
+  bear: 1.5, bearish: 2, short: 0.8, shorting: 1.2, sell: 1, selling: 1, strong_sell: 2.5, puts: 0.8,
+  crash: 2.5, crashes: 2.5, crashing: 2.5, plunge: 2.5, plunges: 2.5, plunging: 2.5, tank: 2,
+  tanks: 2, tanking: 2, drop: 1.5, drops: 1.5, fall: 1.2, falls: 1.2, falling: 1.2, down: 0.5,
+  lower: 0.8, slump: 2, slumps: 2, selloff: 2, dump: 1.8, dumping: 1.8, downgrade: 2, downgraded: 2,
+  underperform: 1.8, underweight: 1.2, miss: 1.5, misses: 1.5, missed: 1.5, missed_estimates: 2.5,
+  record_low: 2, loss: 1.5, losses: 1.5, weak: 1.2, weakness: 1.2, downside: 1.5, overvalued: 1.5,
+  bankruptcy: 3, bankrupt: 3, fraud: 3, lawsuit: 1.5, investigation: 1.5, recall: 1.5, layoffs: 1.5,
+  rate_hike: 1, dead_cat_bounce: 2, profit_warning: 2.5, red: 1, bad: 0.8, terrible: 1.5,
+  negative: 1, pessimistic: 1.5, fear: 1.2, panic: 2, bubble: 1.2, default: 2, warning: 1
+};
+
+const EMOJI = {
+  '🚀': 2, '📈': 1.5, '💰': 1, '💵': 0.8, '🤑': 1.5, '🔥': 1, '💎': 1, '🐂': 1.5, '🟢': 1, '✅': 0.5,
+  '📉': -1.5, '💀': -1.5, '🩸': -1.5, '😱': -1.2, '🐻': -1.5, '🔴': -1, '⚠': -0.8, '💩': -1.5, '😭': -1
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'nor', 'none', 'without', 'hardly', 'barely',
+  "isn't", "aren't", "wasn't", "weren't", "don't", "doesn't", "didn't", "won't", "can't", "cannot", "shouldn't",
+  'isnt', 'arent', 'wasnt', 'dont', 'doesnt', 'didnt', 'wont', 'cant', 'shouldnt'
+]);
+
+const INTENSIFIERS = {
+  very: 1.5, extremely: 1.8, hugely: 1.7, massive: 1.6, massively: 1.7, huge: 1.5, super: 1.4,
+  really: 1.3, so: 1.2, totally: 1.4, absolutely: 1.5, incredibly: 1.7,
+  slightly: 0.5, somewhat: 0.6, barely: 0.4, mildly: 0.6, 'kind_of': 0.6
+};
+
+const FINANCE_TERMS = new Set([
+  'stock', 'stocks', 'share', 'shares', 'market', 'markets', 'earnings', 'eps', 'revenue', 'guidance',
+  'dividend', 'ipo', 'price', 'price_target', 'valuation', 'nasdaq', 'nyse', 'nse', 'bse', 'sensex',
+  'nifty', 'dow', 'djia', 's&p', 'portfolio', 'trading', 'trader', 'investor', 'investors', 'analyst',
+  'analysts', 'quarter', 'q1', 'q2', 'q3', 'q4', 'fed', 'calls', 'puts', 'options', 'bull', 'bear', 'bullish', 'bearish'
+]);
+
+const HIGH_IMPACT_TERMS = new Set([
+  'earnings', 'guidance', 'bankruptcy', 'bankrupt', 'acquisition', 'acquire', 'acquires', 'merger',
+  'fda', 'sec', 'fraud', 'investigation', 'lawsuit', 'recall', 'downgrade', 'downgraded', 'upgrade',
+  'upgraded', 'buyback', 'layoffs', 'resigns', 'default', 'profit_warning', 'beat_estimates', 'missed_estimates'
+]);
+
+const MEDIUM_IMPACT_TERMS = new Set([
+  'analyst', 'analysts', 'price_target', 'partnership', 'contract', 'launch', 'launches', 'revenue', 'forecast',
+  'dividend', 'outlook', 'deal', 'approval', 'rate_cut', 'rate_hike', 'short_squeeze', 'ceo'
+]);
+
+const NEGATION_SCOPE = 3;
+const NEGATION_FACTOR = -0.8;
+const NEUTRAL_BAND = 0.15;
+const MAX_CONFIDENCE = 0.9;
+
+class LexiconClassifier {
+  constructor() {
+    this.version = LEXICON_VERSION;
+  }
+
+  /**
+   * Lowercase, join known phrases, and split into word, cashtag and emoji tokens
+   */
+  tokenize(text) {
+    // Drop URLs and emoji variation selectors (U+FE0F)
+    let normalized = text.toLowerCase().replace(/https?:\/\/\S+/g, ' ').replace(/️/g, '');
+    Object.entries(PHRASES).forEach(([phrase, token]) => {
+      normalized = normalized.split(phrase).join(` ${token} `);
+    });
+    normalized = normalized.replace(/\bkind of\b/g, ' kind_of ');
+
+    return normalized.match(/\$[a-z][a-z0-9.]*|[a-z0-9&_']+|\p{Extended_Pictographic}/gu) || [];
+  }
+
+  /**
+   * Signed lexicon score with negation and intensifier handling
+   */
+  scoreTokens(tokens) {
+    let score = 0;
+    let negateFor = 0;
+    let multiplier = 1;
+    const bullishHits = [];
+    const bearishHits = [];
+
+    tokens.forEach(token => {
+      if (NEGATIONS.has(token)) {
+        negateFor = NEGATION_SCOPE;
+        return;
+      }
+      if (INTENSIFIERS[token]) {
+        multiplier = INTENSIFIERS[token];
+        return;
+      }
+
+      // Cashtags carry no polarity and do not use up negation scope
+      if (token.startsWith('$')) return;
+
+      let value = 0;
+      if (EMOJI[token] !== undefined) {
+        value = EMOJI[token];
+      } else if (BULLISH[token]) {
+        value = BULLISH[token];
+      } else if (BEARISH[token]) {
+        value = -BEARISH[token];
+      }
+
+      if (value !== 0) {
+        let adjusted = value * multiplier;
+        if (negateFor > 0) adjusted *= NEGATION_FACTOR;
+        score += adjusted;
+        (adjusted > 0 ? bullishHits : bearishHits).push(negateFor > 0 ? `not ${token}` : token);
+      }
+
+      multiplier = 1;
+      if (negateFor > 0) negateFor -= 1;
+    });
+
+    return { score, bullishHits, bearishHits };
+  }
+
+  classify(text = '') {
+    const tokens = this.tokenize(text);
+    const cashtags = tokens.filter(token => token.startsWith('$'));
+    const { score, bullishHits, bearishHits } = this.scoreTokens(tokens);
+
+    // Squash into [-1, 1]
+    const compound = score / Math.sqrt(score * score + 4);
+    const positive = Math.max(compound, 0);
+    const negative = Math.max(-compound, 0);
+    const neutral = 1 - Math.abs(compound);
+
+    let label = 'neutral';
+    if (compound >= NEUTRAL_BAND) label = 'positive';
+    else if (compound <= -NEUTRAL_BAND) label = 'negative';
+
+    const scores = { positive, negative, neutral };
+    // Confidence in the chosen label, not the largest score (a weak positive is mostly neutral)
+    const confidence = Math.min(MAX_CONFIDENCE, scores[label]);
+
+    // Relevance: cashtags and finance vocabulary
+    const financeHits = tokens.filter(token => FINANCE_TERMS.has(token)).length;
+    const signals = cashtags.length * 2 + financeHits + Math.min(bullishHits.length + bearishHits.length, 2);
+    const isRelevant = cashtags.length > 0 || financeHits > 0 || bullishHits.length + bearishHits.length >= 2;
+    const relevanceConfidence = isRelevant
+      ? Math.min(0.95, 0.5 + 0.1 * signals)
+      : (signals === 0 ? 0.8 : 0.6);
+
+    // Impact: event vocabulary scaled by sentiment strength
+    const highTerms = tokens.filter(token => HIGH_IMPACT_TERMS.has(token));
+    const mediumTerms = tokens.filter(token => MEDIUM_IMPACT_TERMS.has(token));
+    const strength = Math.abs(compound);
+    let level = 'none';
+    if (isRelevant) {
+      if (highTerms.length && strength >= 0.3) level = 'high';
+      else if (highTerms.length || (mediumTerms.length && strength >= 0.2)) level = 'medium';
+      else if (strength >= NEUTRAL_BAND) level = 'low';
+    }
+
+    const reasons = [];
+    if (bullishHits.length) reasons.push(`bullish terms: ${bullishHits.join(', ')}`);
+    if (bearishHits.length) reasons.push(`bearish terms: ${bearishHits.join(', ')}`);
+    if (highTerms.length || mediumTerms.length) reasons.push(`event terms: ${[...highTerms, ...mediumTerms].join(', ')}`);
+    if (cashtags.length) reasons.push(`cashtags: ${cashtags.map(tag => tag.toUpperCase()).join(', ')}`);
+
+    return {
+      sentiment: {
+        label,
+        confidence,
+        scores
+      },
+      relevance: {
+        isRelevant,
+        confidence: relevanceConfidence
+      },
+      marketImpact: {
+        level,
+        confidence: level === 'none' ? 0.5 : Math.min(MAX_CONFIDENCE, 0.4 + strength * 0.5 + 0.1 * highTerms.length),
+        reasoning: `Lexicon (${LEXICON_VERSION}) - ${reasons.length ? reasons.join('; ') : 'no sentiment-bearing terms'}`
+      }
+    };
+  }
+}
+
+module.exports = new LexiconClassifier();
@@ -0,0 +1,279 @@
+const datasetBuilder = require('./datasetBuilder');
+const stockDataAgent = require('./stockDataAgent');
+const ModelVersion = require('../models/ModelVersion');
+const { RidgeRegression } = require('../utils/regression');
+const { mean, rmse, directionalAccuracy } = require('../utils/metrics');
+
+const MIN_TRAINING_ROWS = 10;
+const FLAT_THRESHOLD_PERCENT = 0.05;
+// Newest share of a symbol's rows held out to evaluate each horizon's model
+const HOLDOUT_SHARE = 0.2;
+
+class PredictionService {
+  constructor() {
+    this.models = new Map();
+    this.lambda = parseFloat(process.env.PREDICTION_RIDGE_LAMBDA || '5');
+    this.cacheTtlMs = parseInt(process.env.PREDICTION_CACHE_TTL_MS || String(60 * 60 * 1000), 10);
+    this.horizons = datasetBuilder.horizons;
+  }
+
+  /**
+   * up / down / flat for a forecast change (%), flat within FLAT_THRESHOLD_PERCENT
+   */
+  getDirection(changePercent) {
+    if (changePercent > FLAT_THRESHOLD_PERCENT) return 'up';
+    if (changePercent < -FLAT_THRESHOLD_PERCENT) return 'down';
+    return 'flat';
+  }
+
+  isHorizon(horizon) {
+    return this.horizons.includes(horizon);
+  }
+
+  /**
+   * Target is the return (%) from the t-1 close to the horizon close
+   * (next_day_close for plain dataset.txt rows)
+   */
+  getTarget(row) {
+    const lastClose = row['stock_close_t-1'];
+    const targetClose = row.horizon_close !== undefined ? row.horizon_close : row.next_day_close;
+    return ((targetClose - lastClose) / lastClose) * 100;
+  }
+
+  fit(rows) {
+    return new RidgeRegression({
+      lambda: this.lambda,
+      featureNames: datasetBuilder.featureColumns
+    }).fit(rows, rows.map(row => this.getTarget(row)));
+  }
+
+  /**
+   * Fit on the older rows and score the newest HOLDOUT_SHARE. Training rows
+   * whose horizon close falls inside the holdout are dropped so overlapping
+   * multi-day targets do not leak into the score.
+   */
+  evaluate(rows, horizon) {
+    const split = Math.floor(rows.length * (1 - HOLDOUT_SHARE));
+    const training = rows.slice(0, Math.max(0, split - horizon + 1));
+    const holdout = rows.slice(split);
+    if (training.length < MIN_TRAINING_ROWS || !holdout.length) {
+      return { holdoutSamples: 0, holdoutRmsePercent: null, naiveHoldoutRmsePercent: null, holdoutDirectionalAccuracy: null };
+    }
+
+    const model = this.fit(training);
+    const actual = holdout.map(row => this.getTarget(row));
+    const predicted = holdout.map(row => model.predict(row));
+    return {
+      holdoutSamples: holdout.length,
+      holdoutRmsePercent: rmse(actual, predicted),
+      // No-change forecast over the same rows
+      naiveHoldoutRmsePercent: rmse(actual, actual.map(() => 0)),
+      holdoutDirectionalAccuracy: directionalAccuracy(actual, predicted)
+    };
+  }
+
+  /**
+   * Train a ridge regression for a symbol and horizon (trading days) on its dataset.txt rows
+   */
+  async train(symbol, { horizon = 1 } = {}) {
+    const rows = await datasetBuilder.buildSymbolRows(symbol, { horizon });
+    if (rows.length < MIN_TRAINING_ROWS) {
+      const error = new Error(`Not enough history to train a ${horizon}-day model for ${symbol.toUpperCase()} (${rows.length} rows)`);
+      error.status = 422;
+      throw error;
+    }
+
+    const model = this.fit(rows);
+    const inSampleRmse = rmse(rows.map(row => this.getTarget(row)), rows.map(row => model.predict(row)));
+    const lastUpdate = await stockDataAgent.getLastUpdateInfo();
+
+    return {
+      symbol: symbol.toUpperCase(),
+      horizon,
+      model,
+      trainedAt: new Date(),
+      dataVersion: lastUpdate ? lastUpdate.lastUpdate : null,
+      samples: rows.length,
+      trainingWindow: {
+        start: rows[0].date,
+        end: rows[rows.length - 1].date
+      },
+      metrics: { inSampleRmsePercent: inSampleRmse, ...this.evaluate(rows, horizon) }
+    };
+  }
+
+  /**
+   * Model for a symbol and horizon: the active registry version when it covers
+   * them, otherwise a cached on-demand fit retrained when the CSV is refreshed.
+   * Registry entries from before multi-horizon training are 1-day models.
+   */
+  async getModel(symbol, horizon = 1) {
+    const key = symbol.toUpperCase();
+    const active = await ModelVersion.getActive('prediction');
+    const registered = active && active.artifact && Array.isArray(active.artifact.models)
+      ? active.artifact.models.find(m => m.symbol === key && (m.horizon || 1) === horizon)
+      : null;
+
+    if (registered) {
+      const cacheKey = `${key}@${active.version}#${horizon}`;
+      if (!this.models.has(cacheKey)) {
+        this.models.set(cacheKey, {
+          symbol: key,
+          horizon,
+          version: active.version,
+          model: RidgeRegression.fromJSON(registered.model),
+          trainedAt: active.createdAt,
+          samples: registered.samples,
+          trainingWindow: registered.trainingWindow,
+          metrics: registered.metrics
+        });
+      }
+      return this.models.get(cacheKey);
+    }
+
+    const cacheKey = `${key}#${horizon}`;
+    const cached = this.models.get(cacheKey);
+    const lastUpdate = await stockDataAgent.getLastUpdateInfo();
+    const dataVersion = lastUpdate ? lastUpdate.lastUpdate : null;
+
+    if (cached &&
+        cached.dataVersion === dataVersion &&
+        Date.now() - cached.trainedAt.getTime() < this.cacheTtlMs) {
+      return cached;
+    }
+
+    const trained = await this.train(key, { horizon });
+    this.models.set(cacheKey, trained);
+    return trained;
+  }
+
+  /**
+   * Train every symbol at every horizon and record the bundle in the model registry
+   */
+  async trainAndRegister({ symbols, horizons = this.horizons, activate = true, createdBy = null, onProgress = null } = {}) {
+    const targets = symbols && symbols.length
+      ? symbols.map(s => s.toUpperCase())
+      : stockDataAgent.companies.map(c => c.symbol);
+
+    // Stored as an array: symbols such as RELIANCE.NS are not safe MongoDB keys
+    const models = [];
+    const skipped = [];
+    const total = targets.length * horizons.length;
+    let done = 0;
+    for (const symbol of targets) {
+      for (const horizon of horizons) {
+        try {
+          const trained = await this.train(symbol, { horizon });
+          models.push({
+            symbol,
+            horizon,
+            model: trained.model.toJSON(),
+            samples: trained.samples,
+            trainingWindow: trained.trainingWindow,
+            metrics: trained.metrics
+          });
+        } catch (error) {
+          skipped.push({ symbol, horizon, reason: error.message });
+        }
+        done++;
+        if (onProgress) await onProgress(done / total, `${symbol} (${horizon}d)`);
+      }
+    }
+
+    if (!models.length) {
+      throw new Error('No prediction models could be trained');
+    }
+
+    const windows = models.map(m => m.trainingWindow);
+    const rmses = models.map(m => m.metrics.inSampleRmsePercent);
+
+    // Holdout scores per horizon so longer horizons are judged on their own
+    const byHorizon = horizons.map(horizon => {
+      const trained = models.filter(m => m.horizon === horizon);
+      const scored = trained.filter(m => m.metrics.holdoutSamples > 0);
+      return {
+        horizon,
+        models: trained.length,
+        meanHoldoutRmsePercent: mean(scored.map(m => m.metrics.holdoutRmsePercent)),
+        meanNaiveHoldoutRmsePercent: mean(scored.map(m => m.metrics.naiveHoldoutRmsePercent)),
+        meanHoldoutDirectionalAccuracy: mean(scored.map(m => m.metrics.holdoutDirectionalAccuracy))
+      };
+    });
+
+    const entry = await ModelVersion.register('prediction', {
+      algorithm: 'ridge_regression',
+      description: `Per-symbol ${horizons.join(', ')}-day return regressions on dataset.txt features`,
+      trainingWindow: {
+        start: new Date(windows.map(w => w.start).sort()[0]),
+        end: new Date(windows.map(w => w.end).sort().slice(-1)[0])
+      },
+      trainingSamples: models.reduce((sum, m) => sum + m.samples, 0),
+      symbols: [...new Set(models.map(m => m.symbol))],
+      parameters: { lambda: this.lambda, horizons, holdoutShare: HOLDOUT_SHARE, features: datasetBuilder.featureColumns },
+      metrics: {
+        meanInSampleRmsePercent: mean(rmses),
+        byHorizon,
+        skipped
+      },
+      artifact: { models },
+      createdBy
+    }, { activate });
+
+    return entry;
+  }
+
+  /**
+   * Predict a symbol's close `horizon` trading days after its latest close
+   */
+  async predict(symbol, { horizon = 1 } = {}) {
+    const trained = await this.getModel(symbol, horizon);
+    const { asOf, row } = await datasetBuilder.buildLatestRow(symbol);
+
+    const lastClose = row['stock_close_t-1'];
+    const predictedChangePercent = trained.model.predict(row);
+    const predictedClose = lastClose * (1 + predictedChangePercent / 100);
+
+    const direction = this.getDirection(predictedChangePercent);
+
+    const features = {};
+    datasetBuilder.featureColumns.forEach(col => { features[col] = row[col]; });
+
+    // Largest pushes first; baselinePercent plus every contribution is predictedChangePercent
+    const contributions = trained.model.contributions(row)
+      .map(c => ({
+        feature: c.feature,
+        value: c.value,
+        standardizedValue: c.standardized,
+        coefficient: c.coefficient,
+        contributionPercent: c.contribution
+      }))
+      .sort((a, b) => Math.abs(b.contributionPercent) - Math.abs(a.contributionPercent));
+
+    return {
+      symbol: symbol.toUpperCase(),
+      asOf,
+      horizon,
+      lastClose,
+      predictedClose,
+      predictedChange: predictedClose - lastClose,
+      predictedChangePercent,
+      direction,
+      features,
+      explanation: {
+        baselinePercent: trained.model.intercept,
+        contributions
+      },
+      model: {
+        type: 'ridge_regression',
+        version: trained.version || null,
+        lambda: trained.model.lambda,
+        trainedAt: new Date(trained.trainedAt).toISOString(),
+        samples: trained.samples,
+        trainingWindow: trained.trainingWindow,
+        metrics: trained.metrics
+      }
+    };
+  }
+}
+
+module.exports = new PredictionService();
@@ -0,0 +1,228 @@
+const datasetBuilder = require('./datasetBuilder');
+const predictionService = require('./predictionService');
+const stockDataAgent = require('./stockDataAgent');
+const { RidgeRegression } = require('../utils/regression');
+const { mean, calibrationSummary } = require('../utils/metrics');
+const { quantile } = require('../utils/statistics');
+
+// Rows a walk-forward model needs before its first forecast (as in the backtest)
+const MIN_TRAIN_ROWS = 15;
+// Earlier out-of-sample errors needed before a forecast gets a distribution
+const MIN_RESIDUALS = 20;
+const QUANTILES = [0.05, 0.1, 0.25, 0.5, 0.75, 0.9, 0.95];
+const RELIABILITY_BINS = 10;
+
+class ProbabilisticForecastService {
+  constructor() {
+    this.defaultCoverage = 0.8;
+    this.historyDays = parseInt(process.env.FORECAST_HISTORY_DAYS || '120', 10);
+    this.quantiles = QUANTILES;
+    this.walkForwards = new Map();
+  }
+
+  /**
+   * `horizon`-day return forecasts over the last `historyDays` rows, each from
+   * a ridge model fit only on rows whose horizon close was already known.
+   * Cached until the CSV changes.
+   */
+  async walkForward(symbol, benchmark = null, horizon = 1) {
+    const key = `${symbol.toUpperCase()}#${horizon}`;
+    const lastUpdate = await stockDataAgent.getLastUpdateInfo();
+    const dataVersion = lastUpdate ? lastUpdate.lastUpdate : null;
+    const cached = this.walkForwards.get(key);
+    if (cached &&
+        cached.dataVersion === dataVersion &&
+        Date.now() - cached.computedAt < predictionService.cacheTtlMs) {
+      return cached.forecasts;
+    }
+
+    const rows = await datasetBuilder.buildSymbolRows(symbol, { horizon }, benchmark);
+    const forecasts = [];
+    for (let i = Math.max(MIN_TRAIN_ROWS + horizon - 1, rows.length - this.historyDays); i < rows.length; i++) {
+      const history = rows.slice(0, i - horizon + 1);
+      const model = new RidgeRegression({
+        lambda: predictionService.lambda,
+        featureNames: datasetBuilder.featureColumns
+      }).fit(history, history.map(row => predictionService.getTarget(row)));
+
+      forecasts.push({
+        date: rows[i].date,
+        lastClose: rows[i]['stock_close_t-1'],
+        actualClose: rows[i].horizon_close,
+        predictedReturn: model.predict(rows[i]),
+        actualReturn: predictionService.getTarget(rows[i])
+      });
+    }
+
+    this.walkForwards.set(key, { dataVersion, computedAt: Date.now(), forecasts });
+    return forecasts;
+  }
+
+  /**
+   * Predictive distribution of the horizon return (%): the point forecast
+   * plus each earlier out-of-sample error. The up-move probability is
+   * Laplace-smoothed so a short error history never claims certainty.
+   */
+  distribution(predictedReturn, residuals, coverage) {
+    const outcomes = residuals.map(residual => predictedReturn + residual);
+    const ups = outcomes.filter(outcome => outcome > 0).length;
+    return {
+      upProbability: (ups + 1) / (outcomes.length + 2),
+      lowerReturn: quantile(outcomes, (1 - coverage) / 2),
+      upperReturn: quantile(outcomes, (1 + coverage) / 2),
+      quantileReturns: this.quantiles.map(q => ({ q, value: quantile(outcomes, q) }))
+    };
+  }
+
+  /**
+   * Past forecasts with the interval and up-move probability they would have
+   * been published with, and what happened. Only errors of forecasts whose
+   * horizon had already closed feed each interval.
+   */
+  async getHistory(symbol, { coverage = this.defaultCoverage, benchmark = null, horizon = 1 } = {}) {
+    const forecasts = await this.walkForward(symbol, benchmark, horizon);
+    const residuals = forecasts.map(f => f.actualReturn - f.predictedReturn);
+
+    return forecasts.slice(MIN_RESIDUALS + horizon - 1).map((forecast, idx) => {
+      const { upProbability, lowerReturn, upperReturn } = this.distribution(
+        forecast.predictedReturn,
+        residuals.slice(0, idx + MIN_RESIDUALS),
+        coverage
+      );
+      const lower = forecast.lastClose * (1 + lowerReturn / 100);
+      const upper = forecast.lastClose * (1 + upperReturn / 100);
+      return {
+        date: forecast.date,
+        lastClose: forecast.lastClose,
+        actualClose: forecast.actualClose,
+        lower,
+        upper,
+        upProbability,
+        up: forecast.actualReturn > 0,
+        covered: forecast.actualClose >= lower && forecast.actualClose <= upper
+      };
+    });
+  }
+
+  /**
+   * Brier score and reliability bins of the up-move probabilities, plus how
+   * often the realised close fell inside the interval
+   */
+  calibrate(history, coverage = this.defaultCoverage) {
+    if (!history.length) {
+      return { samples: 0, brierScore: null, baseRateBrierScore: null, expectedCalibrationError: null, reliability: [], intervalCoverage: null, nominalCoverage: coverage };
+    }
+
+    const outcomes = history.map(h => h.up);
+    const summary = calibrationSummary(history.map(h => h.upProbability), outcomes, RELIABILITY_BINS);
+    const baseRate = mean(outcomes.map(up => (up ? 1 : 0)));
+
+    return {
+      samples: summary.samples,
+      brierScore: summary.brierScore,
+      // Brier score of always forecasting the observed up-move rate; lower than this is skill
+      baseRateBrierScore: baseRate * (1 - baseRate),
+      expectedCalibrationError: summary.expectedCalibrationError,
+      reliability: summary.bins.map(bin => ({
+        lower: bin.lower,
+        upper: bin.upper,
+        count: bin.count,
+        meanProbability: bin.avgConfidence,
+        observedFrequency: bin.accuracy
+      })),
+      intervalCoverage: history.filter(h => h.covered).length / history.length,
+      nominalCoverage: coverage
+    };
+  }
+
+  /**
+   * Close distribution `horizon` trading days out for a symbol: quantile
+   * interval, quantiles and probability of an up move around the prediction
+   * model's forecast
+   */
+  async forecast(symbol, { coverage = this.defaultCoverage, horizon = 1 } = {}) {
+    const [point, forecasts] = await Promise.all([
+      predictionService.predict(symbol, { horizon }),
+      this.walkForward(symbol, null, horizon)
+    ]);
+    const residuals = forecasts.map(f => f.actualReturn - f.predictedReturn);
+    if (residuals.length < MIN_RESIDUALS) {
+      const error = new Error(`Not enough forecast history for ${symbol.toUpperCase()} (${residuals.length} of ${MIN_RESIDUALS} days)`);
+      error.status = 422;
+      throw error;
+    }
+
+    const { upProbability, lowerReturn, upperReturn, quantileReturns } = this.distribution(
+      point.predictedChangePercent,
+      residuals,
+      coverage
+    );
+    const toClose = (returnPercent) => point.lastClose * (1 + returnPercent / 100);
+    const history = await this.getHistory(symbol, { coverage, horizon });
+
+    return {
+      symbol: point.symbol,
+      asOf: point.asOf,
+      horizon,
+      lastClose: point.lastClose,
+      predictedClose: point.predictedClose,
+      predictedChangePercent: point.predictedChangePercent,
+      upProbability,
+      interval: {
+        coverage,
+        lower: toClose(lowerReturn),
+        upper: toClose(upperReturn)
+      },
+      quantiles: quantileReturns.map(({ q, value }) => ({ q, close: toClose(value), changePercent: value })),
+      residualSamples: residuals.length,
+      calibration: this.calibrate(history, coverage),
+      model: point.model
+    };
+  }
+
+  /**
+   * Calibration of past probabilistic forecasts per symbol and pooled over all
+   * of them (defaults to the agent's companies)
+   */
+  async getCalibration({ symbols, coverage = this.defaultCoverage, horizon = 1 } = {}) {
+    const targets = symbols && symbols.length
+      ? symbols.map(s => s.toUpperCase())
+      : stockDataAgent.companies.map(c => c.symbol);
+
+    const benchmark = await datasetBuilder.getBenchmarkSeries();
+    const results = [];
+    const skipped = [];
+    const pooled = [];
+
+    for (const symbol of targets) {
+      try {
+        const history = await this.getHistory(symbol, { coverage, benchmark, horizon });
+        if (!history.length) {
+          skipped.push({ symbol, reason: 'Not enough history for calibration' });
+          continue;
+        }
+        pooled.push(...history);
+        results.push({ symbol, ...this.calibrate(history, coverage) });
+      } catch (error) {
+        console.error(`❌ Error calibrating forecasts for ${symbol}:`, error.message);
+        skipped.push({ symbol, reason: error.message });
+      }
+    }
+
+    return {
+      overall: this.calibrate(pooled, coverage),
+      symbols: results,
+      skipped,
+      parameters: {
+        coverage,
+        horizon,
+        historyDays: this.historyDays,
+        minResiduals: MIN_RESIDUALS,
+        bins: RELIABILITY_BINS
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new ProbabilisticForecastService();
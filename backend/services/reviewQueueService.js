@@ -0,0 +1,167 @@
+const Tweet = require('../models/Tweet');
+const TweetLabel = require('../models/TweetLabel');
+const ReviewSkip = require('../models/ReviewSkip');
+const lexiconClassifier = require('./lexiconClassifier');
+const { excludeReviewedStages, projectStage } = require('../utils/reviewedFilter');
+
+const REVIEW_FIELDS = 'tweetId text username createdAt companyTagged sentiment relevance marketImpact engagement goldLabels metadata';
+
+// Contribution of each signal to a tweet's review priority
+const PRIORITY_WEIGHTS = {
+  uncertainty: 0.5,
+  disagreement: 0.3,
+  engagement: 0.2
+};
+
+// Slices of the candidate pool: the newest tweets, plus the least confident and the
+// most disputed of any age so older uncertain tweets still reach the queue
+const POOL_SLICES = [
+  { sort: { createdAt: -1 } },
+  { sort: { 'sentiment.confidence': 1, createdAt: -1 } },
+  { match: { 'metadata.providerDisagreement': { $gt: 0 } }, sort: { 'metadata.providerDisagreement': -1, createdAt: -1 } }
+];
+
+class ReviewQueueService {
+  constructor() {
+    // Unreviewed tweets taken from each pool slice when ranking a batch
+    this.poolSize = parseInt(process.env.REVIEW_POOL_SIZE || '1000', 10);
+    this.weights = PRIORITY_WEIGHTS;
+  }
+
+  /**
+   * Match for review candidates; excluding what the annotator labeled or skipped
+   * happens in the pipeline (see excludeReviewedStages)
+   */
+  buildFilter(symbol) {
+    const filter = { processingStatus: 'completed' };
+    if (symbol) filter['companyTagged.symbol'] = symbol.toUpperCase();
+    return filter;
+  }
+
+  /**
+   * Provider disagreement in [0, 1]: the stored ensemble disagreement when available,
+   * otherwise whether the local lexicon disagrees with the stored sentiment label
+   */
+  getDisagreement(tweet) {
+    const metadata = tweet.metadata || {};
+    if (typeof metadata.providerDisagreement === 'number') return metadata.providerDisagreement;
+    if (metadata.modelVersion === lexiconClassifier.version) return 0;
+    return lexiconClassifier.classify(tweet.text).sentiment.label !== tweet.sentiment.label ? 1 : 0;
+  }
+
+  /**
+   * Score tweets by low confidence, provider disagreement and (log-scaled) engagement
+   */
+  scoreTweets(tweets) {
+    const engagement = tweets.map(tweet => Tweet.hydrate(tweet).engagementScore || 0);
+    const maxLogEngagement = Math.log1p(Math.max(0, ...engagement));
+
+    return tweets.map((tweet, i) => {
+      const confidence = tweet.sentiment && typeof tweet.sentiment.confidence === 'number'
+        ? tweet.sentiment.confidence
+        : 0.5;
+      const reasons = {
+        uncertainty: 1 - confidence,
+        disagreement: this.getDisagreement(tweet),
+        engagement: maxLogEngagement > 0 ? Math.log1p(engagement[i]) / maxLogEngagement : 0
+      };
+      const priority = Object.keys(this.weights)
+        .reduce((sum, key) => sum + this.weights[key] * reasons[key], 0);
+
+      return {
+        tweet,
+        symbol: tweet.companyTagged && tweet.companyTagged[0] ? tweet.companyTagged[0].symbol : null,
+        priority,
+        reasons,
+        engagementScore: engagement[i]
+      };
+    });
+  }
+
+  /**
+   * Interleave symbols round-robin (each in priority order) so one busy company
+   * cannot fill a whole batch
+   */
+  balanceBySymbol(scored) {
+    const groups = new Map();
+    [...scored]
+      .sort((a, b) => b.priority - a.priority)
+      .forEach(item => {
+        const key = item.symbol || 'UNTAGGED';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+      });
+
+    const queues = [...groups.values()];
+    const ordered = [];
+    while (queues.some(queue => queue.length)) {
+      queues.forEach(queue => {
+        if (queue.length) ordered.push(queue.shift());
+      });
+    }
+    return ordered;
+  }
+
+  /**
+   * Unreviewed candidates from every pool slice, without duplicates
+   */
+  async getPool(filter, unreviewed) {
+    const slices = await Promise.all(POOL_SLICES.map(slice => Tweet.aggregate([
+      { $match: { ...filter, ...slice.match } },
+      { $sort: slice.sort },
+      ...unreviewed,
+      { $limit: this.poolSize },
+      projectStage(REVIEW_FIELDS)
+    ])));
+
+    const pool = new Map();
+    slices.flat().forEach(tweet => {
+      const key = String(tweet._id);
+      if (!pool.has(key)) pool.set(key, tweet);
+    });
+    return [...pool.values()];
+  }
+
+  /**
+   * Next batch of tweets for an annotator to review, plus how many remain
+   */
+  async getNextBatch(annotatorId, { limit = 10, symbol } = {}) {
+    const filter = this.buildFilter(symbol);
+    const unreviewed = excludeReviewedStages(annotatorId, [TweetLabel, ReviewSkip]);
+
+    const [pool, counts] = await Promise.all([
+      this.getPool(filter, unreviewed),
+      Tweet.aggregate([{ $match: filter }, ...unreviewed, { $count: 'remaining' }])
+    ]);
+    const remaining = counts.length ? counts[0].remaining : 0;
+
+    const items = this.balanceBySymbol(this.scoreTweets(pool)).slice(0, limit);
+
+    return {
+      items,
+      remaining,
+      poolSize: pool.length,
+      weights: this.weights
+    };
+  }
+
+  /**
+   * Drop a tweet from the annotator's review queue without labeling it
+   */
+  async skip(tweetId, annotatorId, reason) {
+    const tweet = await Tweet.findOne({ tweetId }).select('_id').lean();
+    if (!tweet) {
+      const error = new Error('Tweet not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return ReviewSkip.findOneAndUpdate(
+      { tweet: tweet._id, annotator: annotatorId },
+      { reason },
+      { new: true, upsert: true }
+    ).lean();
+  }
+}
+
+module.exports = new ReviewQueueService();
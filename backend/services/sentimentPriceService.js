@@ -0,0 +1,164 @@
+const datasetBuilder = require('./datasetBuilder');
+const {
+  correlationSummary,
+  pearson,
+  correlationPValue,
+  grangerTest
+} = require('../utils/statistics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SentimentPriceService {
+  constructor() {
+    this.defaultWindowDays = 30;
+    this.defaultMaxLag = 5;
+    this.defaultGrangerOrder = 2;
+    this.significanceLevel = 0.05;
+  }
+
+  /**
+   * Close-to-close returns (%) from the daily price CSV (Stock.priceHistory only
+   * keeps about a month), one row per trading day
+   */
+  async getDailyReturns(symbol) {
+    let series;
+    try {
+      series = await datasetBuilder.getPriceSeries(symbol);
+    } catch (error) {
+      error.status = 404;
+      throw error;
+    }
+    return series.map(row => ({ date: row.date, close: row.close, return: row.change }));
+  }
+
+  /**
+   * Every trading day in the window with its return and that day's sentiment
+   * score (null when no tweets were posted)
+   */
+  async getTradingDays(symbol, { windowDays = this.defaultWindowDays } = {}) {
+    const returns = await this.getDailyReturns(symbol);
+    if (!returns.length) return [];
+
+    const end = new Date(new Date(returns[returns.length - 1].date).getTime() + DAY_MS);
+    const start = new Date(end.getTime() - windowDays * DAY_MS);
+    const sentiment = await datasetBuilder.getDailyTweetFeatures(symbol, start, end);
+    const startDate = start.toISOString().slice(0, 10);
+
+    return returns
+      .filter(day => day.date >= startDate)
+      .map(day => ({
+        date: day.date,
+        sentiment: sentiment.has(day.date) ? sentiment.get(day.date).sentiment : null,
+        return: day.return
+      }));
+  }
+
+  /**
+   * Trading days in the window with that day's sentiment score (days without
+   * tweets are skipped), same-day return and the next trading day's return
+   */
+  async getDailySeries(symbol, { windowDays = this.defaultWindowDays } = {}) {
+    const days = await this.getTradingDays(symbol, { windowDays });
+
+    return days
+      .map((day, i) => ({ day, next: days[i + 1] }))
+      .filter(({ day }) => day.sentiment !== null)
+      .map(({ day, next }) => ({
+        date: day.date,
+        sentiment: day.sentiment,
+        return: day.return,
+        nextReturn: next ? next.return : null
+      }));
+  }
+
+  /**
+   * Pearson and Spearman correlation of daily sentiment with same-day and
+   * next-day returns over the last `windowDays` calendar days of price history
+   */
+  async getCorrelation(symbol, { windowDays = this.defaultWindowDays } = {}) {
+    const series = await this.getDailySeries(symbol, { windowDays });
+    const withNext = series.filter(row => row.nextReturn !== null);
+
+    // startDate/endDate span the days with sentiment actually used, which can be
+    // shorter than windowDays when tweets or prices do not reach back that far
+    return {
+      windowDays,
+      daysWithSentiment: series.length,
+      startDate: series.length ? series[0].date : null,
+      endDate: series.length ? series[series.length - 1].date : null,
+      sameDay: correlationSummary(series.map(row => row.sentiment), series.map(row => row.return)),
+      nextDay: correlationSummary(withNext.map(row => row.sentiment), withNext.map(row => row.nextReturn)),
+      series
+    };
+  }
+
+  /**
+   * Cross-correlation of daily sentiment with returns `lag` trading days later
+   * for lags -maxLag..+maxLag (positive lags: sentiment leads price), plus
+   * Granger-style F-tests in both directions
+   */
+  async getLeadLag(symbol, {
+    windowDays = this.defaultWindowDays,
+    maxLag = this.defaultMaxLag,
+    order = this.defaultGrangerOrder
+  } = {}) {
+    const days = await this.getTradingDays(symbol, { windowDays });
+    const sentiment = days.map(day => day.sentiment);
+    const returns = days.map(day => day.return);
+
+    const profile = [];
+    for (let lag = -maxLag; lag <= maxLag; lag++) {
+      const x = [];
+      const y = [];
+      days.forEach((day, i) => {
+        const later = days[i + lag];
+        if (day.sentiment === null || !later) return;
+        x.push(day.sentiment);
+        y.push(later.return);
+      });
+      const r = pearson(x, y);
+      profile.push({ lag, n: x.length, r, pValue: correlationPValue(r, x.length) });
+    }
+
+    const bestLag = profile
+      .filter(point => point.r !== null && point.pValue !== null)
+      .sort((a, b) => Math.abs(b.r) - Math.abs(a.r))[0] || null;
+
+    // The best of 2*maxLag+1 correlations is tested with a Bonferroni correction
+    const comparisons = profile.length;
+    const adjustedPValue = bestLag ? Math.min(1, bestLag.pValue * comparisons) : null;
+
+    const sentimentToReturns = grangerTest(sentiment, returns, order);
+    const returnsToSentiment = grangerTest(returns, sentiment, order);
+
+    return {
+      windowDays,
+      maxLag,
+      startDate: days.length ? days[0].date : null,
+      endDate: days.length ? days[days.length - 1].date : null,
+      tradingDays: days.length,
+      daysWithSentiment: sentiment.filter(value => value !== null).length,
+      significanceLevel: this.significanceLevel,
+      profile,
+      bestLag: bestLag ? {
+        ...bestLag,
+        comparisons,
+        adjustedPValue,
+        significant: adjustedPValue < this.significanceLevel,
+        direction: bestLag.lag > 0 ? 'sentiment_leads' : bestLag.lag < 0 ? 'price_leads' : 'same_day'
+      } : null,
+      granger: {
+        sentimentToReturns: sentimentToReturns && {
+          ...sentimentToReturns,
+          significant: sentimentToReturns.pValue < this.significanceLevel
+        },
+        returnsToSentiment: returnsToSentiment && {
+          ...returnsToSentiment,
+          significant: returnsToSentiment.pValue < this.significanceLevel
+        }
+      }
+    };
+  }
+}
+
+module.exports = new SentimentPriceService();
@@ -0,0 +1,167 @@
+const Tweet = require('../models/Tweet');
+const { spamMatch, spamWeight, safeDivide } = require('../utils/spamFilter');
+const { clusterStages } = require('../utils/clusterFilter');
+const { baselineStats } = require('../utils/statistics');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Floors on the baseline spread so a perfectly flat history (e.g. a symbol that is
+// never mentioned) does not turn a couple of tweets into an infinite z-score
+const MIN_VOLUME_SCALE = 1;
+const MIN_SENTIMENT_SCALE = 0.1;
+// Baseline hours with a sentiment score needed before sentiment z-scores are computed
+const MIN_SENTIMENT_HOURS = 3;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const hourKey = (date) => date.toISOString().slice(0, 13);
+
+class SentimentSpikeDetector {
+  constructor() {
+    this.defaultBaselineDays = 7;
+    this.defaultZThreshold = 3;
+    // Hours with fewer tweets neither spike nor feed the sentiment baseline
+    this.minTweets = 5;
+  }
+
+  /**
+   * Tweet volume and mean sentiment per symbol per UTC hour, keyed by
+   * symbol then YYYY-MM-DDTHH
+   */
+  async getHourlyActivity({ start, end, spam, count }) {
+    const weight = spamWeight(spam);
+    const rows = await Tweet.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: start, $lt: end },
+          'relevance.isRelevant': true,
+          ...spamMatch(spam)
+        }
+      },
+      ...clusterStages(count),
+      { $unwind: '$companyTagged' },
+      {
+        $group: {
+          _id: {
+            symbol: '$companyTagged.symbol',
+            hour: { $dateToString: { format: '%Y-%m-%dT%H', date: '$createdAt' } }
+          },
+          tweetCount: { $sum: weight },
+          sentimentSum: {
+            $sum: {
+              $multiply: [weight, {
+                $cond: [
+                  { $eq: ['$sentiment.label', 'positive'] },
+                  1,
+                  { $cond: [{ $eq: ['$sentiment.label', 'negative'] }, -1, 0] }
+                ]
+              }]
+            }
+          }
+        }
+      },
+      { $addFields: { avgSentiment: safeDivide('$sentimentSum', '$tweetCount') } }
+    ]);
+
+    const activity = new Map();
+    rows.forEach(({ _id, tweetCount, avgSentiment }) => {
+      if (!_id.symbol) return;
+      if (!activity.has(_id.symbol)) activity.set(_id.symbol, new Map());
+      activity.get(_id.symbol).set(_id.hour, { tweetCount, avgSentiment });
+    });
+    return activity;
+  }
+
+  zScore(value, stats, minScale) {
+    if (stats.center === null) return null;
+    return (value - stats.center) / Math.max(stats.scale, minScale);
+  }
+
+  severity(z, zThreshold) {
+    if (z >= zThreshold * 2) return 'high';
+    if (z >= zThreshold * 1.5) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Hours in the last `hours` where a symbol's tweet volume rose, or its
+   * sentiment score moved, at least `zThreshold` baseline spreads away from
+   * its own rolling baseline over the preceding `baselineDays`
+   */
+  async detect({
+    hours = 24,
+    baselineDays = this.defaultBaselineDays,
+    method = 'robust',
+    zThreshold = this.defaultZThreshold,
+    spam = 'include',
+    count = 'tweets',
+    limit = 10
+  } = {}) {
+    const baselineHours = baselineDays * 24;
+    const currentHour = new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS);
+    const firstHour = new Date(currentHour.getTime() - (hours - 1) * HOUR_MS);
+    const start = new Date(firstHour.getTime() - baselineHours * HOUR_MS);
+    const end = new Date(currentHour.getTime() + HOUR_MS);
+
+    const activity = await this.getHourlyActivity({ start, end, spam, count });
+    const timeline = Array.from({ length: baselineHours + hours }, (_, i) => hourKey(new Date(start.getTime() + i * HOUR_MS)));
+
+    const spikes = [];
+    activity.forEach((byHour, symbol) => {
+      const series = timeline.map(hour => byHour.get(hour) || { tweetCount: 0, avgSentiment: null });
+
+      for (let i = baselineHours; i < series.length; i++) {
+        const current = series[i];
+        if (current.tweetCount < this.minTweets) continue;
+
+        const window = series.slice(i - baselineHours, i);
+        const volumeStats = baselineStats(window.map(point => point.tweetCount), method);
+        const sentimentHours = window.filter(point => point.tweetCount >= this.minTweets);
+        const sentimentStats = sentimentHours.length >= MIN_SENTIMENT_HOURS
+          ? baselineStats(sentimentHours.map(point => point.avgSentiment), method)
+          : { center: null, scale: null };
+
+        const volumeZ = this.zScore(current.tweetCount, volumeStats, MIN_VOLUME_SCALE);
+        const sentimentZ = this.zScore(current.avgSentiment, sentimentStats, MIN_SENTIMENT_SCALE);
+
+        const signals = [];
+        if (volumeZ >= zThreshold) signals.push('volume');
+        if (sentimentZ !== null && Math.abs(sentimentZ) >= zThreshold) signals.push('sentiment');
+        if (!signals.length) continue;
+
+        const maxZ = Math.max(volumeZ, sentimentZ !== null ? Math.abs(sentimentZ) : 0);
+        spikes.push({
+          symbol,
+          hour: new Date(`${timeline[i]}:00:00.000Z`).toISOString(),
+          tweetCount: current.tweetCount,
+          avgSentiment: current.avgSentiment,
+          signals,
+          zScores: {
+            tweetCount: round(volumeZ),
+            sentiment: sentimentZ !== null ? round(sentimentZ) : null
+          },
+          baseline: {
+            tweetCount: { center: round(volumeStats.center), scale: round(volumeStats.scale) },
+            sentiment: sentimentStats.center !== null
+              ? { center: round(sentimentStats.center), scale: round(sentimentStats.scale), hours: sentimentHours.length }
+              : null
+          },
+          severity: this.severity(maxZ, zThreshold),
+          maxZ: round(maxZ)
+        });
+      }
+    });
+
+    return spikes
+      .sort((a, b) => b.maxZ - a.maxZ)
+      .slice(0, limit);
+  }
+
+  /**
+   * Detection settings echoed back with the spikes
+   */
+  getSettings({ baselineDays = this.defaultBaselineDays, method = 'robust', zThreshold = this.defaultZThreshold } = {}) {
+    return { method, baselineDays, zThreshold, minTweets: this.minTweets };
+  }
+}
+
+module.exports = new SentimentSpikeDetector();
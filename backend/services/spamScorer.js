@@ -0,0 +1,96 @@
+const Tweet = require('../models/Tweet');
+
+// Contribution of each signal to the spam score
+const SIGNAL_WEIGHTS = {
+  lowFollowers: 0.2,
+  postingRate: 0.3,
+  urlDensity: 0.15,
+  hashtagDensity: 0.15,
+  duplicateText: 0.2
+};
+
+// Followers at which an account stops looking throwaway
+const FOLLOWER_SATURATION = 1000;
+// Tweets per hour from one account treated as fully bot-like
+const MAX_HOURLY_POSTS = 10;
+// URLs / hashtags per word treated as fully spammy
+const MAX_URL_DENSITY = 0.2;
+const MAX_HASHTAG_DENSITY = 0.3;
+// Copies of the same text (from any account) treated as a fully coordinated burst
+const MAX_DUPLICATES = 3;
+const DUPLICATE_WINDOW_HOURS = 24;
+// Verified accounts keep this share of their score
+const VERIFIED_FACTOR = 0.5;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const round = (value) => Math.round(value * 1000) / 1000;
+
+class SpamScorer {
+  constructor() {
+    this.weights = SIGNAL_WEIGHTS;
+  }
+
+  /**
+   * Signals that only depend on the tweet itself
+   */
+  getContentSignals(tweet) {
+    const text = tweet.text || '';
+    const words = text.split(/\s+/).filter(Boolean).length || 1;
+    const urls = tweet.urls && tweet.urls.length ? tweet.urls.length : (text.match(/https?:\/\/\S+/g) || []).length;
+    const hashtags = tweet.hashtags && tweet.hashtags.length ? tweet.hashtags.length : (text.match(/#\w+/g) || []).length;
+    const followers = tweet.userFollowersCount || 0;
+
+    return {
+      lowFollowers: clamp01(1 - Math.log10(followers + 1) / Math.log10(FOLLOWER_SATURATION)),
+      urlDensity: clamp01(urls / words / MAX_URL_DENSITY),
+      hashtagDensity: clamp01(hashtags / words / MAX_HASHTAG_DENSITY)
+    };
+  }
+
+  /**
+   * Signals that compare the tweet with what is already stored: how often the
+   * account posted in the hour before it and how many copies of its text exist
+   */
+  async getHistorySignals(tweet) {
+    const createdAt = tweet.createdAt ? new Date(tweet.createdAt) : new Date();
+    const cleanedText = (tweet.cleanedText || (tweet.text || '').replace(/https?:\/\/\S+/g, '')).trim();
+    const hourAgo = new Date(createdAt.getTime() - 60 * 60 * 1000);
+    const duplicateSince = new Date(createdAt.getTime() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000);
+
+    const [recentPosts, duplicates] = await Promise.all([
+      tweet.userId
+        ? Tweet.countDocuments({ userId: tweet.userId, createdAt: { $gte: hourAgo, $lte: createdAt } })
+        : 0,
+      cleanedText
+        ? Tweet.countDocuments({ cleanedText, createdAt: { $gte: duplicateSince, $lte: createdAt } })
+        : 0
+    ]);
+
+    return {
+      postingRate: clamp01(recentPosts / MAX_HOURLY_POSTS),
+      duplicateText: clamp01(duplicates / MAX_DUPLICATES)
+    };
+  }
+
+  /**
+   * Bot/spam score in [0, 1] for a tweet about to be stored, with its signals
+   */
+  async scoreTweet(tweet) {
+    const signals = {
+      ...this.getContentSignals(tweet),
+      ...(await this.getHistorySignals(tweet))
+    };
+
+    let score = Object.keys(this.weights)
+      .reduce((sum, key) => sum + this.weights[key] * signals[key], 0);
+    if (tweet.userVerified) score *= VERIFIED_FACTOR;
+
+    return {
+      score: round(score),
+      signals: Object.fromEntries(Object.entries(signals).map(([key, value]) => [key, round(value)])),
+      scoredAt: new Date()
+    };
+  }
+}
+
+module.exports = new SpamScorer();
@@ -37,6 +37,13 @@ class StockDataAgent {
       this.companies = defaultCompanies;
     }
 
+    // Benchmark index stored alongside the companies (DJIA features in dataset.txt)
+    this.benchmark = {
+      symbol: (process.env.BENCHMARK_SYMBOL || '^DJI').toUpperCase(),
+      name: 'Dow Jones Industrial Average',
+      sector: 'Index'
+    };
+
     this.days = parseInt(process.env.STOCK_DAYS || '30', 10); // last N days
   }
 
@@ -90,10 +97,11 @@ class StockDataAgent {
 
       // Respect free-tier limits: 5 requests/min. Use 1 per 15s for safety.
       const perRequestDelayMs = parseInt(process.env.STOCK_FETCH_DELAY_MS || '15000', 10);
+      const targets = [...this.companies, this.benchmark];
 
-      for (let i = 0; i < this.companies.length; i++) {
-        const company = this.companies[i];
-        console.log(`🔍 (${i + 1}/${this.companies.length}) Fetching ${company.symbol}...`);
+      for (let i = 0; i < targets.length; i++) {
+        const company = targets[i];
+        console.log(`🔍 (${i + 1}/${targets.length}) Fetching ${company.symbol}...`);
         try {
           const stockData = await this.fetchCompanyData(company);
           if (stockData && stockData.length) {
@@ -111,7 +119,7 @@ class StockDataAgent {
           errorCount++;
         }
         // Throttle between symbols
-        if (i < this.companies.length - 1) {
+        if (i < targets.length - 1) {
           await this.sleep(perRequestDelayMs);
         }
       }
@@ -126,6 +134,12 @@ class StockDataAgent {
   }
 
   async fetchCompanyData(company) {
+    // Alpha Vantage does not serve index symbols such as ^DJI; Yahoo does
+    if (company.symbol === this.benchmark.symbol) {
+      const rows = await this.fetchFromYahoo(company.symbol);
+      return rows && rows.map(row => ({ ...row, name: company.name, sector: company.sector }));
+    }
+
     // Helper to call AlphaVantage with retry/backoff when rate-limited
     const callAlpha = async (params, attempt = 1) => {
       const maxAttempts = parseInt(process.env.STOCK_MAX_RETRIES || '5', 10);
@@ -134,16 +148,20 @@ class StockDataAgent {
       const res = await axios.get('https://www.alphavantage.co/query', { params, timeout: 20000 });
       const data = res.data || {};
       const keys = Object.keys(data);
-      if (data.Note || data['Error Message']) {
-        console.log('⚠️ AlphaVantage responded with Note/Error:', {
+      // An Error Message (e.g. unknown symbol) will not change on retry
+      if (data['Error Message']) {
+        throw new Error(data['Error Message']);
+      }
+      // Only a Note means the rate limit was hit
+      if (data.Note) {
+        console.log('⚠️ AlphaVantage responded with Note:', {
           note: data.Note,
-          error: data['Error Message'],
           keys: keys.slice(0, 5)
         });
         if (attempt >= maxAttempts) {
-          throw new Error(data.Note || data['Error Message'] || 'Alpha Vantage error');
+          throw new Error(data.Note);
         }
-        console.log(`⏳ Rate-limited or error. Waiting ${backoffSec}s before retry ${attempt + 1}/${maxAttempts}...`);
+        console.log(`⏳ Rate-limited. Waiting ${backoffSec}s before retry ${attempt + 1}/${maxAttempts}...`);
         await this.sleep(backoffSec * 1000);
         return callAlpha(params, attempt + 1);
       }
@@ -313,21 +331,47 @@ class StockDataAgent {
     } catch { return 0; }
   }
 
+  async readCsvRows() {
+    if (!await this.fileExists(this.csvPath)) throw new Error('Stock data file not found. Run bulk fetch first.');
+    const fileContent = await fs.readFile(this.csvPath, 'utf-8');
+    const lines = fileContent.split('\n').filter(line => line.trim());
+    if (lines.length <= 1) throw new Error('Stock data file is empty or only contains headers');
+
+    const data = [];
+    const headers = lines[0].split(',');
+    for (let i = 1; i < lines.length; i++) {
+      const values = lines[i].split(',');
+      const row = {};
+      headers.forEach((h, idx) => { row[h.trim()] = values[idx] ? values[idx].trim() : ''; });
+      data.push(row);
+    }
+    return data;
+  }
+
+  // Daily rows for one symbol, oldest first, with numeric fields parsed
+  async getDailySeries(symbol) {
+    const data = await this.readCsvRows();
+    const byDate = new Map();
+    data
+      .filter(r => r.Symbol === symbol.toUpperCase())
+      .forEach(r => byDate.set(r.Date, {
+        date: r.Date,
+        open: parseFloat(r.Open),
+        high: parseFloat(r.High),
+        low: parseFloat(r.Low),
+        close: parseFloat(r.Close),
+        volume: parseInt(r.Volume) || 0,
+        priceChangePercent: parseFloat(r.PriceChangePercent)
+      }));
+    if (byDate.size === 0) throw new Error(`No data found for symbol: ${symbol}`);
+    return Array.from(byDate.values())
+      .filter(r => isFinite(r.close))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
   async getStockData(symbol, period = '1mo') {
     try {
-      if (!await this.fileExists(this.csvPath)) throw new Error('Stock data file not found. Run bulk fetch first.');
-      const fileContent = await fs.readFile(this.csvPath, 'utf-8');
-      const lines = fileContent.split('\n').filter(line => line.trim());
-      if (lines.length <= 1) throw new Error('Stock data file is empty or only contains headers');
-
-      const data = [];
-      const headers = lines[0].split(',');
-      for (let i = 1; i < lines.length; i++) {
-        const values = lines[i].split(',');
-        const row = {};
-        headers.forEach((h, idx) => { row[h.trim()] = values[idx] ? values[idx].trim() : ''; });
-        data.push(row);
-      }
+      const data = await this.readCsvRows();
 
       const companyData = data.filter(r => r.Symbol === symbol.toUpperCase());
       if (companyData.length === 0) throw new Error(`No data found for symbol: ${symbol}`);
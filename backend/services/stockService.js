@@ -1,6 +1,8 @@
 const Stock = require('../models/Stock');
 const axios = require('axios');
 const stockDataAgent = require('./stockDataAgent');
+const impactEventDetector = require('./impactEventDetector');
+const forecastLedgerService = require('./forecastLedgerService');
 
 class StockService {
   /**
@@ -26,6 +28,7 @@ class StockService {
       if (await stockDataAgent.needsUpdate()) {
         console.log('📊 CSV data is outdated, fetching fresh data...');
         await stockDataAgent.fetchAllStockData();
+        await this.refreshForecastLedger();
       } else {
         console.log('✅ CSV data is up to date');
       }
@@ -44,6 +47,8 @@ class StockService {
           const stockData = await this.fetchStockData(stock.symbol);
           if (stockData) {
             await this.updateStockRecord(stock, stockData);
+            // Flag opening gaps and volume surges as impact events
+            await impactEventDetector.checkStock(stock);
             updatedStocks.push(stock);
           }
         } catch (error) {
@@ -63,6 +68,18 @@ class StockService {
     }
   }
 
+  /**
+   * Settle forecasts whose next close just arrived in the CSV and issue the next round
+   */
+  async refreshForecastLedger() {
+    try {
+      await forecastLedgerService.reconcile();
+      await forecastLedgerService.issueAll();
+    } catch (error) {
+      console.error('❌ Error refreshing forecast ledger:', error.message);
+    }
+  }
+
   /**
    * Fetch stock data - now uses CSV data agent
    */
@@ -315,6 +332,10 @@ class StockService {
         stock.priceHistory = stockData.priceHistory;
       }
 
+      // Baseline for volume surge detection, excluding the latest bar
+      const avgVolume = impactEventDetector.averageVolume(stock.priceHistory);
+      if (avgVolume) stock.avgVolume = avgVolume;
+
       // Update metadata
       stock.metadata.lastSync = new Date();
       stock.metadata.syncErrors = [];
@@ -1,4 +1,11 @@
 const Tweet = require('../models/Tweet');
+const ModelVersion = require('../models/ModelVersion');
+const classifierService = require('./classifierService');
+const entityTagger = require('./entityTagger');
+const spamScorer = require('./spamScorer');
+const duplicateClusterer = require('./duplicateClusterer');
+const impactEventDetector = require('./impactEventDetector');
+const impactModelService = require('./impactModelService');
 const axios = require('axios');
 
 class TweetService {
@@ -27,16 +34,32 @@ class TweetService {
               continue;
             }
 
-            // Classify tweet using ML service
-            const classification = await this.classifyTweet(tweetData.text);
-            
+            // Classify tweet using the configured classifier providers
+            const { classification, modelVersion, disagreement } = await this.classifyTweet(tweetData.text);
+
+            // Resolve company mentions, keeping any tags supplied by the agent
+            const companyTagged = await entityTagger.tagTweet(tweetData.text, tweetData.companyTagged);
+
+            // Score bot/spam likelihood against the account's recent activity
+            const spam = await spamScorer.scoreTweet(tweetData);
+
+            // Group with earlier near-duplicates (copy-paste campaigns, retweets)
+            const duplicate = await duplicateClusterer.assignCluster(tweetData);
+
             // Create tweet document
             const tweet = new Tweet({
               ...tweetData,
               ...classification,
+              companyTagged,
+              spam,
+              duplicate,
+              metadata: { ...tweetData.metadata, modelVersion, providerDisagreement: disagreement },
               processingStatus: 'completed'
             });
 
+            // Replace the classifier's impact guess with the in-house impact model's
+            await this.applyImpactModel(tweet);
+
             await tweet.save();
             savedTweets.push(tweet);
 
@@ -54,6 +77,10 @@ class TweetService {
         }
 
         console.log(`✅ Successfully processed ${savedTweets.length} tweets`);
+
+        // Record tweet volume / sentiment spikes for the companies mentioned
+        await impactEventDetector.checkTweets(savedTweets);
+
         return savedTweets;
 
       } else {
@@ -67,43 +94,35 @@ class TweetService {
   }
 
   /**
-   * Classify tweet using ML classifier service
+   * Overwrite marketImpact with the active impact model's prediction for a
+   * classified, tagged tweet. Leaves the classifier's estimate when no impact
+   * model is active or the model cannot be loaded.
    */
-  async classifyTweet(text) {
+  async applyImpactModel(tweet) {
     try {
-      const response = await axios.post(`${process.env.ML_CLASSIFIER_URL}/classify`, {
-        text: text
-      }, {
-        timeout: 10000
-      });
-
-      if (response.data.success) {
-        return response.data.classification;
-      } else {
-        throw new Error('Classification failed');
-      }
-
+      const prediction = await impactModelService.predict(tweet);
+      if (!prediction) return tweet;
+      tweet.marketImpact = prediction.marketImpact;
+      tweet.set('metadata.impactModelVersion', prediction.modelVersion);
     } catch (error) {
-      console.error('❌ Error classifying tweet:', error);
-      
-      // Return default classification on error
-      return {
-        sentiment: {
-          label: 'neutral',
-          confidence: 0.5,
-          scores: { positive: 0.33, negative: 0.33, neutral: 0.34 }
-        },
-        relevance: {
-          isRelevant: false,
-          confidence: 0.5
-        },
-        marketImpact: {
-          level: 'none',
-          confidence: 0.5,
-          reasoning: 'Classification failed'
-        }
-      };
+      console.error(`❌ Error scoring market impact for ${tweet.tweetId}:`, error.message);
     }
+    return tweet;
+  }
+
+  /**
+   * Version string of the active registry entry for a model type (null if none)
+   */
+  async getActiveModelVersion(modelType) {
+    const active = await ModelVersion.getActive(modelType);
+    return active ? active.version : null;
+  }
+
+  /**
+   * Classify tweet text through the configured classifier providers
+   */
+  async classifyTweet(text) {
+    return classifierService.classify(text);
   }
 
   /**
@@ -221,9 +240,9 @@ class TweetService {
   /**
    * Get trending companies
    */
-  async getTrendingCompanies(hours = 24) {
+  async getTrendingCompanies(hours = 24, options = {}) {
     try {
-      return await Tweet.getTrendingCompanies(hours);
+      return await Tweet.getTrendingCompanies(hours, options);
     } catch (error) {
       console.error('❌ Error getting trending companies:', error);
       throw error;
@@ -0,0 +1,14 @@
+const { clusterStages, canonicalMatch } = require('../clusterFilter');
+
+describe('clusterStages', () => {
+  it('adds nothing when counting tweets', () => {
+    expect(clusterStages('tweets')).toEqual([]);
+    expect(clusterStages(undefined)).toEqual([]);
+  });
+
+  it('keeps only canonical and unclustered tweets without grouping', () => {
+    const stages = clusterStages('clusters');
+    expect(stages).toEqual([{ $match: { 'duplicate.isCanonical': { $ne: false } } }]);
+    expect(stages[0].$match).toEqual(canonicalMatch('clusters'));
+  });
+});
@@ -0,0 +1,64 @@
+const {
+  mean,
+  mae,
+  rmse,
+  directionalAccuracy,
+  classificationReport,
+  calibrationSummary,
+  majorityVote,
+  pairwiseAgreement,
+  krippendorffAlpha
+} = require('../metrics');
+
+describe('forecast errors', () => {
+  it('computes MAE and RMSE', () => {
+    expect(mae([1, 2, 3], [2, 2, 5])).toBeCloseTo(1, 10);
+    expect(rmse([1, 2, 3], [2, 2, 5])).toBeCloseTo(Math.sqrt(5 / 3), 10);
+    expect(mae([], [])).toBeNull();
+    expect(mean([])).toBeNull();
+  });
+
+  it('excludes flat predictions from directional accuracy', () => {
+    expect(directionalAccuracy([1, -1, 2, 3], [0.5, 0.5, 0, -1])).toBeCloseTo(1 / 3, 10);
+    expect(directionalAccuracy([1], [0])).toBeNull();
+  });
+});
+
+describe('classificationReport', () => {
+  it('computes per-class and macro scores with a confusion matrix', () => {
+    const report = classificationReport(['a', 'a', 'b', 'b'], ['a', 'b', 'b', 'b'], ['a', 'b']);
+    expect(report.accuracy).toBeCloseTo(0.75, 10);
+    expect(report.perClass.a).toEqual({ precision: 1, recall: 0.5, f1: 2 / 3, support: 2 });
+    expect(report.perClass.b.precision).toBeCloseTo(2 / 3, 10);
+    expect(report.perClass.b.f1).toBeCloseTo(0.8, 10);
+    expect(report.macro.f1).toBeCloseTo((2 / 3 + 0.8) / 2, 10);
+    expect(report.confusionMatrix).toEqual({ a: { a: 1, b: 1 }, b: { a: 0, b: 2 } });
+  });
+});
+
+describe('calibrationSummary', () => {
+  it('computes expected calibration error and Brier score', () => {
+    const summary = calibrationSummary([0.95, 0.95], [true, false]);
+    expect(summary.expectedCalibrationError).toBeCloseTo(0.45, 10);
+    expect(summary.brierScore).toBeCloseTo(0.4525, 10);
+    expect(summary.bins[9].count).toBe(2);
+  });
+});
+
+describe('annotator agreement', () => {
+  it('takes the majority and reports ties as null', () => {
+    expect(majorityVote(['a', 'a', 'b'])).toEqual({ value: 'a', share: 2 / 3 });
+    expect(majorityVote(['a', 'b']).value).toBeNull();
+  });
+
+  it('pools agreeing pairs over units', () => {
+    expect(pairwiseAgreement([['a', 'a'], ['b', 'b'], ['a', 'b'], ['a']])).toBeCloseTo(2 / 3, 10);
+  });
+
+  it("computes Krippendorff's alpha for nominal labels", () => {
+    // Coincidences: o_aa = o_bb = 2, o_ab = o_ba = 1, n = 6: alpha = 1 - 5 * 2 / 18
+    expect(krippendorffAlpha([['a', 'a'], ['b', 'b'], ['a', 'b']])).toBeCloseTo(4 / 9, 10);
+    expect(krippendorffAlpha([['a', 'a'], ['b', 'b']])).toBeCloseTo(1, 10);
+    expect(krippendorffAlpha([['a', 'a'], ['a', 'a']])).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+const { RidgeRegression, solveLinearSystem } = require('../regression');
+
+const rows = [1, 2, 3, 4, 5].map(x => ({ x }));
+const targets = rows.map(({ x }) => 2 * x + 1);
+
+describe('solveLinearSystem', () => {
+  it('solves a system that needs pivoting', () => {
+    const [a, b] = solveLinearSystem([[0, 1], [2, 1]], [3, 7]);
+    expect(a).toBeCloseTo(2, 10);
+    expect(b).toBeCloseTo(3, 10);
+  });
+
+  it('rejects a singular matrix', () => {
+    expect(() => solveLinearSystem([[1, 2], [2, 4]], [1, 2])).toThrow('Singular matrix');
+  });
+});
+
+describe('RidgeRegression', () => {
+  it('recovers an exact linear relationship without regularisation', () => {
+    const model = new RidgeRegression({ lambda: 0, featureNames: ['x'] }).fit(rows, targets);
+    expect(model.predict({ x: 10 })).toBeCloseTo(21, 8);
+  });
+
+  it('shrinks the coefficient to the closed-form ridge solution', () => {
+    // Standardised x has z'z = n = 5 and z'y = 10 * sqrt(2), so w = 10 * sqrt(2) / (5 + lambda)
+    const model = new RidgeRegression({ lambda: 5, featureNames: ['x'] }).fit(rows, targets);
+    expect(model.coefficients[0]).toBeCloseTo(Math.sqrt(2), 10);
+    expect(model.intercept).toBeCloseTo(7, 10);
+    expect(model.predict({ x: 5 })).toBeCloseTo(9, 10);
+  });
+
+  it('gives constant columns a zero coefficient and imputes missing values', () => {
+    const model = new RidgeRegression({ lambda: 0, featureNames: ['x', 'constant'] })
+      .fit(rows.map(row => ({ ...row, constant: 1 })), targets);
+    expect(model.coefficients[1]).toBe(0);
+    expect(model.predict({ constant: 1 })).toBeCloseTo(7, 10);
+  });
+
+  it('adds contributions and the intercept up to the prediction', () => {
+    const model = new RidgeRegression({ lambda: 1, featureNames: ['x'] }).fit(rows, targets);
+    const total = model.contributions({ x: 4 }).reduce((sum, c) => sum + c.contribution, model.intercept);
+    expect(total).toBeCloseTo(model.predict({ x: 4 }), 10);
+  });
+
+  it('round-trips through JSON', () => {
+    const model = new RidgeRegression({ lambda: 1, featureNames: ['x'] }).fit(rows, targets);
+    const restored = RidgeRegression.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+    expect(restored.predict({ x: 3.5 })).toBeCloseTo(model.predict({ x: 3.5 }), 12);
+  });
+});
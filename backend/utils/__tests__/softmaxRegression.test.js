@@ -0,0 +1,45 @@
+const { SoftmaxRegression } = require('../softmaxRegression');
+
+// Three classes separated along x
+const rows = [];
+const labels = [];
+for (let i = 0; i < 60; i++) {
+  const x = (i % 20) / 10 + Math.floor(i / 20) * 3;
+  rows.push({ x, noise: (i * 7) % 5 });
+  labels.push(['low', 'medium', 'high'][Math.floor(i / 20)]);
+}
+const options = { featureNames: ['x', 'noise'], classes: ['low', 'medium', 'high'] };
+
+describe('SoftmaxRegression', () => {
+  it('separates linearly separable classes', () => {
+    const model = new SoftmaxRegression(options).fit(rows, labels);
+    const predicted = rows.map(row => model.predict(row).label);
+    const accuracy = predicted.filter((label, i) => label === labels[i]).length / labels.length;
+    expect(accuracy).toBeGreaterThan(0.9);
+    expect(model.predict({ x: -1, noise: 2 }).label).toBe('low');
+    expect(model.predict({ x: 9, noise: 2 }).label).toBe('high');
+  });
+
+  it('returns probabilities that sum to one', () => {
+    const model = new SoftmaxRegression(options).fit(rows, labels);
+    const probabilities = model.predictProba({ x: 3, noise: 1 });
+    expect(Object.values(probabilities).reduce((a, b) => a + b, 0)).toBeCloseTo(1, 12);
+  });
+
+  it('fits the same weights with fitAsync', async () => {
+    const sync = new SoftmaxRegression(options).fit(rows, labels, { classWeights: { high: 2 } });
+    const async = await new SoftmaxRegression(options).fitAsync(rows, labels, { classWeights: { high: 2 } });
+    expect(async.coefficients).toEqual(sync.coefficients);
+    expect(async.intercepts).toEqual(sync.intercepts);
+  });
+
+  it('rejects mismatched rows and labels', () => {
+    expect(() => new SoftmaxRegression(options).fit(rows, labels.slice(1))).toThrow();
+  });
+
+  it('round-trips through JSON', () => {
+    const model = new SoftmaxRegression(options).fit(rows, labels);
+    const restored = SoftmaxRegression.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+    expect(restored.predictProba({ x: 4, noise: 3 })).toEqual(model.predictProba({ x: 4, noise: 3 }));
+  });
+});
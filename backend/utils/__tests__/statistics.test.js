@@ -0,0 +1,160 @@
+const {
+  tTestPValue,
+  fTestPValue,
+  quantile,
+  oneSampleTTest,
+  pearson,
+  spearman,
+  correlationPValue,
+  correlationSummary,
+  grangerTest,
+  ksTest,
+  populationStabilityIndex,
+  empiricalCdf
+} = require('../statistics');
+
+const range = (n, start = 0) => Array.from({ length: n }, (_, i) => start + i);
+
+describe('tTestPValue', () => {
+  it('matches the two-sided Student t tail', () => {
+    expect(tTestPValue(2, 10)).toBeCloseTo(0.0734, 4);
+    expect(tTestPValue(-2, 10)).toBeCloseTo(0.0734, 4);
+    expect(tTestPValue(0, 10)).toBeCloseTo(1, 10);
+  });
+
+  it('handles infinite statistics and missing degrees of freedom', () => {
+    expect(tTestPValue(Infinity, 5)).toBe(0);
+    expect(tTestPValue(1, 0)).toBeNull();
+  });
+});
+
+describe('fTestPValue', () => {
+  it('matches the F upper tail', () => {
+    // With df1 = 2 the tail is (1 + df1 * f / df2) ^ (-df2 / 2) = 1.3 ^ -10
+    expect(fTestPValue(3, 2, 20)).toBeCloseTo(0.0725, 4);
+    expect(fTestPValue(3, 2, 20)).toBeCloseTo(1.3 ** -10, 10);
+  });
+
+  it('is 1 for a zero statistic', () => {
+    expect(fTestPValue(0, 2, 20)).toBe(1);
+  });
+});
+
+describe('quantile', () => {
+  it('interpolates between order statistics', () => {
+    expect(quantile([4, 1, 3, 2], 0.5)).toBeCloseTo(2.5, 10);
+    expect(quantile([1, 2, 3, 4, 5], 0.25)).toBeCloseTo(2, 10);
+  });
+});
+
+describe('oneSampleTTest', () => {
+  it('tests the mean against zero', () => {
+    const result = oneSampleTTest([1, 2, 3]);
+    expect(result.mean).toBe(2);
+    expect(result.tStatistic).toBeCloseTo(2 * Math.sqrt(3), 10);
+    // With 2 degrees of freedom the two-sided tail is 1 - t / sqrt(t^2 + 2)
+    expect(result.pValue).toBeCloseTo(1 - Math.sqrt(12) / Math.sqrt(14), 10);
+  });
+
+  it('returns no statistic for a constant sample', () => {
+    expect(oneSampleTTest([1, 1, 1]).pValue).toBeNull();
+  });
+});
+
+describe('correlation', () => {
+  it('gives 1 for a linear relationship and null for a constant series', () => {
+    expect(pearson([1, 2, 3, 4], [3, 5, 7, 9])).toBeCloseTo(1, 10);
+    expect(pearson([1, 2, 3], [2, 2, 2])).toBeNull();
+  });
+
+  it('ranks monotone relationships with Spearman', () => {
+    expect(spearman([1, 2, 3, 4], [1, 8, 27, 64])).toBeCloseTo(1, 10);
+  });
+
+  it('computes the p-value through the t distribution', () => {
+    // r = 0.5, n = 12: t = 0.5 * sqrt(10 / 0.75)
+    expect(correlationPValue(0.5, 12)).toBeCloseTo(tTestPValue(0.5 * Math.sqrt(10 / 0.75), 10), 10);
+    expect(correlationPValue(0.5, 2)).toBeNull();
+  });
+
+  it('summarises both coefficients with the sample size', () => {
+    const summary = correlationSummary([1, 2, 3, 4, 5], [2, 1, 4, 3, 5]);
+    expect(summary.n).toBe(5);
+    expect(summary.pearson.r).toBeCloseTo(0.8, 10);
+    expect(summary.spearman.rho).toBeCloseTo(0.8, 10);
+  });
+});
+
+describe('grangerTest', () => {
+  // Deterministic pseudo-random noise
+  let seed = 7;
+  const noise = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 - 0.5;
+  };
+  const cause = range(80).map(() => noise());
+  const effect = cause.map((value, t) => (t ? 0.8 * cause[t - 1] : 0) + 0.1 * noise());
+
+  it('detects a series driven by the lagged cause', () => {
+    const result = grangerTest(cause, effect, 2);
+    expect(result.n).toBe(78);
+    expect(result.df1).toBe(2);
+    expect(result.df2).toBe(78 - 5);
+    expect(result.pValue).toBeLessThan(1e-6);
+  });
+
+  it('finds no effect in the other direction', () => {
+    expect(grangerTest(effect, cause, 2).pValue).toBeGreaterThan(0.05);
+  });
+
+  it('drops rows with missing values and needs enough of them', () => {
+    const gapped = [...cause];
+    gapped[40] = null;
+    // Day 40 of the cause is a lag of days 41 and 42 only
+    expect(grangerTest(gapped, effect, 2).n).toBe(76);
+    expect(grangerTest([1, 2, 3], [1, 2, 3], 2)).toBeNull();
+  });
+});
+
+describe('ksTest', () => {
+  it('finds no difference between identical samples', () => {
+    const sample = range(50);
+    const result = ksTest(sample, [...sample]);
+    expect(result.statistic).toBe(0);
+    expect(result.pValue).toBe(1);
+  });
+
+  it('separates disjoint samples', () => {
+    const result = ksTest(range(20), range(20, 100));
+    expect(result.statistic).toBe(1);
+    expect(result.pValue).toBeLessThan(1e-6);
+  });
+
+  it('returns nulls for an empty sample', () => {
+    expect(ksTest([], [1])).toEqual({ statistic: null, pValue: null });
+  });
+});
+
+describe('populationStabilityIndex', () => {
+  it('is zero for identical samples', () => {
+    const sample = range(100);
+    expect(populationStabilityIndex(sample, [...sample])).toBeCloseTo(0, 10);
+  });
+
+  it('flags disjoint samples as a major shift', () => {
+    expect(populationStabilityIndex(range(100), range(100, 1000))).toBeGreaterThan(0.25);
+  });
+
+  it('returns null without data', () => {
+    expect(populationStabilityIndex([], [1])).toBeNull();
+  });
+});
+
+describe('empiricalCdf', () => {
+  it('scores values by their mid-rank in the reference', () => {
+    const cdf = empiricalCdf([1, 2, 3, 4]);
+    expect(cdf(0)).toBe(0);
+    expect(cdf(2)).toBeCloseTo(0.375, 10);
+    expect(cdf(5)).toBe(1);
+  });
+});
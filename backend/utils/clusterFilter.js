@@ -0,0 +1,28 @@
+/**
+ * Aggregation helpers for the `count` query option on sentiment and dashboard
+ * endpoints. Modes:
+ *   tweets   - every matching document counts (default)
+ *   clusters - near-duplicates (see duplicateClusterer) collapse to their
+ *              canonical member, the first tweet seen in the cluster
+ * Tweets that were never clustered count as their own cluster.
+ */
+
+const COUNT_MODES = ['tweets', 'clusters'];
+
+// Extra find() conditions that keep one representative per cluster in tweet lists
+function canonicalMatch(mode) {
+  return mode === 'clusters' ? { 'duplicate.isCanonical': { $ne: false } } : {};
+}
+
+// Stages to place right after the initial $match (before any $unwind). A filter
+// rather than a $sort/$group over the range, so MongoDB merges it into the $match;
+// a cluster counts in the window its canonical tweet falls in
+function clusterStages(mode) {
+  return mode === 'clusters' ? [{ $match: canonicalMatch(mode) }] : [];
+}
+
+module.exports = {
+  COUNT_MODES,
+  clusterStages,
+  canonicalMatch
+};
@@ -0,0 +1,15 @@
+/**
+ * Keyword patterns for the Stock.impactEvents types that can be recognised from
+ * tweet text. Shared by the impact event detector (event type) and the learned
+ * impact model (features).
+ */
+
+const EVENT_TYPE_PATTERNS = {
+  earnings: /\b(earnings|eps|revenue|guidance|quarterly|q[1-4]|beat estimates|missed estimates|profit|results)\b/i,
+  analyst_rating: /\b(upgrade[sd]?|downgrade[sd]?|price target|analysts?|outperform|underperform|overweight|underweight|buy rating|sell rating)\b/i,
+  insider_trading: /\b(insiders?|form 4|(ceo|cfo|director|founder)s? (sold|sells|bought|buys|selling|buying)|stake)\b/i
+};
+
+module.exports = {
+  EVENT_TYPE_PATTERNS
+};
@@ -0,0 +1,189 @@
+/**
+ * Forecast error, classification and annotator agreement metrics shared by
+ * the backtester, model evaluation and the labeling workflow
+ */
+
+const mean = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+function mae(actual, predicted) {
+  if (!actual.length) return null;
+  return mean(actual.map((a, i) => Math.abs(a - predicted[i])));
+}
+
+function rmse(actual, predicted) {
+  if (!actual.length) return null;
+  return Math.sqrt(mean(actual.map((a, i) => (a - predicted[i]) ** 2)));
+}
+
+// Share of cases where predicted and actual moves have the same sign; flat predictions are excluded
+function directionalAccuracy(actualChanges, predictedChanges) {
+  const pairs = actualChanges
+    .map((a, i) => [a, predictedChanges[i]])
+    .filter(([, p]) => p !== 0);
+  if (!pairs.length) return null;
+  return pairs.filter(([a, p]) => Math.sign(a) === Math.sign(p)).length / pairs.length;
+}
+
+// Per-class precision/recall/F1, macro averages and a confusion matrix (rows = gold, columns = predicted)
+function classificationReport(gold, predicted, labels) {
+  const confusionMatrix = {};
+  labels.forEach(g => {
+    confusionMatrix[g] = {};
+    labels.forEach(p => { confusionMatrix[g][p] = 0; });
+  });
+  gold.forEach((g, i) => {
+    if (confusionMatrix[g] && confusionMatrix[g][predicted[i]] !== undefined) {
+      confusionMatrix[g][predicted[i]] += 1;
+    }
+  });
+
+  const perClass = {};
+  labels.forEach(label => {
+    const tp = confusionMatrix[label][label];
+    const fp = labels.reduce((sum, g) => sum + (g !== label ? confusionMatrix[g][label] : 0), 0);
+    const fn = labels.reduce((sum, p) => sum + (p !== label ? confusionMatrix[label][p] : 0), 0);
+    const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+    perClass[label] = {
+      precision,
+      recall,
+      f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+      support: tp + fn
+    };
+  });
+
+  const correct = gold.filter((g, i) => g === predicted[i]).length;
+  return {
+    accuracy: gold.length ? correct / gold.length : null,
+    perClass,
+    macro: {
+      precision: mean(labels.map(l => perClass[l].precision)),
+      recall: mean(labels.map(l => perClass[l].recall)),
+      f1: mean(labels.map(l => perClass[l].f1))
+    },
+    confusionMatrix,
+    labels
+  };
+}
+
+// Reliability bins of confidence vs observed accuracy, expected calibration error and Brier score
+function calibrationSummary(confidences, correct, binCount = 10) {
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    lower: i / binCount,
+    upper: (i + 1) / binCount,
+    count: 0,
+    confidenceSum: 0,
+    correctCount: 0
+  }));
+
+  confidences.forEach((confidence, i) => {
+    const idx = Math.min(binCount - 1, Math.max(0, Math.floor(confidence * binCount)));
+    bins[idx].count += 1;
+    bins[idx].confidenceSum += confidence;
+    bins[idx].correctCount += correct[i] ? 1 : 0;
+  });
+
+  const total = confidences.length;
+  const reliability = bins.map(bin => ({
+    lower: bin.lower,
+    upper: bin.upper,
+    count: bin.count,
+    avgConfidence: bin.count ? bin.confidenceSum / bin.count : null,
+    accuracy: bin.count ? bin.correctCount / bin.count : null
+  }));
+
+  return {
+    bins: reliability,
+    expectedCalibrationError: total
+      ? reliability.reduce((sum, bin) => (
+        bin.count ? sum + (bin.count / total) * Math.abs(bin.accuracy - bin.avgConfidence) : sum
+      ), 0)
+      : null,
+    brierScore: total
+      ? mean(confidences.map((c, i) => ((correct[i] ? 1 : 0) - c) ** 2))
+      : null,
+    meanConfidence: mean(confidences),
+    samples: total
+  };
+}
+
+// Most frequent value and its share; null value on ties
+function majorityVote(values) {
+  if (!values.length) return { value: null, share: 0 };
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  const tied = ranked.length > 1 && ranked[0][1] === ranked[1][1];
+  return {
+    value: tied ? null : ranked[0][0],
+    share: ranked[0][1] / values.length
+  };
+}
+
+// Share of agreeing annotator pairs, pooled over units (each unit = one item's labels)
+function pairwiseAgreement(units) {
+  let pairs = 0;
+  let agreeing = 0;
+  units.filter(values => values.length >= 2).forEach(values => {
+    for (let i = 0; i < values.length; i++) {
+      for (let j = i + 1; j < values.length; j++) {
+        pairs += 1;
+        if (values[i] === values[j]) agreeing += 1;
+      }
+    }
+  });
+  return pairs ? agreeing / pairs : null;
+}
+
+// Krippendorff's alpha for nominal data; tolerates a varying number of annotators per unit
+function krippendorffAlpha(units) {
+  const coincidence = new Map();
+  const add = (c, k, value) => {
+    const key = `${c}\u0000${k}`;
+    coincidence.set(key, (coincidence.get(key) || 0) + value);
+  };
+
+  units.filter(values => values.length >= 2).forEach(values => {
+    const counts = new Map();
+    values.forEach(v => counts.set(String(v), (counts.get(String(v)) || 0) + 1));
+    counts.forEach((nc, c) => {
+      counts.forEach((nk, k) => {
+        add(c, k, (c === k ? nc * (nc - 1) : nc * nk) / (values.length - 1));
+      });
+    });
+  });
+
+  const marginals = new Map();
+  let n = 0;
+  let observedDisagreement = 0;
+  coincidence.forEach((value, key) => {
+    const [c, k] = key.split('\u0000');
+    marginals.set(c, (marginals.get(c) || 0) + value);
+    n += value;
+    if (c !== k) observedDisagreement += value;
+  });
+  if (n <= 1) return null;
+
+  let expectedDisagreement = 0;
+  marginals.forEach((nc, c) => {
+    marginals.forEach((nk, k) => {
+      if (c !== k) expectedDisagreement += nc * nk;
+    });
+  });
+  // Only one category was ever used: agreement is undefined
+  if (!expectedDisagreement) return null;
+
+  return 1 - ((n - 1) * observedDisagreement) / expectedDisagreement;
+}
+
+module.exports = {
+  mean,
+  mae,
+  rmse,
+  directionalAccuracy,
+  classificationReport,
+  calibrationSummary,
+  majorityVote,
+  pairwiseAgreement,
+  krippendorffAlpha
+};
@@ -0,0 +1,150 @@
+/**
+ * Ridge (L2-regularised) linear regression on standardised features.
+ * Pure JavaScript so models can be trained inside the API process.
+ */
+
+// Solve A x = b with Gaussian elimination and partial pivoting
+function solveLinearSystem(A, b) {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-12) {
+      throw new Error('Singular matrix in regression fit');
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) M[row][k] -= factor * M[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+    x[row] = sum / M[row][row];
+  }
+  return x;
+}
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+class RidgeRegression {
+  constructor({ lambda = 1, featureNames = [] } = {}) {
+    this.lambda = lambda;
+    this.featureNames = featureNames;
+    this.intercept = 0;
+    this.coefficients = [];
+    this.means = [];
+    this.stds = [];
+  }
+
+  /**
+   * Fit on rows of objects keyed by featureNames. Missing values are imputed
+   * with the column mean and constant columns get a zero coefficient.
+   */
+  fit(rows, targets) {
+    if (rows.length !== targets.length || rows.length === 0) {
+      throw new Error('Regression needs the same, non-zero number of rows and targets');
+    }
+
+    this.means = this.featureNames.map(name => {
+      const values = rows.map(r => r[name]).filter(isNumber);
+      return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    });
+    this.stds = this.featureNames.map((name, j) => {
+      const values = rows.map(r => r[name]).filter(isNumber);
+      if (values.length < 2) return 0;
+      const variance = values.reduce((sum, v) => sum + (v - this.means[j]) ** 2, 0) / values.length;
+      return Math.sqrt(variance);
+    });
+
+    const active = this.featureNames.map((_, j) => j).filter(j => this.stds[j] > 1e-12);
+    const X = rows.map(row => active.map(j => this.standardize(row[this.featureNames[j]], j)));
+    const yMean = targets.reduce((a, b) => a + b, 0) / targets.length;
+    const y = targets.map(t => t - yMean);
+
+    // (X'X + lambda I) w = X'y
+    const p = active.length;
+    const XtX = Array.from({ length: p }, () => new Array(p).fill(0));
+    const Xty = new Array(p).fill(0);
+    X.forEach((x, i) => {
+      for (let a = 0; a < p; a++) {
+        Xty[a] += x[a] * y[i];
+        for (let b = a; b < p; b++) XtX[a][b] += x[a] * x[b];
+      }
+    });
+    for (let a = 0; a < p; a++) {
+      XtX[a][a] += this.lambda;
+      for (let b = 0; b < a; b++) XtX[a][b] = XtX[b][a];
+    }
+
+    const weights = p > 0 ? solveLinearSystem(XtX, Xty) : [];
+    this.coefficients = new Array(this.featureNames.length).fill(0);
+    active.forEach((j, idx) => { this.coefficients[j] = weights[idx]; });
+    this.intercept = yMean;
+    return this;
+  }
+
+  standardize(value, j) {
+    if (!this.stds[j]) return 0;
+    const v = isNumber(value) ? value : this.means[j];
+    return (v - this.means[j]) / this.stds[j];
+  }
+
+  predict(row) {
+    return this.featureNames.reduce(
+      (sum, name, j) => sum + this.coefficients[j] * this.standardize(row[name], j),
+      this.intercept
+    );
+  }
+
+  /**
+   * Additive breakdown of predict(row): coefficient x standardised value per
+   * feature. The contributions plus the intercept equal the prediction.
+   */
+  contributions(row) {
+    return this.featureNames.map((name, j) => {
+      const standardized = this.standardize(row[name], j);
+      return {
+        feature: name,
+        value: isNumber(row[name]) ? row[name] : null,
+        standardized,
+        coefficient: this.coefficients[j],
+        contribution: this.coefficients[j] * standardized
+      };
+    });
+  }
+
+  toJSON() {
+    return {
+      type: 'ridge_regression',
+      lambda: this.lambda,
+      featureNames: this.featureNames,
+      intercept: this.intercept,
+      coefficients: this.coefficients,
+      means: this.means,
+      stds: this.stds
+    };
+  }
+
+  static fromJSON(json) {
+    const model = new RidgeRegression({ lambda: json.lambda, featureNames: json.featureNames });
+    model.intercept = json.intercept;
+    model.coefficients = json.coefficients;
+    model.means = json.means;
+    model.stds = json.stds;
+    return model;
+  }
+}
+
+module.exports = {
+  RidgeRegression,
+  solveLinearSystem
+};
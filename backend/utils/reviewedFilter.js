@@ -0,0 +1,50 @@
+/**
+ * Aggregation helpers that keep tweets an annotator already handled out of their
+ * labeling and review queues. An anti-join per tweet (index-backed by the
+ * { tweet, annotator } indexes on TweetLabel and ReviewSkip) replaces a $nin over
+ * every tweet the annotator ever touched, which grows without bound.
+ */
+
+const mongoose = require('mongoose');
+
+// Stages to place after the initial $match; `models` are collections keyed by tweet and annotator
+function excludeReviewedStages(annotatorId, models) {
+  const annotator = new mongoose.Types.ObjectId(String(annotatorId));
+  const fields = models.map((model, i) => `_reviewed${i}`);
+
+  return [
+    ...models.map((model, i) => ({
+      $lookup: {
+        from: model.collection.name,
+        let: { tweetId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$tweet', '$$tweetId'] },
+                  { $eq: ['$annotator', annotator] }
+                ]
+              }
+            }
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: fields[i]
+      }
+    })),
+    { $match: Object.fromEntries(fields.map(field => [field, { $size: 0 }])) },
+    { $unset: fields }
+  ];
+}
+
+// $project stage for a `select`-style field list, e.g. 'tweetId text sentiment'
+function projectStage(select) {
+  return { $project: Object.fromEntries(select.split(/\s+/).filter(Boolean).map(field => [field, 1])) };
+}
+
+module.exports = {
+  excludeReviewedStages,
+  projectStage
+};
@@ -0,0 +1,63 @@
+/**
+ * Influence- and recency-weighted sentiment for the `weighting` query option on
+ * /api/sentiment/company/:symbol and /api/sentiment/trends. Modes:
+ *   none      - every tweet counts the same: (positive - negative) / total
+ *   influence - each tweet is weighted by classifier confidence, engagement,
+ *               follower count and exponential time decay (half-life in hours)
+ */
+
+const WEIGHTING_MODES = ['none', 'influence'];
+const DEFAULT_HALF_LIFE_HOURS = 24;
+
+const FORMULA = 'confidence * (1 + ln(1 + engagementScore)) * (1 + log10(1 + followers)) * 0.5^(ageHours / halfLifeHours)';
+
+// Same formula as the Tweet engagementScore virtual, which aggregations cannot see
+const ENGAGEMENT_SCORE = {
+  $add: [
+    { $multiply: [{ $ifNull: ['$engagement.retweetCount', 0] }, 2] },
+    { $ifNull: ['$engagement.likeCount', 0] },
+    { $multiply: [{ $ifNull: ['$engagement.replyCount', 0] }, 3] },
+    { $multiply: [{ $ifNull: ['$engagement.quoteCount', 0] }, 2] }
+  ]
+};
+
+// Per-tweet influence weight expression, decayed relative to `now`
+function influenceWeight({ halfLifeHours = DEFAULT_HALF_LIFE_HOURS, now = new Date() } = {}) {
+  return {
+    $multiply: [
+      { $ifNull: ['$sentiment.confidence', 0] },
+      { $add: [1, { $ln: { $add: [1, ENGAGEMENT_SCORE] } }] },
+      { $add: [1, { $log10: { $add: [1, { $max: [{ $ifNull: ['$userFollowersCount', 0] }, 0] }] } }] },
+      {
+        $pow: [0.5, {
+          $divide: [{ $max: [{ $subtract: [now, '$createdAt'] }, 0] }, halfLifeHours * 60 * 60 * 1000]
+        }]
+      }
+    ]
+  };
+}
+
+// Weight expression for a mode, or null when tweets are not weighted
+function sentimentWeight(mode, options) {
+  return mode === 'influence' ? influenceWeight(options) : null;
+}
+
+// Weighting parameters echoed back in responses
+function weightingParams(mode, { halfLifeHours = DEFAULT_HALF_LIFE_HOURS } = {}) {
+  if (mode !== 'influence') return { mode: 'none' };
+  return {
+    mode,
+    halfLifeHours,
+    factors: ['confidence', 'engagement', 'followers', 'recency'],
+    formula: FORMULA
+  };
+}
+
+module.exports = {
+  WEIGHTING_MODES,
+  DEFAULT_HALF_LIFE_HOURS,
+  ENGAGEMENT_SCORE,
+  influenceWeight,
+  sentimentWeight,
+  weightingParams
+};
@@ -0,0 +1,187 @@
+/**
+ * Multinomial logistic (softmax) regression on standardised features, trained
+ * with full-batch gradient descent and L2 regularisation. Mirrors the
+ * RidgeRegression interface so models serialise into the model registry.
+ */
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+function softmax(scores) {
+  const max = Math.max(...scores);
+  const exps = scores.map(score => Math.exp(score - max));
+  const total = exps.reduce((a, b) => a + b, 0);
+  return exps.map(value => value / total);
+}
+
+class SoftmaxRegression {
+  constructor({ lambda = 0.01, featureNames = [], classes = [], iterations = 300, learningRate = 0.5 } = {}) {
+    this.lambda = lambda;
+    this.featureNames = featureNames;
+    this.classes = classes;
+    this.iterations = iterations;
+    this.learningRate = learningRate;
+    this.intercepts = [];
+    this.coefficients = [];
+    this.means = [];
+    this.stds = [];
+  }
+
+  /**
+   * Fit on rows of objects keyed by featureNames. Missing values are imputed
+   * with the column mean. `classWeights` (label -> weight) rebalances rare classes.
+   */
+  fit(rows, labels, { classWeights = null } = {}) {
+    const state = this.initialize(rows, labels, classWeights);
+    for (let iteration = 0; iteration < this.iterations; iteration++) this.step(state);
+    return this;
+  }
+
+  /**
+   * fit() that yields to the event loop after every iteration, for training
+   * inside the API process without stalling requests
+   */
+  async fitAsync(rows, labels, { classWeights = null } = {}) {
+    const state = this.initialize(rows, labels, classWeights);
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      this.step(state);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return this;
+  }
+
+  /**
+   * Standardisation parameters, zeroed weights and the standardised training data
+   */
+  initialize(rows, labels, classWeights) {
+    if (rows.length !== labels.length || rows.length === 0) {
+      throw new Error('Classification needs the same, non-zero number of rows and labels');
+    }
+
+    this.means = this.featureNames.map(name => {
+      const values = rows.map(r => r[name]).filter(isNumber);
+      return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    });
+    this.stds = this.featureNames.map((name, j) => {
+      const values = rows.map(r => r[name]).filter(isNumber);
+      if (values.length < 2) return 0;
+      const variance = values.reduce((sum, v) => sum + (v - this.means[j]) ** 2, 0) / values.length;
+      // Constant columns leave rounding noise; treat them as uninformative
+      const std = Math.sqrt(variance);
+      return std > 1e-12 ? std : 0;
+    });
+
+    const sampleWeights = labels.map(label => (classWeights && classWeights[label]) || 1);
+    this.intercepts = new Array(this.classes.length).fill(0);
+    this.coefficients = Array.from({ length: this.classes.length }, () => new Array(this.featureNames.length).fill(0));
+
+    return {
+      X: rows.map(row => this.featureNames.map((name, j) => this.standardize(row[name], j))),
+      y: labels.map(label => this.classes.indexOf(label)),
+      sampleWeights,
+      totalWeight: sampleWeights.reduce((a, b) => a + b, 0)
+    };
+  }
+
+  /**
+   * One full-batch gradient descent step
+   */
+  step({ X, y, sampleWeights, totalWeight }) {
+    const k = this.classes.length;
+    const p = this.featureNames.length;
+    const gradIntercepts = new Array(k).fill(0);
+    const gradCoefficients = Array.from({ length: k }, () => new Array(p).fill(0));
+
+    X.forEach((x, i) => {
+      if (y[i] === -1) return;
+      const probabilities = this.scoreStandardized(x);
+      for (let c = 0; c < k; c++) {
+        const error = (probabilities[c] - (c === y[i] ? 1 : 0)) * sampleWeights[i];
+        gradIntercepts[c] += error;
+        for (let j = 0; j < p; j++) gradCoefficients[c][j] += error * x[j];
+      }
+    });
+
+    for (let c = 0; c < k; c++) {
+      this.intercepts[c] -= this.learningRate * gradIntercepts[c] / totalWeight;
+      for (let j = 0; j < p; j++) {
+        const gradient = gradCoefficients[c][j] / totalWeight + this.lambda * this.coefficients[c][j];
+        this.coefficients[c][j] -= this.learningRate * gradient;
+      }
+    }
+  }
+
+  standardize(value, j) {
+    if (!this.stds[j]) return 0;
+    const v = isNumber(value) ? value : this.means[j];
+    return (v - this.means[j]) / this.stds[j];
+  }
+
+  scoreStandardized(x) {
+    return softmax(this.intercepts.map((intercept, c) =>
+      x.reduce((sum, value, j) => sum + this.coefficients[c][j] * value, intercept)
+    ));
+  }
+
+  /**
+   * Class probabilities keyed by class label
+   */
+  predictProba(row) {
+    const x = this.featureNames.map((name, j) => this.standardize(row[name], j));
+    const probabilities = this.scoreStandardized(x);
+    const result = {};
+    this.classes.forEach((label, c) => { result[label] = probabilities[c]; });
+    return result;
+  }
+
+  predict(row) {
+    const probabilities = this.predictProba(row);
+    const label = this.classes.reduce((best, l) => (probabilities[l] > probabilities[best] ? l : best), this.classes[0]);
+    return { label, confidence: probabilities[label], probabilities };
+  }
+
+  /**
+   * Per-feature pull towards `label` relative to the average class:
+   * (w_label - mean_c w_c) * standardised value
+   */
+  contributions(row, label) {
+    const c = this.classes.indexOf(label);
+    return this.featureNames.map((name, j) => {
+      const average = this.coefficients.reduce((sum, weights) => sum + weights[j], 0) / this.classes.length;
+      return { feature: name, contribution: (this.coefficients[c][j] - average) * this.standardize(row[name], j) };
+    });
+  }
+
+  toJSON() {
+    return {
+      type: 'softmax_regression',
+      lambda: this.lambda,
+      featureNames: this.featureNames,
+      classes: this.classes,
+      iterations: this.iterations,
+      learningRate: this.learningRate,
+      intercepts: this.intercepts,
+      coefficients: this.coefficients,
+      means: this.means,
+      stds: this.stds
+    };
+  }
+
+  static fromJSON(json) {
+    const model = new SoftmaxRegression({
+      lambda: json.lambda,
+      featureNames: json.featureNames,
+      classes: json.classes,
+      iterations: json.iterations,
+      learningRate: json.learningRate
+    });
+    model.intercepts = json.intercepts;
+    model.coefficients = json.coefficients;
+    model.means = json.means;
+    model.stds = json.stds;
+    return model;
+  }
+}
+
+module.exports = {
+  SoftmaxRegression
+};
@@ -0,0 +1,35 @@
+/**
+ * Aggregation helpers for the `spam` query option on sentiment and dashboard
+ * endpoints. Modes:
+ *   include    - every tweet counts once (default)
+ *   exclude    - tweets with spam.score at or above SPAM_THRESHOLD are dropped
+ *   downweight - each tweet counts (1 - spam.score), so counts become weighted sums
+ * Tweets that were never scored count as clean.
+ */
+
+const SPAM_MODES = ['include', 'exclude', 'downweight'];
+
+const spamThreshold = () => parseFloat(process.env.SPAM_THRESHOLD || '0.7');
+
+// Extra $match conditions for a mode
+function spamMatch(mode) {
+  return mode === 'exclude' ? { 'spam.score': { $not: { $gte: spamThreshold() } } } : {};
+}
+
+// Per-tweet weight expression for $group accumulators
+function spamWeight(mode) {
+  return mode === 'downweight' ? { $subtract: [1, { $ifNull: ['$spam.score', 0] }] } : 1;
+}
+
+// Division that yields 0 instead of failing on an empty group
+function safeDivide(numerator, denominator) {
+  return { $cond: [{ $gt: [denominator, 0] }, { $divide: [numerator, denominator] }, 0] };
+}
+
+module.exports = {
+  SPAM_MODES,
+  spamThreshold,
+  spamMatch,
+  spamWeight,
+  safeDivide
+};
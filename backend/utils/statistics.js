@@ -0,0 +1,367 @@
+/**
+ * Correlation, significance and distribution-shift tests used by the
+ * sentiment/price analytics and drift monitoring.
+ * Distribution functions follow Numerical Recipes (Lanczos log-gamma and the
+ * continued-fraction regularized incomplete beta).
+ */
+
+const { mean } = require('./metrics');
+const { solveLinearSystem } = require('./regression');
+
+const BASELINE_METHODS = ['robust', 'standard'];
+
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach(c => {
+    y += 1;
+    series += c / y;
+  });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+function betaContinuedFraction(a, b, x) {
+  const MAX_ITERATIONS = 200;
+  const EPSILON = 3e-14;
+  const FPMIN = 1e-300;
+
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+// Two-sided p-value of a Student t statistic
+function tTestPValue(t, df) {
+  if (!isFinite(t)) return 0;
+  if (df <= 0) return null;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Upper-tail p-value of an F statistic with (df1, df2) degrees of freedom
+function fTestPValue(f, df1, df2) {
+  if (!isFinite(f)) return 0;
+  if (df1 <= 0 || df2 <= 0) return null;
+  if (f <= 0) return 1;
+  return incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Empirical quantile with linear interpolation between order statistics
+function quantile(values, q) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Location and spread of a baseline sample. `standard` is mean / sample
+ * standard deviation; `robust` is median / MAD scaled by 1.4826 so it matches
+ * the standard deviation for normal data while ignoring earlier outliers.
+ */
+function baselineStats(values, method = 'robust') {
+  if (!values.length) return { center: null, scale: null };
+  if (method === 'robust') {
+    const center = median(values);
+    return { center, scale: 1.4826 * median(values.map(value => Math.abs(value - center))) };
+  }
+  const center = mean(values);
+  const scale = values.length > 1
+    ? Math.sqrt(values.reduce((sum, value) => sum + (value - center) ** 2, 0) / (values.length - 1))
+    : 0;
+  return { center, scale };
+}
+
+// Two-sided one-sample t-test of the mean against zero
+function oneSampleTTest(values) {
+  const n = values.length;
+  if (n < 2) return { n, mean: mean(values), tStatistic: null, pValue: null };
+  const m = mean(values);
+  const sd = Math.sqrt(values.reduce((sum, value) => sum + (value - m) ** 2, 0) / (n - 1));
+  if (sd === 0) return { n, mean: m, tStatistic: null, pValue: null };
+  const tStatistic = m / (sd / Math.sqrt(n));
+  return { n, mean: m, tStatistic, pValue: tTestPValue(tStatistic, n - 1) };
+}
+
+function pearson(x, y) {
+  const n = Math.min(x.length, y.length);
+  if (n < 2) return null;
+  const mx = mean(x.slice(0, n));
+  const my = mean(y.slice(0, n));
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - mx) * (y[i] - my);
+    sxx += (x[i] - mx) ** 2;
+    syy += (y[i] - my) ** 2;
+  }
+  if (sxx === 0 || syy === 0) return null;
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+// 1-based ranks, ties share their average rank
+function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = averageRank;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+function spearman(x, y) {
+  return pearson(rank(x), rank(y));
+}
+
+// Significance of a correlation coefficient (t = r * sqrt((n - 2) / (1 - r^2)))
+function correlationPValue(r, n) {
+  if (r === null || n < 3) return null;
+  if (Math.abs(r) >= 1) return 0;
+  return tTestPValue(r * Math.sqrt((n - 2) / (1 - r * r)), n - 2);
+}
+
+// Pearson and Spearman coefficients with sample size and two-sided p-values
+function correlationSummary(x, y) {
+  const n = Math.min(x.length, y.length);
+  const r = pearson(x, y);
+  const rho = n >= 2 ? spearman(x.slice(0, n), y.slice(0, n)) : null;
+  return {
+    n,
+    pearson: { r, pValue: correlationPValue(r, n) },
+    spearman: { rho, pValue: correlationPValue(rho, n) }
+  };
+}
+
+// Residual sum of squares of an ordinary least squares fit (rows include the intercept column)
+function residualSumOfSquares(X, y) {
+  const k = X[0].length;
+  const XtX = Array.from({ length: k }, (_, i) =>
+    Array.from({ length: k }, (_, j) => X.reduce((sum, row) => sum + row[i] * row[j], 0))
+  );
+  const Xty = Array.from({ length: k }, (_, i) => X.reduce((sum, row, r) => sum + row[i] * y[r], 0));
+  const beta = solveLinearSystem(XtX, Xty);
+  return X.reduce((sum, row, r) => {
+    const fitted = row.reduce((acc, value, i) => acc + value * beta[i], 0);
+    return sum + (y[r] - fitted) ** 2;
+  }, 0);
+}
+
+/**
+ * Granger-style causality test: does adding `order` lags of `cause` to an
+ * autoregression of `effect` on its own `order` lags reduce the residual
+ * error significantly? Series are aligned by index; rows touching a null
+ * value are dropped. Returns null when there are too few rows to fit.
+ */
+function grangerTest(cause, effect, order) {
+  const restricted = [];
+  const unrestricted = [];
+  const y = [];
+
+  for (let t = order; t < Math.min(cause.length, effect.length); t++) {
+    const ownLags = [];
+    const causeLags = [];
+    for (let lag = 1; lag <= order; lag++) {
+      ownLags.push(effect[t - lag]);
+      causeLags.push(cause[t - lag]);
+    }
+    if ([effect[t], ...ownLags, ...causeLags].some(value => value === null || !isFinite(value))) continue;
+
+    restricted.push([1, ...ownLags]);
+    unrestricted.push([1, ...ownLags, ...causeLags]);
+    y.push(effect[t]);
+  }
+
+  const n = y.length;
+  const df2 = n - (2 * order + 1);
+  if (df2 < 1) return null;
+
+  let rssRestricted;
+  let rssUnrestricted;
+  try {
+    rssRestricted = residualSumOfSquares(restricted, y);
+    rssUnrestricted = residualSumOfSquares(unrestricted, y);
+  } catch (error) {
+    return null;
+  }
+
+  const fStatistic = rssUnrestricted > 0
+    ? ((rssRestricted - rssUnrestricted) / order) / (rssUnrestricted / df2)
+    : Infinity;
+
+  return {
+    order,
+    n,
+    fStatistic: isFinite(fStatistic) ? fStatistic : null,
+    df1: order,
+    df2,
+    pValue: fTestPValue(fStatistic, order, df2)
+  };
+}
+
+// Kolmogorov distribution tail Q_KS(lambda) = 2 * sum (-1)^(j-1) exp(-2 j^2 lambda^2)
+function kolmogorovTail(lambda) {
+  if (lambda < 1e-3) return 1;
+  let sum = 0;
+  let previousTerm = 0;
+  for (let j = 1; j <= 100; j++) {
+    const term = 2 * (j % 2 ? 1 : -1) * Math.exp(-2 * j * j * lambda * lambda);
+    sum += term;
+    if (Math.abs(term) <= 1e-3 * Math.abs(previousTerm) || Math.abs(term) <= 1e-8 * sum) {
+      return Math.min(1, Math.max(0, sum));
+    }
+    previousTerm = term;
+  }
+  // Did not converge: lambda is tiny, so the samples are indistinguishable
+  return 1;
+}
+
+/**
+ * Two-sample Kolmogorov-Smirnov test: the largest gap between the empirical
+ * CDFs and its asymptotic p-value (with the Stephens small-sample correction)
+ */
+function ksTest(reference, sample) {
+  const n1 = reference.length;
+  const n2 = sample.length;
+  if (!n1 || !n2) return { statistic: null, pValue: null };
+
+  const a = [...reference].sort((x, y) => x - y);
+  const b = [...sample].sort((x, y) => x - y);
+  let i = 0;
+  let j = 0;
+  let statistic = 0;
+  while (i < n1 && j < n2) {
+    const value = Math.min(a[i], b[j]);
+    while (i < n1 && a[i] === value) i++;
+    while (j < n2 && b[j] === value) j++;
+    statistic = Math.max(statistic, Math.abs(i / n1 - j / n2));
+  }
+
+  const effective = Math.sqrt((n1 * n2) / (n1 + n2));
+  return {
+    statistic,
+    pValue: kolmogorovTail((effective + 0.12 + 0.11 / effective) * statistic)
+  };
+}
+
+/**
+ * Population stability index of `sample` against `reference`, over bins cut
+ * at the reference quantiles. Each bin gets half a count so empty bins in a
+ * short sample keep the log finite without dominating the index. Below 0.1
+ * is usually read as stable and above 0.25 as a major shift.
+ */
+function populationStabilityIndex(reference, sample, bins = 10) {
+  if (!reference.length || !sample.length) return null;
+  const PSEUDO_COUNT = 0.5;
+
+  // Tied quantiles (e.g. days without tweets) collapse into one edge
+  const edges = [...new Set(
+    Array.from({ length: bins - 1 }, (_, k) => quantile(reference, (k + 1) / bins))
+  )];
+  const shares = (values) => {
+    const counts = new Array(edges.length + 1).fill(0);
+    values.forEach(value => {
+      const bin = edges.findIndex(edge => value <= edge);
+      counts[bin === -1 ? edges.length : bin]++;
+    });
+    return counts.map(count => (count + PSEUDO_COUNT) / (values.length + PSEUDO_COUNT * counts.length));
+  };
+
+  const expected = shares(reference);
+  const actual = shares(sample);
+  return expected.reduce((psi, e, k) => psi + (actual[k] - e) * Math.log(actual[k] / e), 0);
+}
+
+/**
+ * Empirical CDF of `reference` with ties at their mid-point, so values drawn
+ * from the same distribution map to roughly uniform scores in [0, 1]
+ */
+function empiricalCdf(reference) {
+  const sorted = [...reference].sort((a, b) => a - b);
+  const countBelow = (value, inclusive) => {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (inclusive ? sorted[middle] <= value : sorted[middle] < value) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  };
+  return (value) => (countBelow(value, false) + countBelow(value, true)) / (2 * sorted.length);
+}
+
+module.exports = {
+  BASELINE_METHODS,
+  logGamma,
+  incompleteBeta,
+  tTestPValue,
+  fTestPValue,
+  median,
+  quantile,
+  baselineStats,
+  oneSampleTTest,
+  pearson,
+  rank,
+  spearman,
+  correlationPValue,
+  correlationSummary,
+  grangerTest,
+  ksTest,
+  populationStabilityIndex,
+  empiricalCdf
+};
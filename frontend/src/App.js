@@ -10,6 +10,7 @@ import Dashboard from './pages/Dashboard/Dashboard';
 import Tweets from './pages/Tweets/Tweets';
 import Stocks from './pages/Stocks/Stocks';
 import Analytics from './pages/Analytics/Analytics';
+import Labeling from './pages/Labeling/Labeling';
 import Admin from './pages/Admin/Admin';
 import Login from './pages/Auth/Login';
 import Register from './pages/Auth/Register';
@@ -153,6 +154,7 @@ function AppContent() {
                       <Route path="tweets" element={<Tweets />} />
                       <Route path="stocks" element={<Stocks />} />
                       <Route path="analytics" element={<Analytics />} />
+                      <Route path="labeling" element={<Labeling />} />
                     </Route>
                     
                     {/* Admin Routes */}
@@ -0,0 +1,172 @@
+import React, { useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Legend } from 'recharts';
+import { AlertTriangle } from 'lucide-react';
+
+const FEATURE_COLORS = {
+  sentiment: '#3B82F6',
+  tweet_volume: '#8B5CF6',
+  trading_volume: '#10B981',
+  returns: '#F59E0B'
+};
+
+const formatScore = (value, digits = 3) => (value === null || value === undefined ? 'n/a' : value.toFixed(digits));
+const formatPValue = (value) => {
+  if (value === null || value === undefined) return 'n/a';
+  return value < 0.001 ? '<0.001' : value.toFixed(3);
+};
+
+const DriftMonitor = ({ reports = [], alerts = [], isLoading, onRunCheck, isRunning, onAcknowledge }) => {
+  const latest = reports[0];
+
+  // Pooled PSI per feature across stored reports, oldest first
+  const history = useMemo(() => [...reports].reverse().map(report => {
+    const point = { date: new Date(report.createdAt).toLocaleDateString() };
+    report.features.forEach(feature => { point[feature.feature] = feature.psi; });
+    return point;
+  }), [reports]);
+
+  if (isLoading) {
+    return (
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Feature Drift
+          </h2>
+        </div>
+        <div className="card-body">
+          <div className="animate-pulse">
+            <div className="h-64 bg-gray-200 dark:bg-gray-700 rounded"></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Feature Drift
+          </h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            {latest
+              ? `Last ${latest.parameters.recentDays} trading days against the ${
+                latest.referenceWindow.source === 'training'
+                  ? `training window of ${latest.modelVersion}`
+                  : 'earlier history'
+              } (PSI and KS)`
+              : 'Recent model inputs compared with the training window (PSI and KS)'}
+          </p>
+        </div>
+        <button
+          onClick={onRunCheck}
+          disabled={isRunning}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+        >
+          {isRunning ? 'Checking...' : 'Run check'}
+        </button>
+      </div>
+      <div className="card-body">
+        {alerts.map(alert => (
+          <div
+            key={alert._id}
+            className="flex items-start justify-between gap-4 p-4 mb-4 rounded-lg border border-red-200 dark:border-red-800 bg-red-50 dark:bg-red-900/20"
+          >
+            <div className="flex items-start gap-3">
+              <AlertTriangle className="w-5 h-5 text-red-600 dark:text-red-400 mt-0.5" />
+              <div>
+                <p className="text-sm font-medium text-red-800 dark:text-red-300">
+                  Drift detected {new Date(alert.createdAt).toLocaleString()}
+                </p>
+                <p className="text-sm text-red-700 dark:text-red-400">{alert.alert.message}</p>
+              </div>
+            </div>
+            <button
+              onClick={() => onAcknowledge(alert._id)}
+              className="px-3 py-1 text-sm rounded-md border border-red-300 dark:border-red-700 text-red-700 dark:text-red-300 hover:bg-red-100 dark:hover:bg-red-900/40"
+            >
+              Acknowledge
+            </button>
+          </div>
+        ))}
+
+        {!latest ? (
+          <div className="h-64 flex items-center justify-center text-gray-500 dark:text-gray-400">
+            No drift checks yet
+          </div>
+        ) : (
+          <>
+            <div className="overflow-x-auto mb-6">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 dark:text-gray-400">
+                    <th className="py-2 pr-4">Feature</th>
+                    <th className="py-2 pr-4">Pooled PSI</th>
+                    <th className="py-2 pr-4">KS statistic</th>
+                    <th className="py-2 pr-4">KS p-value</th>
+                    <th className="py-2 pr-4">Drifted symbols</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {latest.features.map(feature => {
+                    const drifted = feature.symbols.filter(s => s.drifted);
+                    return (
+                      <tr key={feature.feature} className="text-gray-900 dark:text-white">
+                        <td className="py-2 pr-4 font-medium">{feature.label}</td>
+                        <td className={`py-2 pr-4 ${feature.drifted ? 'text-red-600 dark:text-red-400 font-semibold' : ''}`}>
+                          {formatScore(feature.psi)}
+                        </td>
+                        <td className="py-2 pr-4">{formatScore(feature.ksStatistic)}</td>
+                        <td className="py-2 pr-4">{formatPValue(feature.ksPValue)}</td>
+                        <td className="py-2 pr-4">
+                          {drifted.length
+                            ? drifted.map(s => `${s.symbol} (${formatScore(s.psi, 2)})`).join(', ')
+                            : `none of ${feature.symbols.length}`}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {latest.skipped.length > 0 && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  Skipped: {latest.skipped.map(s => s.symbol).join(', ')}
+                </p>
+              )}
+            </div>
+
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={history} margin={{ top: 10, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis dataKey="date" stroke="#9CA3AF" fontSize={12} />
+                  <YAxis stroke="#9CA3AF" fontSize={12} tickFormatter={(value) => value.toFixed(2)} />
+                  <Tooltip formatter={(value) => formatScore(value)} />
+                  <Legend />
+                  <ReferenceLine
+                    y={latest.parameters.psiThreshold}
+                    stroke="#EF4444"
+                    strokeDasharray="5 5"
+                    label={{ value: 'Threshold', fill: '#EF4444', fontSize: 12 }}
+                  />
+                  {latest.features.map(feature => (
+                    <Line
+                      key={feature.feature}
+                      dataKey={feature.feature}
+                      name={feature.label}
+                      stroke={FEATURE_COLORS[feature.feature] || '#6B7280'}
+                      dot={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DriftMonitor;
@@ -0,0 +1,137 @@
+import React from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+
+const formatScore = (value, digits = 3) => (value === null || value === undefined ? 'n/a' : value.toFixed(digits));
+const formatShare = (value) => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+
+const Stat = ({ label, value, hint }) => (
+  <div>
+    <p className="text-sm text-gray-600 dark:text-gray-400">{label}</p>
+    <p className="text-xl font-semibold text-gray-900 dark:text-white">{value}</p>
+    {hint && <p className="text-xs text-gray-500 dark:text-gray-400">{hint}</p>}
+  </div>
+);
+
+const ForecastCalibration = ({ data, isLoading }) => {
+  if (isLoading) {
+    return (
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Forecast Calibration
+          </h2>
+        </div>
+        <div className="card-body">
+          <div className="animate-pulse">
+            <div className="h-64 bg-gray-200 dark:bg-gray-700 rounded"></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const overall = data?.overall;
+  // Midpoint of each bin so the diagonal shows where perfectly calibrated bins would sit
+  const bins = (overall?.reliability || []).map(bin => ({
+    ...bin,
+    label: `${Math.round(bin.lower * 100)}-${Math.round(bin.upper * 100)}%`,
+    perfect: (bin.lower + bin.upper) / 2
+  }));
+
+  const CustomTooltip = ({ active, payload, label }) => {
+    if (active && payload && payload.length) {
+      const bin = payload[0].payload;
+      return (
+        <div className="bg-white dark:bg-gray-800 p-3 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+          <p className="font-medium text-gray-900 dark:text-white">Forecast {label}</p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">Forecasts: {bin.count}</p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">Mean probability: {formatShare(bin.meanProbability)}</p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">Observed up moves: {formatShare(bin.observedFrequency)}</p>
+        </div>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Forecast Calibration
+        </h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+          Up-move probabilities and {formatShare(data?.parameters?.coverage)} intervals of past next-day forecasts against what happened
+        </p>
+      </div>
+      <div className="card-body">
+        {!overall?.samples ? (
+          <div className="h-64 flex items-center justify-center text-gray-500 dark:text-gray-400">
+            Not enough forecast history to measure calibration
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+              <Stat
+                label="Brier score"
+                value={formatScore(overall.brierScore)}
+                hint={`Base rate: ${formatScore(overall.baseRateBrierScore)}`}
+              />
+              <Stat label="Calibration error" value={formatScore(overall.expectedCalibrationError)} />
+              <Stat
+                label="Interval coverage"
+                value={formatShare(overall.intervalCoverage)}
+                hint={`Target: ${formatShare(overall.nominalCoverage)}`}
+              />
+              <Stat label="Forecasts scored" value={overall.samples.toLocaleString()} />
+            </div>
+
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={bins} margin={{ top: 10, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis dataKey="label" stroke="#9CA3AF" fontSize={12} />
+                  <YAxis stroke="#9CA3AF" fontSize={12} domain={[0, 1]} tickFormatter={(value) => `${value * 100}%`} />
+                  <Tooltip content={<CustomTooltip />} />
+                  <Legend />
+                  <Bar dataKey="observedFrequency" name="Observed up moves" fill="#3B82F6" />
+                  <Line dataKey="perfect" name="Perfect calibration" stroke="#9CA3AF" strokeDasharray="5 5" dot={false} />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+
+            {data.symbols.length > 0 && (
+              <div className="overflow-x-auto mt-6">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 dark:text-gray-400">
+                      <th className="py-2 pr-4">Symbol</th>
+                      <th className="py-2 pr-4">Forecasts</th>
+                      <th className="py-2 pr-4">Brier</th>
+                      <th className="py-2 pr-4">Base rate Brier</th>
+                      <th className="py-2 pr-4">Interval coverage</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {data.symbols.map(row => (
+                      <tr key={row.symbol} className="text-gray-900 dark:text-white">
+                        <td className="py-2 pr-4 font-medium">{row.symbol}</td>
+                        <td className="py-2 pr-4">{row.samples}</td>
+                        <td className={`py-2 pr-4 ${row.brierScore < row.baseRateBrierScore ? 'text-green-600 dark:text-green-400' : ''}`}>
+                          {formatScore(row.brierScore)}
+                        </td>
+                        <td className="py-2 pr-4">{formatScore(row.baseRateBrierScore)}</td>
+                        <td className="py-2 pr-4">{formatShare(row.intervalCoverage)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForecastCalibration;
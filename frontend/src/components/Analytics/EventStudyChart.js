@@ -0,0 +1,162 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Legend } from 'recharts';
+
+const GROUP_COLORS = {
+  positive: '#22C55E',
+  negative: '#EF4444',
+  neutral: '#6B7280',
+  earnings: '#3B82F6',
+  news: '#F59E0B',
+  analyst_rating: '#8B5CF6',
+  insider_trading: '#EC4899',
+  other: '#14B8A6',
+  unknown: '#9CA3AF'
+};
+
+const formatPValue = (pValue) => {
+  if (pValue === null || pValue === undefined) return 'n/a';
+  return pValue < 0.001 ? '< 0.001' : pValue.toFixed(3);
+};
+
+const formatLabel = (key) => key.replace(/_/g, ' ');
+
+const EventStudyChart = ({ data, isLoading, groupBy, onGroupByChange }) => {
+  if (isLoading) {
+    return (
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Reaction to Impact Events
+          </h2>
+        </div>
+        <div className="card-body">
+          <div className="animate-pulse">
+            <div className="h-64 bg-gray-200 dark:bg-gray-700 rounded"></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const groups = (groupBy === 'type' ? data?.byType : data?.bySentiment) || [];
+  const keys = groups.map((group) => group[groupBy]);
+  const skippedCount = Object.values(data?.eventsSkipped || {}).reduce((sum, count) => sum + count, 0);
+
+  // One row per relative day with the average CAR of every group plus the overall curve
+  const chartData = (data?.days || []).map((day, i) => {
+    const row = { day, all: data.overall?.curve[i].cumulativeAbnormalReturn ?? null };
+    groups.forEach((group) => {
+      row[group[groupBy]] = group.curve[i].cumulativeAbnormalReturn;
+    });
+    return row;
+  });
+
+  const CustomTooltip = ({ active, payload, label }) => {
+    if (active && payload && payload.length) {
+      return (
+        <div className="bg-white dark:bg-gray-800 p-3 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+          <p className="font-medium text-gray-900 dark:text-white">Day {label}</p>
+          {payload.map((entry, index) => (
+            <p key={index} style={{ color: entry.color }} className="text-sm">
+              {entry.name}: {entry.value !== null ? `${entry.value.toFixed(2)}%` : 'n/a'}
+            </p>
+          ))}
+        </div>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Reaction to Impact Events
+          </h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Cumulative abnormal return versus {data?.benchmark || 'the benchmark'} around each event (day 0)
+          </p>
+          {skippedCount > 0 && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              {skippedCount} events skipped (short price history or estimation window)
+            </p>
+          )}
+        </div>
+        <div className="flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden">
+          {['sentiment', 'type'].map((option) => (
+            <button
+              key={option}
+              onClick={() => onGroupByChange(option)}
+              className={`px-3 py-1 text-sm ${groupBy === option
+                ? 'bg-blue-600 text-white'
+                : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300'}`}
+            >
+              By {option}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="card-body">
+        {!data?.eventsAnalyzed ? (
+          <div className="h-64 flex items-center justify-center text-gray-500 dark:text-gray-400">
+            No impact events with enough price history to analyze
+          </div>
+        ) : (
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis dataKey="day" stroke="#9CA3AF" fontSize={12} />
+                <YAxis stroke="#9CA3AF" fontSize={12} tickFormatter={(value) => `${value.toFixed(1)}%`} />
+                <Tooltip content={<CustomTooltip />} />
+                <Legend />
+                <ReferenceLine y={0} stroke="#9CA3AF" />
+                <ReferenceLine x={0} stroke="#9CA3AF" strokeDasharray="4 4" />
+                <Line type="monotone" dataKey="all" name="All events" stroke="#0EA5E9" strokeWidth={2} strokeDasharray="5 5" dot={false} />
+                {keys.map((key) => (
+                  <Line
+                    key={key}
+                    type="monotone"
+                    dataKey={key}
+                    name={formatLabel(key)}
+                    stroke={GROUP_COLORS[key] || GROUP_COLORS.unknown}
+                    strokeWidth={2}
+                    dot={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
+        {groups.length > 0 && (
+          <div className="overflow-x-auto mt-6">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="py-2 pr-4 capitalize">{groupBy}</th>
+                  <th className="py-2 pr-4">Events</th>
+                  <th className="py-2 pr-4">CAR</th>
+                  <th className="py-2">p-value</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {groups.map((group) => (
+                  <tr key={group[groupBy]} className="text-gray-900 dark:text-white">
+                    <td className="py-2 pr-4 capitalize">{formatLabel(group[groupBy])}</td>
+                    <td className="py-2 pr-4">{group.events}</td>
+                    <td className="py-2 pr-4">{group.car.mean !== null ? `${group.car.mean.toFixed(2)}%` : 'n/a'}</td>
+                    <td className="py-2">{formatPValue(group.car.pValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EventStudyChart;
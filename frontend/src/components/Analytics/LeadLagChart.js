@@ -0,0 +1,150 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Cell } from 'recharts';
+
+const formatPValue = (pValue) => {
+  if (pValue === null || pValue === undefined) return 'n/a';
+  return pValue < 0.001 ? '< 0.001' : pValue.toFixed(3);
+};
+
+const directionLabels = {
+  sentiment_leads: 'Sentiment leads price',
+  price_leads: 'Price leads sentiment',
+  same_day: 'Same-day move'
+};
+
+const GrangerRow = ({ label, result }) => (
+  <div className="flex items-center justify-between py-2">
+    <span className="text-sm text-gray-600 dark:text-gray-400">{label}</span>
+    {result ? (
+      <span className={`text-sm font-medium ${result.significant ? 'text-green-600 dark:text-green-400' : 'text-gray-900 dark:text-white'}`}>
+        F = {result.fStatistic !== null ? result.fStatistic.toFixed(2) : 'n/a'}, p = {formatPValue(result.pValue)}
+      </span>
+    ) : (
+      <span className="text-sm text-gray-500 dark:text-gray-400">Not enough data</span>
+    )}
+  </div>
+);
+
+const LeadLagChart = ({ data, isLoading }) => {
+  if (isLoading) {
+    return (
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Sentiment / Return Lead-Lag
+          </h2>
+        </div>
+        <div className="card-body">
+          <div className="animate-pulse">
+            <div className="h-64 bg-gray-200 dark:bg-gray-700 rounded"></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const profile = data?.profile || [];
+  const significanceLevel = data?.significanceLevel ?? 0.05;
+  const bestLag = data?.bestLag;
+
+  const CustomTooltip = ({ active, payload, label }) => {
+    if (active && payload && payload.length) {
+      const point = payload[0].payload;
+      return (
+        <div className="bg-white dark:bg-gray-800 p-3 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+          <p className="font-medium text-gray-900 dark:text-white">Lag {label} days</p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">r = {point.r !== null ? point.r.toFixed(3) : 'n/a'}</p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">p = {formatPValue(point.pValue)}</p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">n = {point.n}</p>
+        </div>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Sentiment / Return Lead-Lag
+        </h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+          Correlation of daily sentiment with returns shifted by the lag (positive lags: sentiment first)
+        </p>
+      </div>
+      <div className="card-body">
+        {profile.length === 0 ? (
+          <div className="h-64 flex items-center justify-center text-gray-500 dark:text-gray-400">
+            No overlapping sentiment and price data for this window
+          </div>
+        ) : (
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={profile} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis dataKey="lag" stroke="#9CA3AF" fontSize={12} />
+                <YAxis stroke="#9CA3AF" fontSize={12} domain={[-1, 1]} />
+                <Tooltip content={<CustomTooltip />} />
+                <ReferenceLine y={0} stroke="#9CA3AF" />
+                <Bar dataKey="r" name="Correlation">
+                  {profile.map((point) => (
+                    <Cell
+                      key={point.lag}
+                      fill={point.pValue !== null && point.pValue < significanceLevel ? '#3B82F6' : '#6B7280'}
+                    />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
+        <div className="flex justify-center space-x-6 mt-4">
+          <div className="flex items-center space-x-2">
+            <div className="w-3 h-3 bg-blue-500 rounded"></div>
+            <span className="text-sm text-gray-600 dark:text-gray-400">p &lt; {significanceLevel}</span>
+          </div>
+          <div className="flex items-center space-x-2">
+            <div className="w-3 h-3 bg-gray-500 rounded"></div>
+            <span className="text-sm text-gray-600 dark:text-gray-400">Not significant</span>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">Best lag</h3>
+            {bestLag ? (
+              <div>
+                <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                  {bestLag.lag > 0 ? `+${bestLag.lag}` : bestLag.lag} days
+                </p>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  {directionLabels[bestLag.direction]} · r = {bestLag.r.toFixed(3)}, p = {formatPValue(bestLag.pValue)}
+                </p>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Adjusted p = {formatPValue(bestLag.adjustedPValue)} (Bonferroni, {bestLag.comparisons} lags)
+                </p>
+                <p className={`text-sm font-medium mt-1 ${bestLag.significant ? 'text-green-600 dark:text-green-400' : 'text-gray-500 dark:text-gray-400'}`}>
+                  {bestLag.significant ? 'Statistically significant' : 'Not statistically significant'}
+                </p>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Not enough data</p>
+            )}
+          </div>
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">
+              Granger-style tests{data?.granger?.sentimentToReturns ? ` (${data.granger.sentimentToReturns.order} lags)` : ''}
+            </h3>
+            <div className="divide-y divide-gray-200 dark:divide-gray-700">
+              <GrangerRow label="Sentiment → returns" result={data?.granger?.sentimentToReturns} />
+              <GrangerRow label="Returns → sentiment" result={data?.granger?.returnsToSentiment} />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LeadLagChart;
@@ -0,0 +1,182 @@
+import React, { useState, useMemo } from 'react';
+import { ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { formatCurrency } from '../../utils/formatters';
+
+const formatShare = (value) => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+const formatError = (value) => (value === null || value === undefined ? 'n/a' : `${value.toFixed(2)}%`);
+
+const seriesKey = (series) => `${series.symbol}|${series.method}|${series.modelVersion}|${series.horizon}`;
+
+const ForecastLedger = ({ data, isLoading }) => {
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const series = useMemo(() => data?.series || [], [data]);
+  const selected = series.find(s => seriesKey(s) === selectedKey) || series[0];
+
+  // Predicted and actual closes by target day, with the rolling error once reconciled
+  const chartData = useMemo(() => {
+    if (!selected) return [];
+    const rolling = new Map(selected.rollingError.map(point => [point.asOf, point.meanAbsolutePercentError]));
+    return selected.points.map(point => ({
+      ...point,
+      day: point.targetDate || `after ${point.asOf}`,
+      rollingError: rolling.get(point.asOf) ?? null
+    }));
+  }, [selected]);
+
+  if (isLoading) {
+    return (
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Forecast Track Record
+          </h2>
+        </div>
+        <div className="card-body">
+          <div className="animate-pulse">
+            <div className="h-64 bg-gray-200 dark:bg-gray-700 rounded"></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const CustomTooltip = ({ active, payload, label }) => {
+    if (active && payload && payload.length) {
+      const point = payload[0].payload;
+      return (
+        <div className="bg-white dark:bg-gray-800 p-3 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+          <p className="font-medium text-gray-900 dark:text-white">{label}</p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">Predicted: {formatCurrency(point.predictedClose)}</p>
+          {point.lower !== null && (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Interval: {formatCurrency(point.lower)} – {formatCurrency(point.upper)}
+            </p>
+          )}
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Actual: {point.actualClose !== null ? formatCurrency(point.actualClose) : 'pending'}
+          </p>
+          {point.hit !== null && (
+            <p className={`text-sm ${point.hit ? 'text-green-500' : 'text-red-500'}`}>
+              Direction {point.hit ? 'hit' : 'missed'}
+            </p>
+          )}
+        </div>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Forecast Track Record
+          </h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Issued 1, 5 and 20-day forecasts reconciled against the actual close
+          </p>
+        </div>
+        {series.length > 0 && (
+          <select
+            value={seriesKey(selected)}
+            onChange={(e) => setSelectedKey(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+          >
+            {series.map(s => (
+              <option key={seriesKey(s)} value={seriesKey(s)}>
+                {s.symbol} · {s.method} · {s.modelVersion} · {s.horizon}d
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+      <div className="card-body">
+        {!selected ? (
+          <div className="h-64 flex items-center justify-center text-gray-500 dark:text-gray-400">
+            No forecasts issued yet
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+              <div>
+                <p className="text-sm text-gray-600 dark:text-gray-400">Hit rate</p>
+                <p className="text-xl font-semibold text-gray-900 dark:text-white">{formatShare(selected.hitRate)}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-600 dark:text-gray-400">Mean abs. error</p>
+                <p className="text-xl font-semibold text-gray-900 dark:text-white">{formatError(selected.meanAbsolutePercentError)}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-600 dark:text-gray-400">Interval coverage</p>
+                <p className="text-xl font-semibold text-gray-900 dark:text-white">{formatShare(selected.intervalCoverage)}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-600 dark:text-gray-400">Reconciled</p>
+                <p className="text-xl font-semibold text-gray-900 dark:text-white">
+                  {selected.reconciled} / {selected.forecasts}
+                </p>
+              </div>
+            </div>
+
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={chartData} margin={{ top: 10, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis dataKey="day" stroke="#9CA3AF" fontSize={12} />
+                  <YAxis yAxisId="price" stroke="#9CA3AF" fontSize={12} domain={['auto', 'auto']} tickFormatter={(value) => formatCurrency(value)} />
+                  <YAxis yAxisId="error" orientation="right" stroke="#9CA3AF" fontSize={12} tickFormatter={(value) => `${value.toFixed(1)}%`} />
+                  <Tooltip content={<CustomTooltip />} />
+                  <Legend />
+                  <Line yAxisId="price" dataKey="actualClose" name="Actual" stroke="#10B981" strokeWidth={2} dot={false} connectNulls={false} />
+                  <Line yAxisId="price" dataKey="predictedClose" name="Predicted" stroke="#3B82F6" strokeDasharray="5 5" dot={false} />
+                  <Line
+                    yAxisId="error"
+                    dataKey="rollingError"
+                    name={`Rolling error (${data.parameters.window})`}
+                    stroke="#F59E0B"
+                    dot={false}
+                  />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+
+            {data.byVersion.length > 0 && (
+              <div className="overflow-x-auto mt-6">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 dark:text-gray-400">
+                      <th className="py-2 pr-4">Method</th>
+                      <th className="py-2 pr-4">Version</th>
+                      <th className="py-2 pr-4">Horizon</th>
+                      <th className="py-2 pr-4">Symbols</th>
+                      <th className="py-2 pr-4">Reconciled</th>
+                      <th className="py-2 pr-4">Hit rate</th>
+                      <th className="py-2 pr-4">Mean abs. error</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {data.byVersion.map(row => (
+                      <tr key={`${row.method}|${row.modelVersion}|${row.horizon}`} className="text-gray-900 dark:text-white">
+                        <td className="py-2 pr-4 font-medium">{row.method}</td>
+                        <td className="py-2 pr-4">{row.modelVersion}</td>
+                        <td className="py-2 pr-4">{row.horizon}d</td>
+                        <td className="py-2 pr-4">{row.symbols}</td>
+                        <td className="py-2 pr-4">{row.reconciled}</td>
+                        <td className="py-2 pr-4">{formatShare(row.hitRate)}</td>
+                        <td className="py-2 pr-4">{formatError(row.meanAbsolutePercentError)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForecastLedger;
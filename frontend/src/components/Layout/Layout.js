@@ -8,6 +8,7 @@ import {
   MessageSquare, 
   TrendingUp, 
   BarChart3, 
+  Tag,
   Settings, 
   User, 
   LogOut,
@@ -77,6 +78,7 @@ const Layout = () => {
     { name: 'Tweets', href: '/tweets', icon: MessageSquare },
     { name: 'Stocks', href: '/stocks', icon: TrendingUp },
     { name: 'Analytics', href: '/analytics', icon: BarChart3 },
+    { name: 'Labeling', href: '/labeling', icon: Tag },
   ];
 
   // Add admin navigation if user is admin
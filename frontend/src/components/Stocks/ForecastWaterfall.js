@@ -0,0 +1,134 @@
+import React, { useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Cell } from 'recharts';
+import { formatCurrency } from '../../utils/formatters';
+
+// Features drawn individually; the rest are summed into one bar
+const MAX_FEATURE_BARS = 8;
+
+const COLORS = {
+  total: '#3b82f6',
+  up: '#10b981',
+  down: '#ef4444'
+};
+
+const formatSigned = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+// e.g. sentiment_t-1 -> "Sentiment (t-1)"
+const featureLabel = (feature) => {
+  const [name, lag] = feature.split('_t-');
+  const label = name.replace(/_/g, ' ').replace(/^djia/, 'DJIA');
+  return `${label.charAt(0).toUpperCase()}${label.slice(1)}${lag ? ` (t-${lag})` : ''}`;
+};
+
+const ForecastWaterfall = ({ prediction, isLoading, error }) => {
+  // Each bar floats from the running total before it to the total after it
+  const chartData = useMemo(() => {
+    if (!prediction?.explanation) return [];
+    const { baselinePercent, contributions } = prediction.explanation;
+
+    const shown = contributions.slice(0, MAX_FEATURE_BARS);
+    const rest = contributions.slice(MAX_FEATURE_BARS);
+    const steps = shown.map(c => ({ label: featureLabel(c.feature), feature: c.feature, value: c.value, delta: c.contributionPercent }));
+    if (rest.length) {
+      steps.push({
+        label: `${rest.length} other features`,
+        delta: rest.reduce((sum, c) => sum + c.contributionPercent, 0)
+      });
+    }
+
+    const bars = [{ label: 'Average day', range: [0, baselinePercent], delta: baselinePercent, kind: 'total' }];
+    let running = baselinePercent;
+    steps.forEach(step => {
+      bars.push({ ...step, range: [running, running + step.delta], kind: step.delta >= 0 ? 'up' : 'down' });
+      running += step.delta;
+    });
+    bars.push({ label: 'Forecast', range: [0, running], delta: running, kind: 'total' });
+    return bars;
+  }, [prediction]);
+
+  const CustomTooltip = ({ active, payload }) => {
+    if (active && payload && payload.length) {
+      const bar = payload[0].payload;
+      return (
+        <div className="bg-white dark:bg-gray-800 p-3 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+          <p className="font-medium text-gray-900 dark:text-white">{bar.label}</p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {bar.kind === 'total' ? formatSigned(bar.delta) : `${formatSigned(bar.delta)} to the forecast`}
+          </p>
+          {bar.feature && (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Value: {bar.value !== null && bar.value !== undefined ? bar.value.toLocaleString() : 'missing (average used)'}
+            </p>
+          )}
+        </div>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Next-Day Forecast Breakdown
+        </h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+          How each input moved the forecast return away from the model's average day
+        </p>
+      </div>
+      <div className="card-body">
+        {isLoading ? (
+          <div className="animate-pulse">
+            <div className="h-72 bg-gray-200 dark:bg-gray-700 rounded"></div>
+          </div>
+        ) : error ? (
+          <div className="h-72 flex items-center justify-center text-red-600 dark:text-red-400">
+            {error.message}
+          </div>
+        ) : !chartData.length ? (
+          <div className="h-72 flex items-center justify-center text-gray-500 dark:text-gray-400">
+            No forecast available for this company
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-baseline gap-x-6 gap-y-1 mb-4">
+              <span className="text-2xl font-bold text-gray-900 dark:text-white">
+                {formatCurrency(prediction.predictedClose)}
+              </span>
+              <span className={`text-lg font-semibold ${
+                prediction.predictedChangePercent >= 0 ? 'text-green-600' : 'text-red-600'
+              }`}>
+                {formatSigned(prediction.predictedChangePercent)}
+              </span>
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                from {formatCurrency(prediction.lastClose)} on {prediction.asOf}
+                {prediction.model?.version ? ` · ${prediction.model.version}` : ''}
+              </span>
+            </div>
+            <ResponsiveContainer width="100%" height={Math.max(288, chartData.length * 32)}>
+              <BarChart data={chartData} layout="vertical" margin={{ left: 24 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis
+                  type="number"
+                  stroke="#6b7280"
+                  fontSize={12}
+                  tickFormatter={(value) => `${value.toFixed(1)}%`}
+                />
+                <YAxis type="category" dataKey="label" stroke="#6b7280" fontSize={12} width={140} />
+                <Tooltip content={<CustomTooltip />} />
+                <ReferenceLine x={0} stroke="#6b7280" />
+                <Bar dataKey="range">
+                  {chartData.map((bar) => (
+                    <Cell key={bar.label} fill={COLORS[bar.kind]} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForecastWaterfall;
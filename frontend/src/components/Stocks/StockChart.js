@@ -1,21 +1,35 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import {
-  LineChart,
+  ComposedChart,
   Line,
   XAxis,
   YAxis,
   CartesianGrid,
   Tooltip,
   ResponsiveContainer,
-  AreaChart,
   Area,
   BarChart,
   Bar
 } from 'recharts';
 import { useTheme } from '../../hooks/useTheme';
 import { formatCurrency, formatPercentage } from '../../utils/formatters';
+import { stockService } from '../../services/stockService';
 import LoadingSpinner from '../Common/LoadingSpinner';
 
+// Forecast horizons in trading days drawn as a fan past the last close
+const FAN_HORIZONS = [1, 5, 20];
+
+// Approximate calendar date `days` trading days after `date` (weekends skipped, holidays not)
+const addTradingDays = (date, days) => {
+  const result = new Date(date);
+  let remaining = days;
+  while (remaining > 0) {
+    result.setDate(result.getDate() + 1);
+    if (result.getDay() !== 0 && result.getDay() !== 6) remaining--;
+  }
+  return result;
+};
+
 const StockChart = ({ symbol, period = '1mo', interval = '1d' }) => {
   const { theme } = useTheme();
   const [stockData, setStockData] = useState(null);
@@ -23,6 +37,7 @@ const StockChart = ({ symbol, period = '1mo', interval = '1d' }) => {
   const [error, setError] = useState(null);
   const [chartType, setChartType] = useState('line'); // line, area, bar
   const [timeframe, setTimeframe] = useState(period);
+  const [fan, setFan] = useState([]);
 
   const timeframes = [
     { label: '1D', value: '1d' },
@@ -48,6 +63,24 @@ const StockChart = ({ symbol, period = '1mo', interval = '1d' }) => {
     }
   }, [symbol, timeframe]);
 
+  // Fetch the forecast distribution at each horizon; horizons without one are left out of the fan
+  useEffect(() => {
+    if (!symbol) return undefined;
+    let cancelled = false;
+    setFan([]);
+
+    Promise.allSettled(
+      FAN_HORIZONS.map(horizon => stockService.getForecastDistribution(symbol, { horizon }))
+    ).then(results => {
+      if (cancelled) return;
+      setFan(results
+        .filter(result => result.status === 'fulfilled' && result.value.success)
+        .map(result => result.value.data));
+    });
+
+    return () => { cancelled = true; };
+  }, [symbol]);
+
   const fetchStockData = async (stockSymbol, timePeriod) => {
     setLoading(true);
     setError(null);
@@ -89,6 +122,35 @@ const StockChart = ({ symbol, period = '1mo', interval = '1d' }) => {
     }));
   }, [stockData]);
 
+  // Price history followed by one point per forecast horizon. The last close
+  // anchors the fan so the 50% and 80% bands widen out from it.
+  const priceData = useMemo(() => {
+    if (!chartData.length || !fan.length) return chartData;
+
+    const last = chartData[chartData.length - 1];
+    const quantileClose = (forecast, q) => forecast.quantiles.find(item => item.q === q)?.close;
+    const forecastPoints = [...fan]
+      .sort((a, b) => a.horizon - b.horizon)
+      .map(forecast => {
+        const date = addTradingDays(last.timestamp, forecast.horizon);
+        return {
+          date: date.toLocaleDateString(),
+          timestamp: date.getTime(),
+          horizon: forecast.horizon,
+          forecast: forecast.predictedClose,
+          outerBand: [forecast.interval.lower, forecast.interval.upper],
+          innerBand: [quantileClose(forecast, 0.25), quantileClose(forecast, 0.75)],
+          coverage: forecast.interval.coverage
+        };
+      });
+
+    return [
+      ...chartData.slice(0, -1),
+      { ...last, forecast: last.close, outerBand: [last.close, last.close], innerBand: [last.close, last.close] },
+      ...forecastPoints
+    ];
+  }, [chartData, fan]);
+
   // Calculate summary statistics
   const summaryStats = useMemo(() => {
     if (!chartData.length) return null;
@@ -111,6 +173,24 @@ const StockChart = ({ symbol, period = '1mo', interval = '1d' }) => {
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
       const data = payload[0].payload;
+      if (data.horizon) {
+        return (
+          <div className={`p-3 rounded-lg shadow-lg border ${
+            theme === 'dark' ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-200'
+          }`}>
+            <p className="font-semibold text-sm">{label} · {data.horizon}-day forecast</p>
+            <p className="text-sm">Forecast: {formatCurrency(data.forecast)}</p>
+            <p className="text-sm">
+              {Math.round(data.coverage * 100)}% interval: {formatCurrency(data.outerBand[0])} – {formatCurrency(data.outerBand[1])}
+            </p>
+            {data.innerBand[0] !== undefined && (
+              <p className="text-sm">
+                50% interval: {formatCurrency(data.innerBand[0])} – {formatCurrency(data.innerBand[1])}
+              </p>
+            )}
+          </div>
+        );
+      }
       return (
         <div className={`p-3 rounded-lg shadow-lg border ${
           theme === 'dark' ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-200'
@@ -262,7 +342,7 @@ const StockChart = ({ symbol, period = '1mo', interval = '1d' }) => {
       <div className="bg-white dark:bg-gray-800 p-6 rounded-lg border border-gray-200 dark:border-gray-700">
         <ResponsiveContainer width="100%" height={400}>
           {chartType === 'line' && (
-            <LineChart data={chartData}>
+            <ComposedChart data={priceData}>
               <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
               <XAxis 
                 dataKey="date" 
@@ -275,6 +355,9 @@ const StockChart = ({ symbol, period = '1mo', interval = '1d' }) => {
                 tickFormatter={(value) => formatCurrency(value)}
               />
               <Tooltip content={<CustomTooltip />} />
+              <Area type="monotone" dataKey="outerBand" stroke="none" fill="#8b5cf6" fillOpacity={0.15} activeDot={false} />
+              <Area type="monotone" dataKey="innerBand" stroke="none" fill="#8b5cf6" fillOpacity={0.25} activeDot={false} />
+              <Line type="monotone" dataKey="forecast" stroke="#8b5cf6" strokeWidth={2} strokeDasharray="5 5" dot={false} />
               <Line
                 type="monotone"
                 dataKey="close"
@@ -283,11 +366,11 @@ const StockChart = ({ symbol, period = '1mo', interval = '1d' }) => {
                 dot={false}
                 activeDot={{ r: 6, fill: '#3b82f6' }}
               />
-            </LineChart>
+            </ComposedChart>
           )}
           
           {chartType === 'area' && (
-            <AreaChart data={chartData}>
+            <ComposedChart data={priceData}>
               <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
               <XAxis 
                 dataKey="date" 
@@ -308,7 +391,10 @@ const StockChart = ({ symbol, period = '1mo', interval = '1d' }) => {
                 fillOpacity={0.1}
                 strokeWidth={2}
               />
-            </AreaChart>
+              <Area type="monotone" dataKey="outerBand" stroke="none" fill="#8b5cf6" fillOpacity={0.15} activeDot={false} />
+              <Area type="monotone" dataKey="innerBand" stroke="none" fill="#8b5cf6" fillOpacity={0.25} activeDot={false} />
+              <Line type="monotone" dataKey="forecast" stroke="#8b5cf6" strokeWidth={2} strokeDasharray="5 5" dot={false} />
+            </ComposedChart>
           )}
           
           {chartType === 'bar' && (
@@ -333,6 +419,13 @@ const StockChart = ({ symbol, period = '1mo', interval = '1d' }) => {
             </BarChart>
           )}
         </ResponsiveContainer>
+        {fan.length > 0 && chartType !== 'bar' && (
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-3">
+            Dashed line: {fan.map(f => f.horizon).sort((a, b) => a - b).join(', ')}-trading-day forecasts from
+            separate models. Shaded fan: 50% and {Math.round(fan[0].interval.coverage * 100)}% intervals from
+            past forecast errors.
+          </p>
+        )}
       </div>
 
       {/* Volume Chart */}
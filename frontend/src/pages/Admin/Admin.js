@@ -1,6 +1,100 @@
-import React from 'react';
+import React, { useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+
+// Components
+import ForecastCalibration from '../../components/Admin/ForecastCalibration';
+import DriftMonitor from '../../components/Admin/DriftMonitor';
+
+// Services
+import { adminService } from '../../services/adminService';
+
+// Hooks
+import { useSocket } from '../../context/SocketContext';
+
+const MODEL_LABELS = {
+  sentiment: 'Sentiment classifier',
+  impact: 'Market impact',
+  prediction: 'Price forecast (1, 5, 20 days)'
+};
 
 const Admin = () => {
+  const queryClient = useQueryClient();
+  const { socket } = useSocket();
+
+  // Fetch the active registry version per model type
+  const {
+    data: statusData,
+    isLoading: statusLoading,
+    error: statusError
+  } = useQuery('admin-model-status', adminService.getModelStatus, {
+    staleTime: 60 * 1000,
+    retry: false,
+  });
+
+  // Fetch calibration of past probabilistic forecasts
+  const {
+    data: calibrationData,
+    isLoading: calibrationLoading,
+    error: calibrationError
+  } = useQuery('admin-forecast-calibration', () => adminService.getForecastCalibration(), {
+    staleTime: 10 * 60 * 1000,
+    retry: false,
+  });
+
+  // Fetch stored drift reports and unacknowledged drift alerts
+  const { data: driftData, isLoading: driftLoading } = useQuery(
+    'admin-drift-reports',
+    () => adminService.getDriftReports({ limit: 30 }),
+    { staleTime: 5 * 60 * 1000, retry: false }
+  );
+  const { data: driftAlertsData } = useQuery('admin-drift-alerts', adminService.getDriftAlerts, {
+    staleTime: 60 * 1000,
+    retry: false,
+  });
+
+  const refreshDrift = () => {
+    queryClient.invalidateQueries('admin-drift-reports');
+    queryClient.invalidateQueries('admin-drift-alerts');
+  };
+
+  const driftCheckMutation = useMutation(() => adminService.runDriftCheck(), {
+    onSuccess: (response) => {
+      toast.success(response.message);
+      refreshDrift();
+    },
+    onError: (error) => {
+      toast.error(error.message);
+    },
+  });
+
+  const acknowledgeMutation = useMutation((reportId) => adminService.acknowledgeDriftAlert(reportId), {
+    onSuccess: () => {
+      refreshDrift();
+    },
+    onError: (error) => {
+      toast.error(error.message);
+    },
+  });
+
+  // Scheduled drift checks broadcast their alerts
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleDriftAlert = (alert) => {
+      toast.error(`Feature drift: ${alert.message}`);
+      queryClient.invalidateQueries('admin-drift-reports');
+      queryClient.invalidateQueries('admin-drift-alerts');
+    };
+
+    socket.on('drift-alert', handleDriftAlert);
+    return () => {
+      socket.off('drift-alert', handleDriftAlert);
+    };
+  }, [socket, queryClient]);
+
+  const models = Object.entries(statusData?.data || {});
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 p-6">
       <div className="max-w-7xl mx-auto">
@@ -12,20 +106,51 @@ const Admin = () => {
             System administration, model management, and monitoring
           </p>
         </div>
-        
-        <div className="text-center py-12">
-          <div className="text-gray-400 dark:text-gray-600">
-            <svg className="mx-auto h-12 w-12 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-            </svg>
-            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
-              Admin Panel Coming Soon
-            </h3>
-            <p className="text-gray-500 dark:text-gray-400">
-              This page will provide system administration tools, ML model management, performance monitoring, and system configuration.
-            </p>
+
+        <h2 className="text-xl font-semibold mb-4 text-gray-900 dark:text-white">
+          Models
+        </h2>
+        {statusError ? (
+          <p className="text-red-600 dark:text-red-400 mb-8">{statusError.message}</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+            {statusLoading ? (
+              <div className="animate-pulse h-28 bg-gray-200 dark:bg-gray-700 rounded-lg md:col-span-3"></div>
+            ) : models.map(([modelType, model]) => (
+              <div
+                key={modelType}
+                className="bg-white dark:bg-gray-800 p-6 rounded-lg border border-gray-200 dark:border-gray-700"
+              >
+                <p className="text-sm text-gray-600 dark:text-gray-400">{MODEL_LABELS[modelType] || modelType}</p>
+                <p className="text-lg font-semibold text-gray-900 dark:text-white">
+                  {model.version || 'Untrained'}
+                </p>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {model.algorithm ? `${model.algorithm} · ` : ''}{model.totalVersions} versions
+                  {model.lastTraining ? ` · trained ${new Date(model.lastTraining).toLocaleDateString()}` : ''}
+                </p>
+              </div>
+            ))}
           </div>
+        )}
+
+        {calibrationError ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-12 text-center">
+            <p className="text-red-600 dark:text-red-400">{calibrationError.message}</p>
+          </div>
+        ) : (
+          <ForecastCalibration data={calibrationData?.data} isLoading={calibrationLoading} />
+        )}
+
+        <div className="mt-8">
+          <DriftMonitor
+            reports={driftData?.data}
+            alerts={driftAlertsData?.data}
+            isLoading={driftLoading}
+            onRunCheck={() => driftCheckMutation.mutate()}
+            isRunning={driftCheckMutation.isLoading}
+            onAcknowledge={(reportId) => acknowledgeMutation.mutate(reportId)}
+          />
         </div>
       </div>
     </div>
@@ -33,9 +158,3 @@ const Admin = () => {
 };
 
 export default Admin;
-
-
-
-
-
-
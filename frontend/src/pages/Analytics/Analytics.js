@@ -1,6 +1,53 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { BarChart3 } from 'lucide-react';
+
+// Components
+import CompanySelector from '../../components/Stocks/CompanySelector';
+import LeadLagChart from '../../components/Analytics/LeadLagChart';
+import EventStudyChart from '../../components/Analytics/EventStudyChart';
+
+// Services
+import { sentimentService } from '../../services/sentimentService';
+
+const WINDOW_OPTIONS = [30, 60, 90, 180, 365];
 
 const Analytics = () => {
+  const [selectedCompany, setSelectedCompany] = useState(null);
+  const [windowDays, setWindowDays] = useState(90);
+  const [eventGroupBy, setEventGroupBy] = useState('sentiment');
+
+  const symbol = selectedCompany?.symbol;
+
+  // Fetch lead-lag analysis for the selected company
+  const {
+    data: leadLagData,
+    isLoading: leadLagLoading,
+    error: leadLagError
+  } = useQuery(
+    ['sentiment-lead-lag', symbol, windowDays],
+    () => sentimentService.getLeadLag(symbol, { window: windowDays }),
+    {
+      enabled: !!symbol,
+      staleTime: 5 * 60 * 1000,
+      retry: false,
+    }
+  );
+
+  // Fetch the event study for the selected company, or every company with events
+  const {
+    data: eventStudyData,
+    isLoading: eventStudyLoading,
+    error: eventStudyError
+  } = useQuery(
+    ['sentiment-event-study', symbol],
+    () => sentimentService.getEventStudy(symbol ? { symbol } : {}),
+    {
+      staleTime: 5 * 60 * 1000,
+      retry: false,
+    }
+  );
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 p-6">
       <div className="max-w-7xl mx-auto">
@@ -12,29 +59,75 @@ const Analytics = () => {
             Advanced analytics, sentiment trends, and market insights
           </p>
         </div>
-        
-        <div className="text-center py-12">
-          <div className="text-gray-400 dark:text-gray-600">
-            <svg className="mx-auto h-12 w-12 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
-            </svg>
-            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
-              Analytics Page Coming Soon
-            </h3>
-            <p className="text-gray-500 dark:text-gray-400">
-              This page will provide advanced analytics, sentiment trend analysis, correlation studies, and market insights.
-            </p>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-1">
+            <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6 shadow-sm">
+              <h2 className="text-xl font-semibold mb-4 text-gray-900 dark:text-white">
+                Select Company
+              </h2>
+              <CompanySelector
+                onCompanySelect={setSelectedCompany}
+                selectedCompany={selectedCompany}
+              />
+
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mt-6 mb-2">
+                Analysis window
+              </label>
+              <select
+                value={windowDays}
+                onChange={(e) => setWindowDays(Number(e.target.value))}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              >
+                {WINDOW_OPTIONS.map((days) => (
+                  <option key={days} value={days}>
+                    Last {days} days
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="lg:col-span-2">
+            {!symbol ? (
+              <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-12 text-center">
+                <div className="text-gray-400 dark:text-gray-500 mb-4">
+                  <BarChart3 className="w-16 h-16 mx-auto" />
+                </div>
+                <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+                  Select a Company
+                </h3>
+                <p className="text-gray-600 dark:text-gray-400">
+                  Choose a company to see whether its tweet sentiment leads or follows its price moves.
+                </p>
+              </div>
+            ) : leadLagError ? (
+              <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-12 text-center">
+                <p className="text-red-600 dark:text-red-400">{leadLagError.message}</p>
+              </div>
+            ) : (
+              <LeadLagChart data={leadLagData?.data} isLoading={leadLagLoading} />
+            )}
           </div>
         </div>
+
+        <div className="mt-8">
+          {eventStudyError ? (
+            <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-12 text-center">
+              <p className="text-red-600 dark:text-red-400">{eventStudyError.message}</p>
+            </div>
+          ) : (
+            <EventStudyChart
+              data={eventStudyData?.data}
+              isLoading={eventStudyLoading}
+              groupBy={eventGroupBy}
+              onGroupByChange={setEventGroupBy}
+            />
+          )}
+        </div>
       </div>
     </div>
   );
 };
 
 export default Analytics;
-
-
-
-
-
-
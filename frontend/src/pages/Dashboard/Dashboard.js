@@ -22,6 +22,7 @@ import SentimentChart from '../../components/Dashboard/SentimentChart';
 import TweetStream from '../../components/Dashboard/TweetStream';
 import AlertsPanel from '../../components/Dashboard/AlertsPanel';
 import StockTicker from '../../components/Dashboard/StockTicker';
+import ForecastLedger from '../../components/Dashboard/ForecastLedger';
 import LoadingSpinner from '../../components/Common/LoadingSpinner';
 import ErrorBoundary from '../../components/Common/ErrorBoundary';
 
@@ -31,6 +32,7 @@ import { useAuth } from '../../hooks/useAuth';
 
 // Services
 import { dashboardService } from '../../services/dashboardService';
+import { stockService } from '../../services/stockService';
 
 // Utils
 import { formatCurrency, formatPercentage, formatNumber } from '../../utils/formatters';
@@ -70,6 +72,15 @@ const Dashboard = () => {
     staleTime: 5000,
   });
 
+  // Fetch the forecast ledger track record
+  const {
+    data: ledgerData,
+    isLoading: ledgerLoading
+  } = useQuery('forecast-ledger', () => stockService.getForecastLedger(), {
+    refetchInterval: isLive ? 5 * 60 * 1000 : false, // 5 minutes if live
+    staleTime: 60000,
+  });
+
   // Socket event listeners
   useEffect(() => {
     if (!socket) return;
@@ -300,6 +311,19 @@ const Dashboard = () => {
             </motion.div>
           </div>
 
+          {/* Forecast Ledger */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5, delay: 0.45 }}
+            className="mt-8"
+          >
+            <ForecastLedger
+              data={ledgerData?.data}
+              isLoading={ledgerLoading}
+            />
+          </motion.div>
+
           {/* Stock Ticker */}
           <motion.div
             initial={{ opacity: 0, y: 20 }}
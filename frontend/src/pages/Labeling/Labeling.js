@@ -0,0 +1,315 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { Tag, CheckCircle, Users, Filter, SkipForward } from 'lucide-react';
+
+// Components
+import LoadingSpinner from '../../components/Common/LoadingSpinner';
+
+// Services
+import { labelService } from '../../services/labelService';
+
+// Hooks
+import { useAuth } from '../../hooks/useAuth';
+
+// Utils
+import { formatPercentage, formatRelativeTime } from '../../utils/formatters';
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const IMPACTS = ['none', 'low', 'medium', 'high'];
+const EMPTY_LABEL = { sentiment: null, isRelevant: null, marketImpact: null, notes: '' };
+
+const OptionButton = ({ selected, onClick, children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className={`px-3 py-2 text-sm rounded-lg border capitalize transition-colors ${
+      selected
+        ? 'bg-primary-500 border-primary-500 text-white'
+        : 'bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+    }`}
+  >
+    {children}
+  </button>
+);
+
+const Labeling = () => {
+  const queryClient = useQueryClient();
+  const [symbol, setSymbol] = useState('');
+  const [label, setLabel] = useState(EMPTY_LABEL);
+  const [cursor, setCursor] = useState(0);
+
+  // Fetch the next review batch (most uncertain first, balanced across symbols)
+  const { data: queueData, isLoading: queueLoading } = useQuery(
+    ['label-review', symbol],
+    () => labelService.getReviewQueue({ limit: 10, symbol: symbol || undefined }),
+    { staleTime: 0 }
+  );
+
+  // Fetch agreement report (admins only: it breaks accuracy down per annotator)
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const { data: agreementData } = useQuery('label-agreement', labelService.getAgreement, {
+    enabled: isAdmin,
+    staleTime: 30000,
+  });
+
+  const submitMutation = useMutation(
+    ({ tweetId, values }) => labelService.submitLabel(tweetId, values),
+    {
+      onSuccess: () => {
+        toast.success('Label saved');
+        advance();
+        queryClient.invalidateQueries('label-agreement');
+      },
+      onError: (error) => {
+        toast.error(error.message);
+      },
+    }
+  );
+
+  const skipMutation = useMutation((tweetId) => labelService.skipTweet(tweetId), {
+    onSuccess: () => {
+      advance();
+    },
+    onError: (error) => {
+      toast.error(error.message);
+    },
+  });
+
+  const queue = queueData?.data;
+  const item = queue?.items?.[cursor];
+  const tweet = item?.tweet;
+  const agreement = agreementData?.data;
+  const isComplete = label.sentiment && label.isRelevant !== null && label.marketImpact;
+
+  // Move to the next tweet in the batch, fetching a new batch at the end
+  const advance = () => {
+    setLabel(EMPTY_LABEL);
+    if (cursor + 1 < (queue?.items?.length || 0)) {
+      setCursor(cursor + 1);
+    } else {
+      setCursor(0);
+      queryClient.invalidateQueries('label-review');
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!tweet || !isComplete) return;
+    submitMutation.mutate({ tweetId: tweet.tweetId, values: label });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 p-6">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-8 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+              Tweet Labeling
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400 mt-2">
+              Label sentiment, relevance and market impact to build the gold set used for evaluation and retraining
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <Filter className="w-4 h-4 text-gray-400" />
+            <input
+              type="text"
+              value={symbol}
+              onChange={(e) => {
+                setSymbol(e.target.value.toUpperCase());
+                setCursor(0);
+              }}
+              placeholder="Filter by symbol"
+              className="px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Labeling form */}
+          <div className="lg:col-span-2 bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center">
+                <Tag className="w-5 h-5 mr-2" />
+                Review queue
+              </h2>
+              {queue && (
+                <span className="text-sm text-gray-500 dark:text-gray-400">
+                  {Math.max(queue.remaining - cursor, 0)} remaining
+                </span>
+              )}
+            </div>
+
+            {queueLoading ? (
+              <LoadingSpinner />
+            ) : !tweet ? (
+              <div className="text-center py-12 text-gray-500 dark:text-gray-400">
+                <CheckCircle className="mx-auto h-12 w-12 mb-4 text-green-500" />
+                Nothing left to label{symbol ? ` for ${symbol}` : ''}.
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <div className="p-4 rounded-lg bg-gray-50 dark:bg-gray-900">
+                  <div className="flex items-center space-x-2 mb-2">
+                    <span className="text-sm font-medium text-gray-900 dark:text-white">@{tweet.username}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      {formatRelativeTime(tweet.createdAt)}
+                    </span>
+                    {tweet.companyTagged?.map((company) => (
+                      <span
+                        key={company.symbol}
+                        className="px-2 py-0.5 text-xs bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-400 rounded-full"
+                      >
+                        {company.symbol}
+                      </span>
+                    ))}
+                  </div>
+                  <p className="text-gray-800 dark:text-gray-200">{tweet.text}</p>
+                  <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+                    Model: {tweet.sentiment?.label} ({formatPercentage(tweet.sentiment?.confidence, 0)}),
+                    {' '}{tweet.relevance?.isRelevant ? 'relevant' : 'not relevant'},
+                    {' '}{tweet.marketImpact?.level} impact
+                    {tweet.goldLabels?.annotatorCount ? ` · ${tweet.goldLabels.annotatorCount} other label(s)` : ''}
+                  </p>
+                  <div className="mt-2 flex flex-wrap gap-2 text-xs">
+                    {Object.entries(item.reasons).map(([reason, value]) => (
+                      <span
+                        key={reason}
+                        className="px-2 py-0.5 bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400 rounded-full"
+                      >
+                        {reason} {formatPercentage(value, 0)}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Sentiment</p>
+                  <div className="flex flex-wrap gap-2">
+                    {SENTIMENTS.map((value) => (
+                      <OptionButton
+                        key={value}
+                        selected={label.sentiment === value}
+                        onClick={() => setLabel({ ...label, sentiment: value })}
+                      >
+                        {value}
+                      </OptionButton>
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Relevant to the market?</p>
+                  <div className="flex flex-wrap gap-2">
+                    <OptionButton
+                      selected={label.isRelevant === true}
+                      onClick={() => setLabel({ ...label, isRelevant: true })}
+                    >
+                      Relevant
+                    </OptionButton>
+                    <OptionButton
+                      selected={label.isRelevant === false}
+                      onClick={() => setLabel({ ...label, isRelevant: false })}
+                    >
+                      Not relevant
+                    </OptionButton>
+                  </div>
+                </div>
+
+                <div>
+                  <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Market impact</p>
+                  <div className="flex flex-wrap gap-2">
+                    {IMPACTS.map((value) => (
+                      <OptionButton
+                        key={value}
+                        selected={label.marketImpact === value}
+                        onClick={() => setLabel({ ...label, marketImpact: value })}
+                      >
+                        {value}
+                      </OptionButton>
+                    ))}
+                  </div>
+                </div>
+
+                <textarea
+                  value={label.notes}
+                  onChange={(e) => setLabel({ ...label, notes: e.target.value })}
+                  maxLength={500}
+                  rows={2}
+                  placeholder="Notes (optional)"
+                  className="w-full px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                />
+
+                <div className="flex items-center space-x-3">
+                  <button
+                    type="submit"
+                    disabled={!isComplete || submitMutation.isLoading}
+                    className="px-6 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {submitMutation.isLoading ? 'Saving...' : 'Save & next'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => skipMutation.mutate(tweet.tweetId)}
+                    disabled={skipMutation.isLoading}
+                    className="px-4 py-2 flex items-center text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors"
+                  >
+                    <SkipForward className="w-4 h-4 mr-2" />
+                    Skip
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+
+          {/* Agreement */}
+          {isAdmin && (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center mb-4">
+              <Users className="w-5 h-5 mr-2" />
+              Annotator agreement
+            </h2>
+            {!agreement ? (
+              <LoadingSpinner />
+            ) : (
+              <div className="space-y-4 text-sm">
+                <p className="text-gray-600 dark:text-gray-400">
+                  {agreement.totalLabels} labels on {agreement.labeledTweets} tweets
+                  ({agreement.multiLabeledTweets} with 2+ annotators)
+                </p>
+                <table className="w-full">
+                  <thead>
+                    <tr className="text-left text-gray-500 dark:text-gray-400">
+                      <th className="py-1">Field</th>
+                      <th className="py-1">Agree</th>
+                      <th className="py-1">α</th>
+                      <th className="py-1">Model</th>
+                    </tr>
+                  </thead>
+                  <tbody className="text-gray-900 dark:text-white">
+                    {Object.entries(agreement.fields).map(([field, stats]) => (
+                      <tr key={field}>
+                        <td className="py-1">{field}</td>
+                        <td className="py-1">{formatPercentage(stats.pairwiseAgreement, 0)}</td>
+                        <td className="py-1">{stats.krippendorffAlpha === null ? 'N/A' : stats.krippendorffAlpha.toFixed(2)}</td>
+                        <td className="py-1">{formatPercentage(agreement.modelVsGold[field]?.accuracy, 0)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Agree: pairwise agreement between annotators. α: Krippendorff&apos;s alpha. Model: classifier accuracy against gold labels.
+                </p>
+              </div>
+            )}
+          </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Labeling;
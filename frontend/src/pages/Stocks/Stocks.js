@@ -1,12 +1,32 @@
 import React, { useState } from 'react';
+import { useQuery } from 'react-query';
 import { useTheme } from '../../hooks/useTheme';
 import CompanySelector from '../../components/Stocks/CompanySelector';
 import StockChart from '../../components/Stocks/StockChart';
+import ForecastWaterfall from '../../components/Stocks/ForecastWaterfall';
+import { stockService } from '../../services/stockService';
 import { TrendingUp, BarChart3, Activity } from 'lucide-react';
 
 const Stocks = () => {
   const [selectedCompany, setSelectedCompany] = useState(null);
 
+  const symbol = selectedCompany?.symbol;
+
+  // Fetch the explained next-day forecast for the selected company
+  const {
+    data: predictionData,
+    isLoading: predictionLoading,
+    error: predictionError
+  } = useQuery(
+    ['stock-prediction', symbol],
+    () => stockService.getPrediction(symbol),
+    {
+      enabled: !!symbol,
+      staleTime: 5 * 60 * 1000,
+      retry: false,
+    }
+  );
+
   const handleCompanySelect = (company) => {
     setSelectedCompany(company);
   };
@@ -47,11 +67,18 @@ const Stocks = () => {
             </div>
           </div>
 
-          {/* Right Side - Stock Chart */}
+          {/* Right Side - Stock Chart and forecast breakdown */}
           <div className="lg:col-span-2">
             {selectedCompany ? (
-              <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 shadow-sm">
-                <StockChart symbol={selectedCompany.symbol} />
+              <div className="space-y-8">
+                <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 shadow-sm">
+                  <StockChart symbol={selectedCompany.symbol} />
+                </div>
+                <ForecastWaterfall
+                  prediction={predictionData?.data}
+                  isLoading={predictionLoading}
+                  error={predictionError}
+                />
               </div>
             ) : (
               <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-12 text-center">
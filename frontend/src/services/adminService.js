@@ -0,0 +1,81 @@
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000/api';
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add auth token to requests
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export const adminService = {
+  // Get the active registry version per model type
+  async getModelStatus() {
+    try {
+      const response = await api.get('/admin/model/status');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch model status');
+    }
+  },
+
+  // Get Brier score, reliability bins and interval coverage of past probabilistic forecasts
+  async getForecastCalibration(params = {}) {
+    try {
+      const response = await api.get('/admin/model/calibration', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch forecast calibration');
+    }
+  },
+
+  // Get stored feature drift reports, newest first
+  async getDriftReports(params = {}) {
+    try {
+      const response = await api.get('/admin/drift/reports', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch drift reports');
+    }
+  },
+
+  // Get drift alerts nobody has acknowledged yet
+  async getDriftAlerts() {
+    try {
+      const response = await api.get('/admin/drift/alerts');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch drift alerts');
+    }
+  },
+
+  // Run a drift check against the prediction model's training window now
+  async runDriftCheck(params = {}) {
+    try {
+      const response = await api.post('/admin/drift/check', params);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to run drift check');
+    }
+  },
+
+  async acknowledgeDriftAlert(reportId) {
+    try {
+      const response = await api.post(`/admin/drift/reports/${reportId}/acknowledge`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to acknowledge drift alert');
+    }
+  },
+};
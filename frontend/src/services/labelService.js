@@ -0,0 +1,102 @@
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000/api';
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add auth token to requests
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export const labelService = {
+  // Get tweets the current user has not labeled yet
+  async getQueue(params = {}) {
+    try {
+      const response = await api.get('/labels/queue', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch labeling queue');
+    }
+  },
+
+  // Get the next review batch ranked by uncertainty, disagreement and engagement
+  async getReviewQueue(params = {}) {
+    try {
+      const response = await api.get('/labels/review', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch review queue');
+    }
+  },
+
+  // Skip a tweet in the review queue
+  async skipTweet(tweetId, reason) {
+    try {
+      const response = await api.post(`/labels/review/${tweetId}/skip`, { reason });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to skip tweet');
+    }
+  },
+
+  // Get predictions, gold labels and the current user's label for a tweet
+  async getTweetLabels(tweetId) {
+    try {
+      const response = await api.get(`/labels/tweets/${tweetId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch tweet labels');
+    }
+  },
+
+  // Create or update the current user's label set
+  async submitLabel(tweetId, label) {
+    try {
+      const response = await api.put(`/labels/tweets/${tweetId}`, label);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to save label');
+    }
+  },
+
+  // Remove the current user's label set
+  async removeLabel(tweetId) {
+    try {
+      const response = await api.delete(`/labels/tweets/${tweetId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to remove label');
+    }
+  },
+
+  // Get label sets submitted by the current user
+  async getMyLabels(params = {}) {
+    try {
+      const response = await api.get('/labels/mine', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch labels');
+    }
+  },
+
+  // Get inter-annotator agreement report
+  async getAgreement() {
+    try {
+      const response = await api.get('/labels/agreement');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch annotator agreement');
+    }
+  },
+};
@@ -66,6 +66,28 @@ export const sentimentService = {
     }
   },
 
+  // Get lead-lag cross-correlation and Granger-style tests between sentiment and returns
+  async getLeadLag(symbol, params = {}) {
+    try {
+      const response = await api.get('/sentiment/lead-lag', {
+        params: { symbol, ...params }
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || error.response?.data?.error || 'Failed to fetch lead-lag analysis');
+    }
+  },
+
+  // Get cumulative abnormal return curves around stored impact events
+  async getEventStudy(params = {}) {
+    try {
+      const response = await api.get('/sentiment/event-study', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || error.response?.data?.error || 'Failed to fetch event study');
+    }
+  },
+
   // Get sentiment correlation with price
   async getSentimentCorrelation(symbol, period = '30d') {
     try {
@@ -101,6 +101,36 @@ export const stockService = {
       throw new Error(error.response?.data?.message || 'Failed to refresh stock data');
     }
   },
+
+  // Get next-day forecast with per-feature contributions
+  async getPrediction(symbol) {
+    try {
+      const response = await api.get(`/predictions/${symbol}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch prediction');
+    }
+  },
+
+  // Get the quantile interval around a 1, 5 or 20-day forecast
+  async getForecastDistribution(symbol, params = {}) {
+    try {
+      const response = await api.get(`/predictions/${symbol}/distribution`, { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch forecast distribution');
+    }
+  },
+
+  // Get hit rate, rolling error and predicted vs actual closes of issued forecasts
+  async getForecastLedger(params = {}) {
+    try {
+      const response = await api.get('/predictions/ledger', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch forecast ledger');
+    }
+  },
 };
 
 